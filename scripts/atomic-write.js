@@ -0,0 +1,48 @@
+/**
+ * Atomic file writes for the pipeline scripts
+ *
+ * Contents go to a temporary file next to the target, which is flushed and
+ * then renamed over it. A crash or Ctrl+C mid-write leaves the previous file
+ * (or none), never a truncated one the app would fail to parse.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Write a file atomically, creating its directory if needed
+ * @param {string} filePath - File to write
+ * @param {string} contents - New contents
+ */
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, contents, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write JSON atomically, pretty-printed as the pipeline's other files
+ * @param {string} filePath - File to write
+ * @param {Object} data - Contents
+ */
+function writeJSONAtomic(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+export {
+  writeFileAtomic,
+  writeJSONAtomic
+};
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Book Catalog
+ *
+ * Maintains public/data/catalog.json, the manifest the Library reads to list
+ * books. Each pipeline script refreshes the entry for the book it just wrote,
+ * so chapter counts, content hashes and available versions stay in sync with
+ * the files on disk. Descriptive fields (title, author, year, genres...)
+ * are kept from the existing entry once set, so hand edits survive re-runs.
+ *
+ * Usage:
+ *   node scripts/catalog.js [book-id ...]
+ *
+ * With no book ids, every public/data/books/<book-id>.json is re-indexed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './atomic-write.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CATALOG_VERSION = 1;
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const BOOKS_DIR = path.join(DATA_DIR, 'books');
+const COVERS_DIR = path.join(__dirname, '..', 'public', 'images', 'covers');
+const CATALOG_PATH = path.join(DATA_DIR, 'catalog.json');
+const COVER_EXTENSIONS = ['jpg', 'png', 'webp', 'svg'];
+
+// Placeholder written by process-epub.js before a retelling exists
+const MODERN_PLACEHOLDER = /^<p>Modern retelling for .* goes here\./;
+
+/**
+ * Load the catalog, or an empty one if it has not been generated yet
+ * @param {string} catalogPath - Path to catalog.json
+ * @returns {Object} Catalog with version and books array
+ */
+function loadCatalog(catalogPath = CATALOG_PATH) {
+  if (!fs.existsSync(catalogPath)) {
+    return { version: CATALOG_VERSION, books: [] };
+  }
+
+  return JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+}
+
+/**
+ * Write the catalog back to disk
+ * @param {Object} catalog - Catalog with version and books array
+ * @param {string} catalogPath - Path to catalog.json
+ */
+function saveCatalog(catalog, catalogPath = CATALOG_PATH) {
+  writeFileAtomic(catalogPath, JSON.stringify(catalog, null, 2) + '\n');
+}
+
+/**
+ * Hash the book content files so clients can tell when a book changed
+ * @param {Array<string>} contents - Raw file contents to hash, in order
+ * @returns {string} Short hex digest
+ */
+function hashContent(contents) {
+  const hash = crypto.createHash('sha256');
+  contents.forEach(content => hash.update(content));
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Work out which text versions a reader can switch between
+ * @param {Object} bookData - Book JSON (id, chapters)
+ * @param {Object|null} processedBook - Processed bundle, if one exists
+ * @returns {Array<string>} Subset of 'original', 'modern', 'aligned'
+ */
+function getAvailableVersions(bookData, processedBook) {
+  const versions = ['original'];
+
+  const hasModern = bookData.chapters.some(chapter =>
+    chapter.modern && !MODERN_PLACEHOLDER.test(chapter.modern.trim())
+  );
+  if (hasModern) {
+    versions.push('modern');
+  }
+
+  const hasAlignment = processedBook?.chapters?.some(chapter => chapter.alignment);
+  if (hasAlignment) {
+    versions.push('aligned');
+  }
+
+  return versions;
+}
+
+/**
+ * Find a cover image for the book under public/images/covers
+ * @param {string} bookId - Book identifier
+ * @returns {string|null} Public URL of the cover, or null if none exists
+ */
+function findCoverImage(bookId) {
+  const extension = COVER_EXTENSIONS.find(ext =>
+    fs.existsSync(path.join(COVERS_DIR, `${bookId}.${ext}`))
+  );
+
+  return extension ? `/images/covers/${bookId}.${extension}` : null;
+}
+
+/**
+ * Build a catalog entry from the book files on disk
+ * @param {string} bookId - Book identifier
+ * @param {Object} metadata - Descriptive fields to use when the entry has none
+ * @param {Object} existing - Current catalog entry, if any
+ * @returns {Object} Catalog entry
+ */
+function buildCatalogEntry(bookId, metadata = {}, existing = {}) {
+  const bookPath = path.join(BOOKS_DIR, `${bookId}.json`);
+  const processedPath = path.join(BOOKS_DIR, `${bookId}-processed.json`);
+
+  if (!fs.existsSync(bookPath)) {
+    throw new Error(`Book file not found: ${bookPath}`);
+  }
+
+  const bookRaw = fs.readFileSync(bookPath, 'utf8');
+  const processedRaw = fs.existsSync(processedPath)
+    ? fs.readFileSync(processedPath, 'utf8')
+    : null;
+
+  const bookData = JSON.parse(bookRaw);
+  const processedBook = processedRaw ? JSON.parse(processedRaw) : null;
+
+  const described = {
+    title: bookId,
+    subtitle: null,
+    author: null,
+    year: null,
+    coverImage: findCoverImage(bookId),
+    description: '',
+    language: 'en',
+    genres: [],
+    ...stripEmpty(metadata),
+    ...stripEmpty(existing)
+  };
+
+  return {
+    id: bookId,
+    title: described.title,
+    subtitle: described.subtitle,
+    author: described.author,
+    year: described.year,
+    coverImage: described.coverImage,
+    description: described.description,
+    language: described.language,
+    genres: described.genres,
+    chapterCount: bookData.chapters.length,
+    contentHash: hashContent(processedRaw ? [bookRaw, processedRaw] : [bookRaw]),
+    versions: getAvailableVersions(bookData, processedBook)
+  };
+}
+
+/**
+ * Drop null, undefined and empty-string fields so they don't override defaults
+ */
+function stripEmpty(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+}
+
+/**
+ * Refresh (or add) a book's catalog entry after a pipeline step wrote it
+ * @param {string} bookId - Book identifier
+ * @param {Object} metadata - Descriptive fields for new entries (e.g. from the EPUB)
+ * @param {Object} logger - Where to report the update (default console)
+ * @returns {Object} The updated entry
+ */
+function updateCatalogEntry(bookId, metadata = {}, logger = console) {
+  const catalog = loadCatalog();
+  const index = catalog.books.findIndex(book => book.id === bookId);
+  const existing = index >= 0 ? catalog.books[index] : {};
+
+  const entry = buildCatalogEntry(bookId, metadata, existing);
+
+  if (index >= 0) {
+    catalog.books[index] = entry;
+  } else {
+    catalog.books.push(entry);
+  }
+
+  catalog.version = CATALOG_VERSION;
+  saveCatalog(catalog);
+  logger.info(`✓ Updated catalog entry for ${bookId} (${entry.chapterCount} chapters, ${entry.versions.join(', ')})`);
+
+  return entry;
+}
+
+/**
+ * List book ids that have a book JSON in public/data/books
+ * @returns {Array<string>} Book identifiers
+ */
+function listBookIds() {
+  if (!fs.existsSync(BOOKS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(BOOKS_DIR)
+    .filter(file => file.endsWith('.json') && !file.endsWith('-processed.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const bookIds = process.argv.slice(2);
+  const targets = bookIds.length > 0 ? bookIds : listBookIds();
+
+  if (targets.length === 0) {
+    console.error('No books found in public/data/books');
+    process.exit(1);
+  }
+
+  try {
+    targets.forEach(bookId => updateCatalogEntry(bookId));
+    console.log(`\n✓ Catalog written to: ${CATALOG_PATH}`);
+  } catch (error) {
+    console.error('Error updating catalog:', error.message);
+    process.exit(1);
+  }
+}
+
+export {
+  CATALOG_PATH,
+  BOOKS_DIR,
+  MODERN_PLACEHOLDER,
+  loadCatalog,
+  saveCatalog,
+  hashContent,
+  getAvailableVersions,
+  buildCatalogEntry,
+  updateCatalogEntry,
+  listBookIds
+};
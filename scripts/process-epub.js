@@ -1,8 +1,9 @@
 import pkg from 'epub2';
 const { EPub } = pkg;
-import fs from 'fs/promises';
 import path from 'path';
 import { JSDOM } from 'jsdom';
+import { updateCatalogEntry } from './catalog.js';
+import { writeJSONAtomic } from './atomic-write.js';
 
 /**
  * Process an EPUB file and convert it to JSON format
@@ -11,6 +12,7 @@ import { JSDOM } from 'jsdom';
  *   --skip-first=N        Skip the first N chapters
  *   --skip-last=N         Skip the last N chapters
  *   --exclude-titles=...  Skip chapters with titles matching patterns (comma-separated)
+ * Also available as: retold import <epub-file-path> <book-id> (options.dryRun reads without saving)
  */
 
 async function processEPUB(epubPath, bookId, options = {}) {
@@ -78,7 +80,7 @@ async function processEPUB(epubPath, bookId, options = {}) {
               id: chapterId,
               title: chapterTitle,
               original: content.html,
-              modern: `<p>Modern retelling for ${chapterTitle} goes here. Use generate-retellings.js to populate this.</p>`,
+              modern: `<p>Modern retelling for ${chapterTitle} goes here. Use retold translate to populate this.</p>`,
               passages: []
             });
           }
@@ -91,12 +93,20 @@ async function processEPUB(epubPath, bookId, options = {}) {
         
         // Save to file
         const outputPath = path.join(process.cwd(), 'public', 'data', 'books', `${bookId}.json`);
-        await fs.mkdir(path.dirname(outputPath), { recursive: true });
-        await fs.writeFile(outputPath, JSON.stringify(bookData, null, 2));
+
+        if (options.dryRun) {
+          console.log(`✓ Read ${chapters.length} chapters (dry run, nothing saved to ${outputPath})`);
+          resolve(bookData);
+          return;
+        }
+
+        writeJSONAtomic(outputPath, bookData);
         
         console.log(`✓ Processed ${chapters.length} chapters`);
         console.log(`✓ Saved to: ${outputPath}`);
         
+        updateCatalogEntry(bookId, getEpubMetadata(epub));
+        
         resolve(bookData);
       } catch (error) {
         reject(error);
@@ -150,6 +160,21 @@ function getChapterContent(epub, chapterId) {
   });
 }
 
+// Descriptive fields for a new catalog entry; existing entries keep their own
+function getEpubMetadata(epub) {
+  const metadata = epub.metadata || {};
+  const description = metadata.description
+    ? new JSDOM(metadata.description).window.document.body.textContent.trim()
+    : '';
+
+  return {
+    title: metadata.title,
+    author: metadata.creator,
+    language: metadata.language,
+    description
+  };
+}
+
 function cleanHTML(html) {
   // Remove excessive whitespace
   let cleaned = html.replace(/\s+/g, ' ');
@@ -213,7 +238,7 @@ if (process.argv[1] === new URL(import.meta.url).pathname) {
       console.log('\n✓ EPUB processing complete!');
       console.log('\nNext steps:');
       console.log('1. Review the generated JSON file');
-      console.log('2. Run generate-retellings.js to add modern translations');
+      console.log(`2. Run: npm run retold -- segment ${bookId}`);
     })
     .catch(error => {
       console.error('Error processing EPUB:', error);
@@ -0,0 +1,327 @@
+/**
+ * Request Scheduler
+ * Paces model requests to stay inside a provider's rate limits and rides out
+ * the errors that happen anyway.
+ *
+ * - Two token buckets: requests per minute and tokens per minute. A request
+ *   waits until both have room for it; the token count is an estimate, which
+ *   is corrected from the reported usage once the request finishes.
+ * - A sliding concurrency window: up to maxConcurrent requests in flight, the
+ *   next starting as soon as any one finishes.
+ * - Retries with jittered exponential backoff. A server hint (Retry-After or
+ *   retry-after-ms) replaces the backoff, and a 429 hint pauses every request,
+ *   since the limit is shared.
+ * - A circuit breaker: after breakerThreshold failed attempts in a row the run
+ *   pauses for breakerCooldownMs, then sends one request to test the water.
+ *   If the breaker trips maxBreakerTrips times without a success, or the
+ *   provider rejects the credentials, the remaining requests fail with
+ *   SchedulerHaltedError instead of hammering a dead backend.
+ */
+
+// Statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Statuses no retry can fix, so the run stops
+const FATAL_STATUSES = [401, 403];
+
+const DEFAULT_OPTIONS = {
+  requestsPerMinute: Infinity,
+  tokensPerMinute: Infinity,
+  maxConcurrent: 3,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 60000,
+  maxBreakerTrips: 3
+};
+
+class SchedulerHaltedError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'SchedulerHaltedError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Token bucket refilled continuously at perMinute per minute
+ * Taking more than is left puts the bucket in debt, which later requests wait out
+ * @param {number} perMinute - Budget per minute (also the bucket size)
+ * @returns {Object} Bucket with waitTime, take and give
+ */
+function createTokenBucket(perMinute) {
+  let level = perMinute;
+  let updatedAt = Date.now();
+
+  const refill = () => {
+    if (!Number.isFinite(perMinute)) return;
+    const now = Date.now();
+    level = Math.min(perMinute, level + (now - updatedAt) * perMinute / 60000);
+    updatedAt = now;
+  };
+
+  return {
+    // Milliseconds until amount is available (requests bigger than the bucket wait for a full one)
+    waitTime(amount) {
+      if (!Number.isFinite(perMinute)) return 0;
+      refill();
+      const missing = Math.min(amount, perMinute) - level;
+      return missing > 0 ? Math.ceil(missing * 60000 / perMinute) : 0;
+    },
+    take(amount) {
+      refill();
+      level -= amount;
+    },
+    // Return tokens that were estimated but not used (negative to charge more)
+    give(amount) {
+      refill();
+      level = Math.min(perMinute, level + amount);
+    }
+  };
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * How long the server asked us to wait, from Retry-After (seconds or an HTTP
+ * date) or retry-after-ms
+ * @param {Object} error - Error thrown by a provider (OpenAI SDK errors carry headers)
+ * @returns {number|null} Milliseconds, or null without a usable hint
+ */
+function getRetryAfterMs(error) {
+  const retryAfterMs = getHeader(error?.headers, 'retry-after-ms');
+  if (retryAfterMs && Number.isFinite(Number(retryAfterMs)) && Number(retryAfterMs) >= 0) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = getHeader(error?.headers, 'retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request may succeed if sent again
+ * Errors without a status (network failures, timeouts, unparseable
+ * responses) are retried
+ * @param {Object} error - Error thrown by the request
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error?.status;
+  if (status === undefined || status === null) return true;
+  return RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+/**
+ * Create a scheduler
+ * @param {Object} options - Budgets, concurrency, retry and breaker settings
+ *   (see DEFAULT_OPTIONS), plus a logger (default console)
+ * @returns {Object} Scheduler with run(task, { tokens, actualTokens }) and stats()
+ */
+function createScheduler(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) settings[key] = value;
+  });
+  const { logger = console } = options;
+
+  const requests = createTokenBucket(settings.requestsPerMinute);
+  const tokens = createTokenBucket(settings.tokensPerMinute);
+  const queue = [];
+  const stats = { requests: 0, retries: 0, failures: 0, rateLimited: 0, breakerTrips: 0 };
+  let active = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+  let consecutiveFailures = 0;
+  let tripsSinceSuccess = 0;
+  let halfOpen = false;
+  // Bumped by each trip; requests sent before it don't count against the breaker again
+  let breakerEpoch = 0;
+  let halted = null;
+
+  const pauseUntil = (time) => {
+    pausedUntil = Math.max(pausedUntil, time);
+  };
+
+  const rejectQueued = () => {
+    queue.splice(0).forEach(job => job.reject(halted));
+  };
+
+  const halt = (message, cause) => {
+    if (halted) return;
+    halted = new SchedulerHaltedError(message, cause);
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    logger.error(message);
+    rejectQueued();
+  };
+
+  const tripBreaker = (error) => {
+    stats.breakerTrips++;
+    tripsSinceSuccess++;
+    breakerEpoch++;
+    consecutiveFailures = 0;
+
+    if (tripsSinceSuccess >= settings.maxBreakerTrips) {
+      halt(`Stopping: too many failed requests in a row (${error.message})`, error);
+      return;
+    }
+
+    halfOpen = true;
+    pauseUntil(Date.now() + settings.breakerCooldownMs);
+    logger.warn(`Requests keep failing (${error.message}); pausing ${Math.ceil(settings.breakerCooldownMs / 1000)}s before trying again`);
+  };
+
+  const retryDelay = (error, attempt) => {
+    const hint = getRetryAfterMs(error);
+    // A little jitter on hints too, so parallel requests don't return in lockstep
+    if (hint !== null) return hint + Math.random() * 250;
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + Math.random() * ceiling / 2;
+  };
+
+  // Start what the budgets allow; a refund or a finished request can shorten a pending wait
+  const schedule = () => {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    if (halted) return;
+
+    while (queue.length > 0 && active < (halfOpen ? 1 : settings.maxConcurrent)) {
+      // Requests waiting out a backoff don't hold up the rest of the queue
+      const now = Date.now();
+      const index = queue.findIndex(job => job.notBefore <= now);
+      const job = queue[index];
+      const wait = Math.max(
+        pausedUntil - now,
+        job ? 0 : Math.min(...queue.map(queued => queued.notBefore)) - now,
+        requests.waitTime(1),
+        job ? tokens.waitTime(job.tokens) : 0
+      );
+
+      if (wait > 0) {
+        wakeTimer = setTimeout(schedule, wait);
+        return;
+      }
+
+      queue.splice(index, 1);
+      requests.take(1);
+      tokens.take(job.tokens);
+      active++;
+      stats.requests++;
+      job.epoch = breakerEpoch;
+      send(job);
+    }
+  };
+
+  const send = (job) => {
+    // A task that throws or returns a plain value still settles through here
+    Promise.resolve().then(() => job.task()).then(result => {
+      active--;
+      consecutiveFailures = 0;
+      tripsSinceSuccess = 0;
+      halfOpen = false;
+
+      // The estimate stands if the usage can't be read from the result
+      try {
+        const used = job.actualTokens(result);
+        if (Number.isFinite(used)) {
+          tokens.give(job.tokens - used);
+        }
+      } catch (error) {
+        logger.debug(`Could not read token usage: ${error.message}`);
+      }
+
+      job.resolve(result);
+      schedule();
+    }, error => {
+      active--;
+      const rateLimited = error?.status === 429;
+      // Rate limits are waited out, not counted against the backend
+      const counted = !rateLimited && job.epoch === breakerEpoch;
+      if (counted) consecutiveFailures++;
+
+      if (FATAL_STATUSES.includes(error?.status)) {
+        job.reject(error);
+        halt(`Stopping: the provider refused the request (${error.message})`, error);
+        return;
+      }
+
+      const retry = isRetryableError(error) && job.attempt < settings.maxRetries;
+      if (rateLimited) {
+        stats.rateLimited++;
+      } else if (counted && consecutiveFailures >= (halfOpen ? 1 : settings.breakerThreshold)) {
+        tripBreaker(error);
+      }
+
+      if (halted) {
+        job.reject(error);
+        return;
+      }
+
+      if (retry) {
+        const delay = retryDelay(error, job.attempt);
+        stats.retries++;
+        job.attempt++;
+        job.notBefore = Date.now() + delay;
+        // A rate limit is shared by every request, so everyone waits
+        if (rateLimited) pauseUntil(job.notBefore);
+        logger.debug(`Retrying in ${Math.round(delay)}ms (attempt ${job.attempt + 1}): ${error.message}`);
+        queue.unshift(job);
+      } else {
+        stats.failures++;
+        job.reject(error);
+      }
+
+      schedule();
+    });
+  };
+
+  return {
+    /**
+     * Queue a request
+     * @param {Function} task - Sends the request; returns a promise or a value
+     * @param {Object} options - tokens (estimated tokens the request uses) and
+     *   actualTokens(result) (tokens it really used, or null if unknown)
+     * @returns {Promise} The task's result, or its last error
+     */
+    run(task, { tokens: estimatedTokens = 0, actualTokens = () => null } = {}) {
+      if (halted) return Promise.reject(halted);
+
+      return new Promise((resolve, reject) => {
+        queue.push({
+          task,
+          tokens: estimatedTokens,
+          actualTokens,
+          attempt: 0,
+          notBefore: 0,
+          epoch: 0,
+          resolve,
+          reject
+        });
+        schedule();
+      });
+    },
+    stats() {
+      return { ...stats };
+    }
+  };
+}
+
+export {
+  SchedulerHaltedError,
+  createTokenBucket,
+  getRetryAfterMs,
+  isRetryableError,
+  createScheduler
+};
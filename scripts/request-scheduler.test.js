@@ -0,0 +1,300 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SchedulerHaltedError,
+  createTokenBucket,
+  getRetryAfterMs,
+  isRetryableError,
+  createScheduler
+} from './request-scheduler.js';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+// A task the test settles by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Attach a handler at once so a rejection settled by a timer isn't reported as unhandled
+function settled(promise) {
+  return promise.then(value => ({ value }), error => ({ error }));
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createTokenBucket', () => {
+  it('waits for the budget to refill', () => {
+    const bucket = createTokenBucket(60);
+    expect(bucket.waitTime(60)).toBe(0);
+
+    bucket.take(60);
+    expect(bucket.waitTime(1)).toBe(1000);
+
+    vi.advanceTimersByTime(1000);
+    expect(bucket.waitTime(1)).toBe(0);
+  });
+
+  it('waits for a full bucket when asked for more than it holds', () => {
+    const bucket = createTokenBucket(60);
+    bucket.take(30);
+    expect(bucket.waitTime(1000)).toBe(30000);
+  });
+
+  it('gives back tokens that were not used', () => {
+    const bucket = createTokenBucket(60);
+    bucket.take(60);
+    bucket.give(30);
+    expect(bucket.waitTime(30)).toBe(0);
+  });
+
+  it('never waits without a budget', () => {
+    const bucket = createTokenBucket(Infinity);
+    bucket.take(1e9);
+    expect(bucket.waitTime(1e9)).toBe(0);
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads retry-after-ms first', () => {
+    expect(getRetryAfterMs(httpError(429, { 'retry-after-ms': '1500', 'retry-after': '9' }))).toBe(1500);
+  });
+
+  it('reads Retry-After as seconds or an HTTP date', () => {
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const ms = getRetryAfterMs(httpError(503, { 'retry-after': date }));
+    expect(ms).toBeGreaterThan(4000);
+    expect(ms).toBeLessThanOrEqual(5000);
+  });
+
+  it('reads Headers objects', () => {
+    expect(getRetryAfterMs(httpError(429, new Headers({ 'retry-after': '3' })))).toBe(3000);
+  });
+
+  it('is null without a usable hint', () => {
+    expect(getRetryAfterMs(httpError(500))).toBeNull();
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': 'soon' }))).toBeNull();
+    expect(getRetryAfterMs(new Error('network'))).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries network errors, timeouts, conflicts, rate limits and server errors', () => {
+    [undefined, 408, 409, 429, 500, 503].forEach(status => {
+      expect(isRetryableError(Object.assign(new Error(), { status }))).toBe(true);
+    });
+  });
+
+  it('does not retry other client errors', () => {
+    [400, 401, 403, 404, 422].forEach(status => {
+      expect(isRetryableError(httpError(status))).toBe(false);
+    });
+  });
+});
+
+describe('createScheduler', () => {
+  it('keeps at most maxConcurrent requests in flight', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 2, logger });
+    const tasks = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = tasks.map((task, index) => scheduler.run(() => {
+      started.push(index);
+      return task.promise;
+    }));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1]);
+
+    tasks[1].resolve('b');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1, 2]);
+
+    tasks[0].resolve('a');
+    tasks[2].resolve('c');
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('holds requests to the per-minute budget', async () => {
+    const scheduler = createScheduler({ requestsPerMinute: 2, logger });
+    const started = [];
+    const results = [0, 1, 2].map(index => scheduler.run(async () => {
+      started.push(index);
+      return index;
+    }));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1]);
+
+    await vi.advanceTimersByTimeAsync(30000);
+    expect(started).toEqual([0, 1, 2]);
+    expect(await Promise.all(results)).toEqual([0, 1, 2]);
+  });
+
+  it('retries retryable failures with backoff', async () => {
+    const scheduler = createScheduler({ baseDelayMs: 1000, logger });
+    let attempts = 0;
+    const result = scheduler.run(async () => {
+      attempts++;
+      if (attempts < 3) throw httpError(503);
+      return 'ok';
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(attempts).toBe(1);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(attempts).toBe(2);
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(await result).toBe('ok');
+    expect(scheduler.stats()).toMatchObject({ requests: 3, retries: 2, failures: 0 });
+  });
+
+  it('gives up after maxRetries', async () => {
+    const scheduler = createScheduler({ maxRetries: 1, baseDelayMs: 10, logger });
+    const result = settled(scheduler.run(async () => {
+      throw httpError(500);
+    }));
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect((await result).error.status).toBe(500);
+    expect(scheduler.stats()).toMatchObject({ requests: 2, retries: 1, failures: 1 });
+  });
+
+  it('fails client errors without retrying', async () => {
+    const scheduler = createScheduler({ logger });
+    const result = settled(scheduler.run(async () => {
+      throw httpError(400);
+    }));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect((await result).error.status).toBe(400);
+    expect(scheduler.stats()).toMatchObject({ requests: 1, retries: 0, failures: 1 });
+  });
+
+  it('pauses every request for a rate limit, as long as Retry-After asks', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1, logger });
+    let limited = true;
+    const started = [];
+    const first = scheduler.run(async () => {
+      started.push('first');
+      if (limited) {
+        limited = false;
+        throw httpError(429, { 'retry-after': '5' });
+      }
+      return 'first';
+    });
+    const second = scheduler.run(async () => {
+      started.push('second');
+      return 'second';
+    });
+
+    await vi.advanceTimersByTimeAsync(4900);
+    expect(started).toEqual(['first']);
+
+    await vi.advanceTimersByTimeAsync(400);
+    expect(await Promise.all([first, second])).toEqual(['first', 'second']);
+    expect(scheduler.stats()).toMatchObject({ rateLimited: 1, breakerTrips: 0 });
+  });
+
+  it('stops when the provider rejects the credentials', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1, logger });
+    const refused = settled(scheduler.run(async () => {
+      throw httpError(401);
+    }));
+    const queued = settled(scheduler.run(async () => 'never'));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect((await refused).error.status).toBe(401);
+    expect((await queued).error).toBeInstanceOf(SchedulerHaltedError);
+    await expect(scheduler.run(async () => 'later')).rejects.toBeInstanceOf(SchedulerHaltedError);
+  });
+
+  it('pauses after repeated failures, then halts when the backend stays down', async () => {
+    const scheduler = createScheduler({
+      maxConcurrent: 1,
+      maxRetries: 100,
+      baseDelayMs: 10,
+      maxDelayMs: 10,
+      breakerThreshold: 2,
+      breakerCooldownMs: 1000,
+      maxBreakerTrips: 2,
+      logger
+    });
+    let attempts = 0;
+    const result = settled(scheduler.run(async () => {
+      attempts++;
+      throw httpError(500);
+    }));
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(attempts).toBe(2);
+    expect(scheduler.stats().breakerTrips).toBe(1);
+
+    // One request tests the water after the cooldown; it fails, tripping the breaker again
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(attempts).toBe(3);
+    expect((await result).error).toBeInstanceOf(Error);
+    expect(scheduler.stats().breakerTrips).toBe(2);
+    await expect(scheduler.run(async () => 'later')).rejects.toBeInstanceOf(SchedulerHaltedError);
+  });
+
+  it('settles tasks that throw synchronously or return plain values', async () => {
+    const scheduler = createScheduler({ logger });
+    const thrown = settled(scheduler.run(() => {
+      throw httpError(400);
+    }));
+    const plain = scheduler.run(() => 42);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect((await thrown).error.status).toBe(400);
+    expect(await plain).toBe(42);
+  });
+
+  it('refunds unused tokens from the reported usage', async () => {
+    const scheduler = createScheduler({ tokensPerMinute: 1000, logger });
+    const started = [];
+    const run = (index) => scheduler.run(async () => {
+      started.push(index);
+      return { used: 100 };
+    }, { tokens: 1000, actualTokens: result => result.used });
+
+    const first = run(0);
+    const second = run(1);
+    await vi.advanceTimersByTimeAsync(0);
+    await first;
+    await vi.advanceTimersByTimeAsync(0);
+    // 900 of the first estimate came back, so the second waits only for 100
+    expect(started).toEqual([0]);
+    await vi.advanceTimersByTimeAsync(6000);
+    expect(started).toEqual([0, 1]);
+    await second;
+  });
+
+  it('resolves and moves on when actualTokens throws', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1, logger });
+    const first = scheduler.run(async () => 'odd shape', {
+      tokens: 10,
+      actualTokens: result => result.usage.total
+    });
+    const second = scheduler.run(async () => 'next');
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(await first).toBe('odd shape');
+    expect(await second).toBe('next');
+  });
+});
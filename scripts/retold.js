@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * retold: the book preparation pipeline
+ *
+ * One command line for every step from an EPUB to the files the app reads.
+ * The subcommands share retold.config.json, one translation cache and one
+ * logger, and take the same --chapters, --model and --dry-run options.
+ *
+ * Usage:
+ *   npm run retold -- <command> [arguments] [options]
+ *   node scripts/retold.js <command> [arguments] [options]
+ *   node scripts/retold.js <command> --help
+ *
+ * A typical run:
+ *   retold import ./frankenstein.epub frankenstein --skip-first=2
+ *   retold segment frankenstein
+ *   retold estimate frankenstein
+ *   retold translate frankenstein --chapters 1-3
+ *   retold align frankenstein
+ *   retold build frankenstein
+ *   retold status frankenstein
+ *   retold cache stats
+ */
+
+import { parseArgs, findUnknownOptions } from './retold/args.js';
+import { CONFIG_FILE, loadConfig } from './retold/config.js';
+import { createLogger } from './retold/logger.js';
+
+// Accepted by every command
+const GLOBAL_OPTIONS = ['config', 'verbose', 'quiet', 'help'];
+
+const OPTION_HELP = {
+  'chapters': '--chapters <list>    Chapters by number, range or id (e.g. "1-3", "1,3,5", "letter-1")',
+  'dry-run': '--dry-run            Report what would happen without calling a model or writing files',
+  'unit': '--unit <unit>        sentence (default), passage or chapter',
+  'provider': '--provider <name>    Translation provider: openai, local or mock',
+  'model': '--model <name>       Model to use (default: the provider\'s)',
+  'base-url': '--base-url <url>     Server for the local provider, or an OpenAI proxy',
+  'batch-size': '--batch-size <n>     Sentences per request (default 10)',
+  'max-parallel': '--max-parallel <n>   Requests in flight at once (default 3)',
+  'rpm': '--rpm <n>            Requests per minute to stay under (default 500)',
+  'tpm': '--tpm <n>            Tokens per minute to stay under (default 200000)',
+  'skip-cache': '--skip-cache         Translate again even if the cache has a translation',
+  'resume': '--resume             Continue the last interrupted or incomplete run with its settings',
+  'output': '--output <path>      Write the bundle somewhere else (the catalog is left alone)',
+  'older-than': '--older-than <days>  prune: remove entries written more than this many days ago',
+  'skip-first': '--skip-first=N       Skip the first N chapters',
+  'skip-last': '--skip-last=N        Skip the last N chapters',
+  'exclude-titles': '--exclude-titles=... Skip chapters with titles matching patterns (comma-separated)'
+};
+
+const COMMANDS = {
+  import: {
+    args: '<epub-path> <book-id>',
+    summary: 'Convert an EPUB into public/data/books/<book-id>.json',
+    options: ['skip-first', 'skip-last', 'exclude-titles', 'dry-run'],
+    load: () => import('./retold/commands/import.js')
+  },
+  segment: {
+    args: '<book-id>',
+    summary: 'Split chapters into paragraphs and sentences with stable ids',
+    options: ['chapters', 'dry-run'],
+    load: () => import('./retold/commands/segment.js')
+  },
+  translate: {
+    args: '<book-id>',
+    summary: 'Translate sentences, passages or whole chapters into modern English',
+    options: ['unit', 'chapters', 'provider', 'model', 'base-url', 'batch-size', 'max-parallel', 'rpm', 'tpm', 'skip-cache', 'resume', 'dry-run'],
+    load: () => import('./retold/commands/translate.js')
+  },
+  align: {
+    args: '<book-id>',
+    summary: 'Pair each original sentence with its translation',
+    options: ['chapters', 'provider', 'model', 'dry-run'],
+    load: () => import('./retold/commands/align.js')
+  },
+  build: {
+    args: '<book-id>',
+    summary: 'Write <book-id>-processed.json for the app and refresh the catalog',
+    options: ['chapters', 'output', 'dry-run'],
+    load: () => import('./retold/commands/build.js')
+  },
+  status: {
+    args: '[book-id ...]',
+    summary: 'Show how far each book has got through the pipeline',
+    options: ['provider', 'model'],
+    load: () => import('./retold/commands/status.js')
+  },
+  estimate: {
+    args: '<book-id>',
+    summary: 'Estimate the cost of translating what is not cached yet',
+    options: ['unit', 'chapters', 'provider', 'model', 'skip-cache'],
+    load: () => import('./retold/commands/estimate.js')
+  },
+  cache: {
+    args: '<stats|prune>',
+    summary: 'Show what the translation cache holds, or remove unused entries',
+    options: ['older-than', 'model', 'dry-run'],
+    optionHelp: {
+      'model': '--model <name>       prune: remove entries translated by this model'
+    },
+    load: () => import('./retold/commands/cache.js')
+  }
+};
+
+function printUsage() {
+  console.log('Usage: retold <command> [arguments] [options]\n');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    console.log(`  ${`${name} ${command.args}`.padEnd(32)} ${command.summary}`);
+  });
+  console.log('\nOptions for every command:');
+  console.log(`  --config <path>      Settings file (default: ./${CONFIG_FILE})`);
+  console.log('  --verbose            Show debug output');
+  console.log('  --quiet              Only show warnings and errors');
+  console.log('\nRun retold <command> --help for the options of a command.');
+}
+
+function printCommandUsage(name) {
+  const command = COMMANDS[name];
+  console.log(`Usage: retold ${name} ${command.args} [options]\n`);
+  console.log(`${command.summary}\n`);
+  if (command.options.length > 0) {
+    console.log('Options:');
+    command.options.forEach(option => console.log(`  ${command.optionHelp?.[option] || OPTION_HELP[option]}`));
+  }
+}
+
+/**
+ * Run a retold command
+ * @param {Array<string>} argv - Arguments after the script path
+ */
+async function main(argv = process.argv.slice(2)) {
+  const { positionals, options } = parseArgs(argv);
+  const [name, ...args] = positionals;
+
+  if (!name || name === 'help') {
+    printUsage();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${name}". Run retold --help for the list of commands.`);
+  }
+
+  if (options.help) {
+    printCommandUsage(name);
+    return;
+  }
+
+  const logger = createLogger({ level: options.verbose ? 'debug' : options.quiet ? 'warn' : 'info' });
+
+  findUnknownOptions(options, [...GLOBAL_OPTIONS, ...command.options]).forEach(option => {
+    logger.warn(`Unknown option for retold ${name}: ${option}`);
+  });
+
+  const required = command.args.split(' ').filter(arg => arg.startsWith('<')).length;
+  if (args.length < required) {
+    logger.error(`Usage: retold ${name} ${command.args} [options]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = loadConfig(options);
+  logger.debug(config.file ? `Config: ${config.file}` : `Config: defaults (no ${CONFIG_FILE})`);
+
+  const { run } = await command.load();
+  await run({ args, options, config, logger });
+}
+
+// Run if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main().catch(error => {
+    console.error(`\n❌ Error: ${error.message}`);
+    if (process.argv.includes('--verbose')) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  });
+}
+
+export { COMMANDS, main };
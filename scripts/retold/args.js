@@ -0,0 +1,116 @@
+/**
+ * Command line parsing shared by the retold subcommands
+ */
+
+// Options that never take a value
+const BOOLEAN_OPTIONS = new Set(['dry-run', 'skip-cache', 'resume', 'verbose', 'quiet', 'help']);
+
+/**
+ * Convert an option name to the key it is stored under (--dry-run → dryRun)
+ * @param {string} name - Option name without the leading dashes
+ * @returns {string} Camel-cased key
+ */
+function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Split arguments into positionals and options
+ * Accepts `--name value`, `--name=value` and boolean flags such as --dry-run
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Object} { positionals, options } with camel-cased option keys
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = equals >= 0 ? arg.slice(2, equals) : arg.slice(2);
+    let value;
+
+    if (equals >= 0) {
+      value = arg.slice(equals + 1);
+    } else if (BOOLEAN_OPTIONS.has(name)) {
+      value = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    } else {
+      throw new Error(`Option --${name} needs a value`);
+    }
+
+    options[toOptionKey(name)] = value;
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * List options a command does not accept
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} allowed - Option names the command accepts (e.g. 'dry-run')
+ * @returns {Array<string>} Unknown option names, with dashes
+ */
+function findUnknownOptions(options, allowed) {
+  const keys = new Set(allowed.map(toOptionKey));
+  return Object.keys(options)
+    .filter(key => !keys.has(key))
+    .map(key => `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+}
+
+/**
+ * Resolve a --chapters selection to chapter indices
+ * Accepts chapter numbers, ranges and chapter ids, comma-separated
+ * (e.g. "1-3", "1,3,5" or "letter-1,chapter-2"); no selection means every chapter
+ * @param {string|undefined} selection - Value of --chapters
+ * @param {Array} chapters - The book's chapters
+ * @returns {Array<number>} Sorted zero-based chapter indices
+ */
+function parseChapterRange(selection, chapters) {
+  if (!selection) {
+    return chapters.map((_, index) => index);
+  }
+
+  const indices = new Set();
+  const checkNumber = (number) => {
+    if (number < 1 || number > chapters.length) {
+      throw new Error(`Chapter ${number} is out of range (the book has ${chapters.length} chapters)`);
+    }
+    return number - 1;
+  };
+
+  String(selection).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const range = part.match(/^(\d+)-(\d+)$/);
+
+    if (/^\d+$/.test(part)) {
+      indices.add(checkNumber(Number(part)));
+    } else if (range) {
+      const start = checkNumber(Number(range[1]));
+      const end = checkNumber(Number(range[2]));
+      for (let index = Math.min(start, end); index <= Math.max(start, end); index++) {
+        indices.add(index);
+      }
+    } else {
+      const index = chapters.findIndex(chapter => chapter.id === part);
+      if (index < 0) {
+        throw new Error(`No chapter "${part}" in this book`);
+      }
+      indices.add(index);
+    }
+  });
+
+  return Array.from(indices).sort((a, b) => a - b);
+}
+
+export {
+  parseArgs,
+  findUnknownOptions,
+  parseChapterRange
+};
@@ -0,0 +1,232 @@
+/**
+ * Translation cache shared by the retold subcommands and by every book
+ *
+ * Entries are addressed by content: the key is a hash of the source text and
+ * its context, the model and the prompt template version. Fixing the
+ * segmentation, switching models or changing a prompt (and bumping its
+ * version in translation-service.js) misses the cache instead of reusing a
+ * stale translation, and the same text is only paid for once.
+ *
+ * The cache directory holds one shard per first two hex digits of the key:
+ *   <cacheDir>/<ab>.json = { version, entries: { key: entry } }
+ *   entry = { translation, unit, model, provider, prompt, sourceHash, createdAt, usage }
+ *
+ * During a run, new entries are appended to <cacheDir>/journal.jsonl after
+ * every batch (checkpoint) and folded into the shards by save(). A run that
+ * is interrupted before saving loses nothing: the next open replays the journal.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { PROMPT_VERSIONS, stripHtmlTags } from '../translation-service.js';
+import { writeJSONAtomic } from '../atomic-write.js';
+
+const CACHE_VERSION = 2;
+
+const TRANSLATION_UNITS = ['sentence', 'passage', 'chapter'];
+
+// Sentences and passages are both sent with the batch prompt
+const UNIT_PROMPTS = {
+  sentence: 'batch',
+  passage: 'batch',
+  chapter: 'chapter'
+};
+
+const SHARD_PATTERN = /^[0-9a-f]{2}\.json$/;
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+function hash(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Hash of what a model is asked to translate
+ * Sentences and passages hash their text with its context window; chapters
+ * hash their text without markup, with their title
+ * @param {string} unit - sentence, passage or chapter
+ * @param {Object} item - Work item ({ sentence, context } or { html, title })
+ * @returns {string} Source hash
+ */
+function getSourceHash(unit, item) {
+  if (unit === 'chapter') {
+    return hash([stripHtmlTags(item.html), { title: item.title }]);
+  }
+
+  const { paragraph, prev_sentence, next_sentence } = item.context;
+  return hash([item.sentence, { paragraph, prev_sentence, next_sentence }]);
+}
+
+/**
+ * Prompt template and version a unit is translated with, e.g. "batch@2"
+ * @param {string} unit - sentence, passage or chapter
+ * @returns {string} Prompt id
+ */
+function getPromptId(unit) {
+  const template = UNIT_PROMPTS[unit];
+  if (!template) {
+    throw new Error(`Unknown translation unit "${unit}"`);
+  }
+  return `${template}@${PROMPT_VERSIONS[template]}`;
+}
+
+/**
+ * Whether a prompt id names the current version of its template
+ * @param {string} prompt - Prompt id from a cache entry
+ * @returns {boolean}
+ */
+function isCurrentPrompt(prompt) {
+  const [template, version] = String(prompt).split('@');
+  return PROMPT_VERSIONS[template] !== undefined && Number(version) === PROMPT_VERSIONS[template];
+}
+
+/**
+ * Cache key of a translation
+ * @param {string} sourceHash - getSourceHash result
+ * @param {string} model - Model that translates it
+ * @param {string} prompt - getPromptId result
+ * @returns {string} Key
+ */
+function getCacheKey(sourceHash, model, prompt) {
+  return hash([sourceHash, model, prompt]);
+}
+
+/**
+ * Read the entries checkpointed by a run that did not save
+ * A line cut short by a crash is skipped
+ * @param {string} journalPath - Path to journal.jsonl
+ * @returns {Array} [key, entry] pairs, oldest first
+ */
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+
+  return fs.readFileSync(journalPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        const { key, entry } = JSON.parse(line);
+        return key && entry ? [[key, entry]] : [];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Open the translation cache
+ * Shards are read when first needed and written by save() if they changed.
+ * Entries left in the journal by an interrupted run are recovered first.
+ * @param {Object} options - dir (the configured cacheDir)
+ * @returns {Object} Cache with get, set, checkpoint, delete, entries and save,
+ *   and the number of entries recovered from the journal
+ */
+function openTranslationCache(options) {
+  const { dir } = options;
+  const journalPath = path.join(dir, JOURNAL_FILE);
+  const shards = new Map();
+  const dirty = new Set();
+  let unjournaled = [];
+
+  const shardName = (key) => `${key.slice(0, 2)}.json`;
+
+  const loadShard = (name) => {
+    if (shards.has(name)) return shards.get(name);
+
+    const shardPath = path.join(dir, name);
+    let entries = {};
+    if (fs.existsSync(shardPath)) {
+      try {
+        entries = JSON.parse(fs.readFileSync(shardPath, 'utf8')).entries || {};
+      } catch (error) {
+        throw new Error(`Could not read the translation cache ${shardPath}: ${error.message}`);
+      }
+    }
+
+    shards.set(name, entries);
+    return entries;
+  };
+
+  const recovered = readJournal(journalPath);
+  recovered.forEach(([key, entry]) => {
+    const name = shardName(key);
+    loadShard(name)[key] = entry;
+    dirty.add(name);
+  });
+
+  return {
+    path: dir,
+    recovered: recovered.length,
+    get(key) {
+      return loadShard(shardName(key))[key];
+    },
+    set(key, entry) {
+      const name = shardName(key);
+      const stored = { ...entry, createdAt: new Date().toISOString() };
+      loadShard(name)[key] = stored;
+      dirty.add(name);
+      unjournaled.push({ key, entry: stored });
+    },
+    // Append the entries set since the last checkpoint to the journal; returns how many
+    checkpoint() {
+      if (unjournaled.length === 0) return 0;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(journalPath, unjournaled.map(line => JSON.stringify(line)).join('\n') + '\n');
+      const appended = unjournaled.length;
+      unjournaled = [];
+      return appended;
+    },
+    delete(key) {
+      const name = shardName(key);
+      const entries = loadShard(name);
+      if (!(key in entries)) return false;
+      delete entries[key];
+      dirty.add(name);
+      return true;
+    },
+    // Every [key, entry] pair, reading all shards
+    entries() {
+      if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).filter(name => SHARD_PATTERN.test(name)).forEach(loadShard);
+      }
+      return [...shards.values()].flatMap(entries => Object.entries(entries));
+    },
+    // Size on disk of the shard files
+    size() {
+      if (!fs.existsSync(dir)) return { files: 0, bytes: 0 };
+      const files = fs.readdirSync(dir).filter(name => SHARD_PATTERN.test(name));
+      const bytes = files.reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+      return { files: files.length, bytes };
+    },
+    // Write the shards that changed, then clear the journal; returns how many shards it wrote
+    save() {
+      if (dirty.size === 0) return 0;
+
+      dirty.forEach(name => {
+        const entries = shards.get(name);
+        const shardPath = path.join(dir, name);
+        if (Object.keys(entries).length === 0) {
+          fs.rmSync(shardPath, { force: true });
+        } else {
+          writeJSONAtomic(shardPath, { version: CACHE_VERSION, entries });
+        }
+      });
+      fs.rmSync(journalPath, { force: true });
+
+      const written = dirty.size;
+      dirty.clear();
+      unjournaled = [];
+      return written;
+    }
+  };
+}
+
+export {
+  TRANSLATION_UNITS,
+  getSourceHash,
+  getPromptId,
+  isCurrentPrompt,
+  getCacheKey,
+  openTranslationCache
+};
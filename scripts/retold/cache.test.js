@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  getSourceHash,
+  getPromptId,
+  isCurrentPrompt,
+  getCacheKey,
+  openTranslationCache
+} from './cache.js';
+import { PROMPT_VERSIONS } from '../translation-service.js';
+
+const CONTEXT = { paragraph: 'It was cold. It was dark.', prev_sentence: null, next_sentence: 'It was dark.' };
+const ITEM = { sid: 'ch_p1_s1', sentence: 'It was cold.', context: CONTEXT };
+
+function entry(translation, fields = {}) {
+  return {
+    translation,
+    unit: 'sentence',
+    model: 'model-a',
+    provider: 'mock',
+    prompt: getPromptId('sentence'),
+    sourceHash: getSourceHash('sentence', ITEM),
+    usage: null,
+    ...fields
+  };
+}
+
+// A key in the same shard as another, so tests can look at one shard file
+function keyInShard(shard, index) {
+  return `${shard}${String(index).padStart(62, '0')}`;
+}
+
+describe('cache keys', () => {
+  it('hash a sentence with its context', () => {
+    expect(getSourceHash('sentence', ITEM)).toBe(getSourceHash('sentence', { ...ITEM, sid: 'other' }));
+    expect(getSourceHash('sentence', ITEM)).not.toBe(
+      getSourceHash('sentence', { ...ITEM, context: { ...CONTEXT, paragraph: 'It was cold.' } })
+    );
+    expect(getSourceHash('sentence', ITEM)).not.toBe(getSourceHash('sentence', { ...ITEM, sentence: 'It was warm.' }));
+  });
+
+  it('hash a chapter by its text and title, not its markup', () => {
+    const chapter = { html: '<p>It was <em>cold</em>.</p>', title: 'Letter 1' };
+    expect(getSourceHash('chapter', chapter)).toBe(getSourceHash('chapter', { ...chapter, html: '<p>It was cold.</p>' }));
+    expect(getSourceHash('chapter', chapter)).not.toBe(getSourceHash('chapter', { ...chapter, title: 'Letter 2' }));
+  });
+
+  it('name the prompt template and version a unit is sent with', () => {
+    expect(getPromptId('sentence')).toBe(`batch@${PROMPT_VERSIONS.batch}`);
+    expect(getPromptId('passage')).toBe(`batch@${PROMPT_VERSIONS.batch}`);
+    expect(getPromptId('chapter')).toBe(`chapter@${PROMPT_VERSIONS.chapter}`);
+    expect(() => getPromptId('page')).toThrow('Unknown translation unit "page"');
+  });
+
+  it('tell current prompts from outdated ones', () => {
+    expect(isCurrentPrompt(getPromptId('sentence'))).toBe(true);
+    expect(isCurrentPrompt(`batch@${PROMPT_VERSIONS.batch - 1}`)).toBe(false);
+    expect(isCurrentPrompt('retired@1')).toBe(false);
+  });
+
+  it('change with the model and the prompt', () => {
+    const sourceHash = getSourceHash('sentence', ITEM);
+    const key = getCacheKey(sourceHash, 'model-a', 'batch@2');
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(getCacheKey(sourceHash, 'model-b', 'batch@2')).not.toBe(key);
+    expect(getCacheKey(sourceHash, 'model-a', 'batch@3')).not.toBe(key);
+  });
+});
+
+describe('openTranslationCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retold-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps entries in shards named by the key', () => {
+    const cache = openTranslationCache({ dir });
+    cache.set(keyInShard('ab', 1), entry('Cold, it was.'));
+    cache.set(keyInShard('cd', 1), entry('Dark, it was.'));
+    expect(cache.save()).toBe(2);
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['ab.json', 'cd.json']);
+    const shard = JSON.parse(fs.readFileSync(path.join(dir, 'ab.json'), 'utf8'));
+    expect(shard.version).toBe(2);
+    expect(shard.entries[keyInShard('ab', 1)]).toMatchObject({ translation: 'Cold, it was.', model: 'model-a' });
+
+    const reopened = openTranslationCache({ dir });
+    expect(reopened.get(keyInShard('cd', 1)).translation).toBe('Dark, it was.');
+    expect(reopened.get(keyInShard('cd', 2))).toBeUndefined();
+    expect(reopened.entries()).toHaveLength(2);
+    expect(reopened.size().files).toBe(2);
+  });
+
+  it('stamps entries with when they were written', () => {
+    const cache = openTranslationCache({ dir });
+    cache.set(keyInShard('ab', 1), entry('Cold, it was.'));
+    expect(Date.parse(cache.get(keyInShard('ab', 1)).createdAt)).not.toBeNaN();
+  });
+
+  it('removes a shard once its last entry is deleted', () => {
+    const cache = openTranslationCache({ dir });
+    cache.set(keyInShard('ab', 1), entry('Cold, it was.'));
+    cache.save();
+
+    expect(cache.delete(keyInShard('ab', 1))).toBe(true);
+    expect(cache.delete(keyInShard('ab', 2))).toBe(false);
+    cache.save();
+    expect(fs.existsSync(path.join(dir, 'ab.json'))).toBe(false);
+  });
+
+  it('only writes shards that changed', () => {
+    const cache = openTranslationCache({ dir });
+    expect(cache.save()).toBe(0);
+    expect(fs.existsSync(dir) && fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('recovers checkpointed entries after a run that did not save', () => {
+    const cache = openTranslationCache({ dir });
+    cache.set(keyInShard('ab', 1), entry('Cold, it was.'));
+    expect(cache.checkpoint()).toBe(1);
+    expect(cache.checkpoint()).toBe(0);
+    cache.set(keyInShard('cd', 1), entry('Dark, it was.'));
+    cache.checkpoint();
+    // A crash mid-write leaves a cut-off line
+    fs.appendFileSync(path.join(dir, 'journal.jsonl'), '{"key":"ef');
+
+    const recovered = openTranslationCache({ dir });
+    expect(recovered.recovered).toBe(2);
+    expect(recovered.get(keyInShard('ab', 1)).translation).toBe('Cold, it was.');
+
+    recovered.save();
+    expect(fs.existsSync(path.join(dir, 'journal.jsonl'))).toBe(false);
+    expect(openTranslationCache({ dir }).recovered).toBe(0);
+    expect(openTranslationCache({ dir }).entries()).toHaveLength(2);
+  });
+
+  it('names a shard it cannot read', () => {
+    fs.writeFileSync(path.join(dir, 'ab.json'), '{ not json');
+    const cache = openTranslationCache({ dir });
+    expect(() => cache.get(keyInShard('ab', 1))).toThrow(`Could not read the translation cache ${path.join(dir, 'ab.json')}`);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * retold align <book-id>
+ * Pair each segmented sentence with its cached translation from the configured
+ * model. Chapters with untranslated sentences are kept as segments only, so
+ * the app shows them as HTML.
+ */
+
+import { parseChapterRange } from '../args.js';
+import { openTranslationCache } from '../cache.js';
+import { alignChapter, mergeChapters, prepareSentences } from '../stages.js';
+import { withCacheKeys } from '../work.js';
+import {
+  getBookPaths,
+  loadBook,
+  loadSegments,
+  readJSONIfExists,
+  writeJSON,
+  displayPath
+} from '../workspace.js';
+import { formatCount } from '../logger.js';
+import { resolveTranslationModel } from '../../translation-service.js';
+
+async function run({ args, options, config, logger }) {
+  const [bookId] = args;
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const segments = loadSegments(paths, bookId);
+  const chapterIndices = parseChapterRange(options.chapters, book.chapters);
+  const selectedIds = new Set(chapterIndices.map(index => book.chapters[index].id));
+  const model = resolveTranslationModel('sentence', config.provider, config.model);
+  const cache = openTranslationCache({ dir: config.cacheDir });
+
+  const selected = segments.chapters.filter(chapter => selectedIds.has(chapter.chapter_id));
+  const cacheKeys = new Map(
+    withCacheKeys('sentence', prepareSentences(selected), model).map(item => [item.sid, item.cacheKey])
+  );
+
+  logger.debug(`Translations from ${model}`);
+  const results = selected.map(chapter =>
+    alignChapter(chapter, sid => cache.get(cacheKeys.get(sid))?.translation)
+  );
+  const incomplete = results.filter(result => result.missing > 0);
+
+  logger.info(`Aligned ${results.length - incomplete.length} of ${formatCount(results.length, 'segmented chapter')}`);
+  incomplete.forEach(({ chapter, missing }) => {
+    logger.warn(`${chapter.chapter_id}: ${formatCount(missing, 'sentence')} not translated yet, left unaligned`);
+  });
+  if (incomplete.length > 0) {
+    logger.info(`Translate them with: retold translate ${bookId}`);
+  }
+
+  if (options.dryRun) {
+    logger.info('Dry run: alignment not saved');
+    return;
+  }
+
+  const existing = readJSONIfExists(paths.aligned);
+  writeJSON(paths.aligned, {
+    metadata: segments.metadata,
+    chapters: mergeChapters(book, existing?.chapters, results.map(result => result.chapter))
+  });
+
+  logger.success(`Saved ${displayPath(paths.aligned)}`);
+  logger.info(`Next: retold build ${bookId}`);
+}
+
+export { run };
@@ -0,0 +1,50 @@
+/**
+ * retold build <book-id>
+ * Write the aligned chapters as the <book-id>-processed.json bundle the app
+ * loads, and refresh the book's catalog entry
+ */
+
+import path from 'path';
+import { parseChapterRange } from '../args.js';
+import {
+  getBookPaths,
+  loadBook,
+  readJSON,
+  writeJSON,
+  displayPath
+} from '../workspace.js';
+import { formatCount } from '../logger.js';
+import { updateCatalogEntry } from '../../catalog.js';
+
+async function run({ args, options, config, logger }) {
+  const [bookId] = args;
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const aligned = readJSON(paths.aligned, `Nothing to build for ${bookId} yet. Run: retold align ${bookId}`);
+  const chapterIndices = parseChapterRange(options.chapters, book.chapters);
+  const selectedIds = new Set(chapterIndices.map(index => book.chapters[index].id));
+  const output = options.output ? path.resolve(options.output) : paths.bundle;
+
+  const chapters = aligned.chapters.filter(chapter => selectedIds.has(chapter.chapter_id));
+  const alignedCount = chapters.filter(chapter => chapter.alignment).length;
+
+  logger.info(`Bundle: ${formatCount(chapters.length, 'chapter')}, ${alignedCount} with modern text`);
+  if (chapters.length < chapterIndices.length) {
+    logger.warn(`${formatCount(chapterIndices.length - chapters.length, 'chapter')} not segmented yet, left out`);
+  }
+
+  if (options.dryRun) {
+    logger.info(`Dry run: ${displayPath(output)} not written`);
+    return;
+  }
+
+  writeJSON(output, { metadata: aligned.metadata, chapters });
+  logger.success(`Saved ${displayPath(output)}`);
+
+  // Only the default bundle location is served to the app
+  if (output === paths.bundle) {
+    updateCatalogEntry(bookId, {}, logger);
+  }
+}
+
+export { run };
@@ -0,0 +1,161 @@
+/**
+ * retold cache <stats|prune>
+ * Inspect the translation cache, or remove entries no longer worth keeping
+ *
+ * An entry is unused when no book's current text produces its source hash
+ * (the book was re-imported, re-segmented or removed), and outdated when its
+ * prompt template has a newer version. prune removes both by default; with
+ * --older-than or --model it removes the entries matching those instead.
+ */
+
+import { listBookIds } from '../../catalog.js';
+import { isCurrentPrompt, getSourceHash, openTranslationCache } from '../cache.js';
+import { prepareSentences, preparePassages, segmentChapters } from '../stages.js';
+import { getBookPaths, loadBook, readJSONIfExists, displayPath } from '../workspace.js';
+import { formatCount } from '../logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUBCOMMANDS = ['stats', 'prune'];
+
+/**
+ * Source hashes of everything the current books could ask to translate
+ * Sentences come from both the saved segments and a fresh segmentation, so
+ * translations stay reachable between re-importing a book and segmenting it again
+ * @returns {Set<string>} Source hashes
+ */
+function collectSourceHashes(config, logger) {
+  const hashes = new Set();
+
+  listBookIds().forEach(bookId => {
+    const paths = getBookPaths(config, bookId);
+    const book = loadBook(paths, bookId);
+    const segments = readJSONIfExists(paths.segments);
+    const allChapters = book.chapters.map((chapter, index) => index);
+
+    const sentences = [
+      ...prepareSentences(segments?.chapters || []),
+      ...prepareSentences(segmentChapters(book, allChapters, logger))
+    ];
+    sentences.forEach(item => hashes.add(getSourceHash('sentence', item)));
+
+    book.chapters.forEach(chapter => {
+      preparePassages(chapter).forEach(item => hashes.add(getSourceHash('passage', item)));
+      hashes.add(getSourceHash('chapter', { html: chapter.original, title: chapter.title }));
+    });
+  });
+
+  return hashes;
+}
+
+function countBy(entries, field) {
+  const counts = new Map();
+  entries.forEach(([, entry]) => counts.set(entry[field], (counts.get(entry[field]) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => `${value} ${count.toLocaleString()}`)
+    .join(', ');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDate(time) {
+  return new Date(time).toLocaleDateString([], { dateStyle: 'medium' });
+}
+
+function logStats(cache, { config, logger }) {
+  const entries = cache.entries();
+  const { files, bytes } = cache.size();
+
+  logger.info(`Translation cache: ${displayPath(cache.path)}`);
+  if (entries.length === 0) {
+    logger.info('  Empty. retold translate fills it.');
+    return;
+  }
+
+  const outdated = entries.filter(([, entry]) => !isCurrentPrompt(entry.prompt)).length;
+  const sourceHashes = collectSourceHashes(config, logger);
+  const unused = entries.filter(([, entry]) => !sourceHashes.has(entry.sourceHash)).length;
+  const tokens = entries.reduce((sum, [, entry]) => ({
+    input: sum.input + (entry.usage?.inputTokens || 0),
+    output: sum.output + (entry.usage?.outputTokens || 0)
+  }), { input: 0, output: 0 });
+  const times = entries.map(([, entry]) => Date.parse(entry.createdAt)).filter(Number.isFinite);
+
+  logger.info(`  Entries:  ${entries.length.toLocaleString()} (${formatBytes(bytes)} in ${formatCount(files, 'file')})`);
+  logger.info(`  Units:    ${countBy(entries, 'unit')}`);
+  logger.info(`  Models:   ${countBy(entries, 'model')}`);
+  logger.info(`  Prompts:  ${countBy(entries, 'prompt')} (${outdated.toLocaleString()} outdated)`);
+  logger.info(`  Tokens:   ${tokens.input.toLocaleString()} in, ${tokens.output.toLocaleString()} out`);
+  if (times.length > 0) {
+    logger.info(`  Written:  ${formatDate(Math.min(...times))} to ${formatDate(Math.max(...times))}`);
+  }
+  logger.info(`  Unused:   ${unused.toLocaleString()} not needed by the current books`);
+
+  if (unused + outdated > 0) {
+    logger.info('\nRemove unused and outdated entries with: retold cache prune');
+  }
+}
+
+function prune(cache, { options, config, logger }) {
+  const entries = cache.entries();
+  const filters = [];
+
+  if (options.olderThan !== undefined) {
+    const days = Number(options.olderThan);
+    if (!Number.isFinite(days) || days < 0) {
+      throw new Error(`--older-than takes a number of days (got ${options.olderThan})`);
+    }
+    const cutoff = Date.now() - days * DAY_MS;
+    filters.push(entry => !(Date.parse(entry.createdAt) >= cutoff));
+  }
+  if (options.model !== undefined) {
+    filters.push(entry => entry.model === options.model);
+  }
+
+  let reason;
+  if (filters.length > 0) {
+    reason = 'matching';
+  } else {
+    const sourceHashes = collectSourceHashes(config, logger);
+    filters.push(entry => !isCurrentPrompt(entry.prompt) || !sourceHashes.has(entry.sourceHash));
+    reason = 'unused or outdated';
+  }
+
+  const doomed = entries.filter(([, entry]) => filters.every(filter => filter(entry)));
+  logger.info(`${formatCount(doomed.length, 'entry', 'entries')} of ${entries.length.toLocaleString()} ${reason}`);
+
+  if (doomed.length === 0) return;
+
+  if (options.dryRun) {
+    logger.info(`  ${countBy(doomed, 'model')}`);
+    logger.info('Dry run: nothing removed');
+    return;
+  }
+
+  doomed.forEach(([key]) => cache.delete(key));
+  cache.save();
+  logger.success(`Removed ${formatCount(doomed.length, 'entry', 'entries')} from ${displayPath(cache.path)}`);
+}
+
+async function run({ args, options, config, logger }) {
+  const [subcommand] = args;
+
+  if (!SUBCOMMANDS.includes(subcommand)) {
+    throw new Error(`Unknown cache command "${subcommand}". Use one of: ${SUBCOMMANDS.join(', ')}`);
+  }
+
+  const cache = openTranslationCache({ dir: config.cacheDir });
+
+  if (subcommand === 'stats') {
+    logStats(cache, { config, logger });
+  } else {
+    prune(cache, { options, config, logger });
+  }
+}
+
+export { run };
@@ -0,0 +1,42 @@
+/**
+ * retold estimate <book-id>
+ * Estimate the cost of translating whatever is not cached yet
+ */
+
+import { parseChapterRange } from '../args.js';
+import { openTranslationCache } from '../cache.js';
+import {
+  resolveUnit,
+  collectTranslationWork,
+  estimateTranslationWork,
+  logEstimate
+} from '../work.js';
+import { getBookPaths, loadBook } from '../workspace.js';
+import { formatCount } from '../logger.js';
+import { resolveTranslationModel } from '../../translation-service.js';
+
+async function run({ args, options, config, logger }) {
+  const [bookId] = args;
+  const unit = resolveUnit(options.unit);
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const chapterIndices = parseChapterRange(options.chapters, book.chapters);
+  const model = resolveTranslationModel(unit, config.provider, config.model);
+  const cache = openTranslationCache({ dir: config.cacheDir });
+
+  const { items, pending, cached } = collectTranslationWork(unit, {
+    bookId,
+    book,
+    paths,
+    chapterIndices,
+    model,
+    cache,
+    skipCache: Boolean(options.skipCache),
+    logger
+  });
+
+  logger.info(`📖 ${book.title || bookId}: ${formatCount(items.length, unit)}, ${cached} cached for ${model}\n`);
+  logEstimate(estimateTranslationWork(unit, pending), unit, logger);
+}
+
+export { run };
@@ -0,0 +1,25 @@
+/**
+ * retold import <epub-path> <book-id>
+ * Convert an EPUB into public/data/books/<book-id>.json (see process-epub.js)
+ */
+
+async function run({ args, options, logger }) {
+  const [epubPath, bookId] = args;
+  // Loaded here so the other commands work without the EPUB dependencies
+  const { processEPUB } = await import('../../process-epub.js');
+
+  await processEPUB(epubPath, bookId, {
+    skipFirst: Number(options.skipFirst) || 0,
+    skipLast: Number(options.skipLast) || 0,
+    excludeTitles: options.excludeTitles
+      ? options.excludeTitles.split(',').map(title => title.trim())
+      : [],
+    dryRun: Boolean(options.dryRun)
+  });
+
+  if (!options.dryRun) {
+    logger.info(`\nNext: review the book JSON, then run: retold segment ${bookId}`);
+  }
+}
+
+export { run };
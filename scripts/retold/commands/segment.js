@@ -0,0 +1,48 @@
+/**
+ * retold segment <book-id>
+ * Split chapters into paragraphs and sentences with stable ids
+ */
+
+import { parseChapterRange } from '../args.js';
+import {
+  getBookMetadata,
+  segmentChapters,
+  mergeChapters,
+  countSegments
+} from '../stages.js';
+import {
+  getBookPaths,
+  loadBook,
+  readJSONIfExists,
+  writeJSON,
+  displayPath
+} from '../workspace.js';
+import { formatCount } from '../logger.js';
+
+async function run({ args, options, config, logger }) {
+  const [bookId] = args;
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const chapterIndices = parseChapterRange(options.chapters, book.chapters);
+
+  logger.info(`Segmenting ${chapterIndices.length} of ${formatCount(book.chapters.length, 'chapter')} of ${book.title || bookId}...`);
+  const chapters = segmentChapters(book, chapterIndices, logger);
+  const { paragraphs, sentences } = countSegments(chapters);
+  logger.info(`Extracted: ${formatCount(paragraphs, 'paragraph')}, ${formatCount(sentences, 'sentence')}`);
+
+  if (options.dryRun) {
+    logger.info('Dry run: segments not saved');
+    return;
+  }
+
+  const existing = readJSONIfExists(paths.segments);
+  writeJSON(paths.segments, {
+    metadata: getBookMetadata(book),
+    chapters: mergeChapters(book, existing?.chapters, chapters)
+  });
+
+  logger.success(`Saved ${displayPath(paths.segments)}`);
+  logger.info(`Next: retold translate ${bookId}`);
+}
+
+export { run };
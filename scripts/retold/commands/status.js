@@ -0,0 +1,81 @@
+/**
+ * retold status [book-id ...]
+ * Show how far each book has got through the pipeline (every book by default)
+ */
+
+import fs from 'fs';
+import { MODERN_PLACEHOLDER, listBookIds, loadCatalog } from '../../catalog.js';
+import { openTranslationCache } from '../cache.js';
+import { countSegments, prepareSentences } from '../stages.js';
+import { withCacheKeys } from '../work.js';
+import {
+  getBookPaths,
+  loadBook,
+  readJSONIfExists,
+  displayPath
+} from '../workspace.js';
+import { resolveTranslationModel } from '../../translation-service.js';
+
+function formatTime(time) {
+  return new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function logBookStatus(bookId, { config, logger, catalog, cache, model }) {
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const segments = readJSONIfExists(paths.segments);
+  const aligned = readJSONIfExists(paths.aligned);
+  const total = book.chapters.length;
+  const title = book.title || catalog.books.find(entry => entry.id === bookId)?.title || 'Untitled';
+
+  logger.info(`\n📖 ${bookId}: ${title} (${total} chapters)`);
+
+  if (segments) {
+    const { sentences } = countSegments(segments.chapters);
+    const translated = withCacheKeys('sentence', prepareSentences(segments.chapters), model)
+      .filter(item => cache.get(item.cacheKey)).length;
+    logger.info(`  Segmented:   ${segments.chapters.length}/${total} chapters, ${sentences.toLocaleString()} sentences`);
+    logger.info(`  Translated:  ${translated.toLocaleString()}/${sentences.toLocaleString()} sentences (${model})`);
+  } else {
+    logger.info('  Segmented:   no (retold segment)');
+  }
+
+  if (aligned) {
+    const alignedCount = aligned.chapters.filter(chapter => chapter.alignment).length;
+    logger.info(`  Aligned:     ${alignedCount}/${total} chapters`);
+  } else {
+    logger.info('  Aligned:     no (retold align)');
+  }
+
+  if (fs.existsSync(paths.bundle)) {
+    const builtAt = fs.statSync(paths.bundle).mtimeMs;
+    const stale = fs.existsSync(paths.aligned) && fs.statSync(paths.aligned).mtimeMs > builtAt;
+    logger.info(`  Bundle:      ${displayPath(paths.bundle)}, built ${formatTime(builtAt)}${stale ? ' (older than the alignment, run retold build)' : ''}`);
+  } else {
+    logger.info('  Bundle:      none (retold build)');
+  }
+
+  const modernChapters = book.chapters.filter(chapter =>
+    chapter.modern && !MODERN_PLACEHOLDER.test(chapter.modern.trim())
+  ).length;
+  const passages = book.chapters.reduce((sum, chapter) =>
+    sum + (chapter.passages || []).filter(passage => passage.modernText && passage.modernText !== '[Translating...]').length, 0
+  );
+  logger.info(`  Modern text: ${modernChapters}/${total} chapters, ${passages} passages`);
+}
+
+async function run({ args, config, logger }) {
+  const bookIds = args.length > 0 ? args : listBookIds();
+
+  if (bookIds.length === 0) {
+    logger.info('No books yet. Import one with: retold import <epub-path> <book-id>');
+    return;
+  }
+
+  const catalog = loadCatalog();
+  const cache = openTranslationCache({ dir: config.cacheDir });
+  const model = resolveTranslationModel('sentence', config.provider, config.model);
+  bookIds.forEach(bookId => logBookStatus(bookId, { config, logger, catalog, cache, model }));
+}
+
+export { run };
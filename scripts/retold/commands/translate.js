@@ -0,0 +1,329 @@
+/**
+ * retold translate <book-id>
+ * Translate sentences (default), passages or whole chapters, through the
+ * translation cache. Sentence translations stay in the cache for align;
+ * passages and chapters are also written into the book JSON.
+ *
+ * Requests go through one scheduler per run, which keeps them inside the
+ * configured rate limits and retries failures. Progress is checkpointed after
+ * every batch (the cache journal and the run manifest), so an interrupted run
+ * keeps its work and --resume continues it.
+ */
+
+import { parseChapterRange } from '../args.js';
+import { openTranslationCache, getPromptId } from '../cache.js';
+import {
+  resolveUnit,
+  collectTranslationWork,
+  estimateTranslationWork,
+  logEstimate
+} from '../work.js';
+import {
+  loadRunManifest,
+  isUnfinishedRun,
+  createRunManifest,
+  recordRunProgress,
+  finishRun
+} from '../manifest.js';
+import { getBookPaths, loadBook, writeJSON, displayPath } from '../workspace.js';
+import { formatCount } from '../logger.js';
+import {
+  translateBatch,
+  translateChapter,
+  estimateChapterTokens,
+  countUsageTokens,
+  resolveTranslationModel,
+  isFailedTranslation,
+  textToHtml
+} from '../../translation-service.js';
+import { createProvider } from '../../translation-providers.js';
+import { createScheduler } from '../../request-scheduler.js';
+import { updateCatalogEntry } from '../../catalog.js';
+
+// Options a resumed run takes from its manifest instead
+const RUN_OPTIONS = {
+  unit: '--unit',
+  chapters: '--chapters',
+  provider: '--provider',
+  model: '--model',
+  skipCache: '--skip-cache'
+};
+
+/**
+ * Cache a translation with what produced it
+ */
+function cacheTranslation(cache, unit, item, translation, { provider, model, usage }) {
+  cache.set(item.cacheKey, {
+    translation,
+    unit,
+    model,
+    provider: provider.name,
+    prompt: getPromptId(unit),
+    sourceHash: item.sourceHash,
+    usage: usage || null
+  });
+}
+
+/**
+ * Translate sentences or passages in batches, checkpointing after each batch
+ * @returns {Promise<Array<string>>} Ids that failed
+ */
+async function translateItems(unit, pending, bookName, { provider, model, config, scheduler, cache, checkpoint, logger }) {
+  const failed = [];
+
+  await translateBatch(pending, bookName, {
+    provider,
+    model,
+    batchSize: config.batchSize,
+    scheduler,
+    logger,
+    onProgress: (progress) => {
+      logger.progress(progress.current, progress.total, progress.sid);
+      logger.debug(`${progress.sid}: "${progress.sentence}..." → "${progress.translation}..."`);
+    },
+    onBatch: (batch, { translations, usage }) => {
+      const progress = { done: [], failed: {} };
+      batch.forEach(item => {
+        const translation = translations[item.id];
+        if (!translation || isFailedTranslation(translation)) {
+          failed.push(item.id);
+          progress.failed[item.id] = translation || 'No translation returned';
+        } else {
+          cacheTranslation(cache, unit, item, translation, { provider, model, usage: usage[item.id] });
+          progress.done.push(item.id);
+        }
+      });
+      checkpoint(progress);
+    }
+  });
+
+  return failed;
+}
+
+/**
+ * Translate whole chapters, one request each, checkpointing after each
+ * @returns {Promise<Array<string>>} Ids that failed
+ */
+async function translateChapters(pending, bookName, { provider, model, scheduler, cache, checkpoint, logger }) {
+  const failed = [];
+  let finished = 0;
+
+  await Promise.all(pending.map(chapter =>
+    scheduler.run(
+      () => translateChapter(provider, chapter.html, chapter.title, bookName, { model }),
+      {
+        tokens: estimateChapterTokens(chapter.html, chapter.title, bookName),
+        actualTokens: ({ usage }) => countUsageTokens(usage)
+      }
+    ).then(({ text, usage }) => {
+      cacheTranslation(cache, 'chapter', chapter, text, { provider, model, usage });
+      checkpoint({ done: [chapter.id] });
+    }, error => {
+      logger.warn(error.message);
+      failed.push(chapter.id);
+      checkpoint({ failed: { [chapter.id]: error.message } });
+    }).then(() => {
+      finished++;
+      logger.progress(finished, pending.length, chapter.title);
+    })
+  ));
+
+  return failed;
+}
+
+/**
+ * Write cached passages or chapter translations into the book JSON
+ * @returns {number} Chapters or passages updated
+ */
+function applyToBook(unit, book, items, cache) {
+  let applied = 0;
+
+  if (unit === 'passage') {
+    const byChapter = new Map();
+    items.forEach(item => {
+      if (!byChapter.has(item.chapterId)) byChapter.set(item.chapterId, []);
+      byChapter.get(item.chapterId).push(item);
+    });
+
+    book.chapters.forEach(chapter => {
+      if (!byChapter.has(chapter.id)) return;
+      chapter.passages = byChapter.get(chapter.id).map(item => {
+        const modernText = cache.get(item.cacheKey)?.translation;
+        if (modernText) applied++;
+        return {
+          id: item.id,
+          originalText: item.sentence,
+          modernText: modernText || '[Translating...]',
+          context: item.html
+        };
+      });
+    });
+  } else {
+    items.forEach(item => {
+      const modernText = cache.get(item.cacheKey)?.translation;
+      if (!modernText) return;
+      book.chapters.find(chapter => chapter.id === item.id).modern = textToHtml(modernText);
+      applied++;
+    });
+  }
+
+  return applied;
+}
+
+/**
+ * Settings of this run: the options given, or those of the run being resumed
+ * @returns {Object} { settings, resumed }
+ */
+function resolveRunSettings(bookId, { options, config, paths }) {
+  const previous = loadRunManifest(paths);
+
+  if (!options.resume) {
+    const unit = resolveUnit(options.unit);
+    return {
+      settings: {
+        unit,
+        chapters: options.chapters || null,
+        provider: config.provider,
+        model: resolveTranslationModel(unit, config.provider, config.model),
+        skipCache: Boolean(options.skipCache)
+      },
+      resumed: null,
+      previous
+    };
+  }
+
+  if (!isUnfinishedRun(previous)) {
+    throw new Error(`No unfinished translate run for ${bookId} to resume. Start one with: retold translate ${bookId}`);
+  }
+
+  const given = Object.keys(RUN_OPTIONS).filter(option => options[option] !== undefined);
+  if (given.length > 0) {
+    throw new Error(`--resume continues the last run with its own settings; leave out ${given.map(option => RUN_OPTIONS[option]).join(', ')}`);
+  }
+
+  const { unit, chapters, provider, model, skipCache } = previous;
+  return { settings: { unit, chapters, provider, model, skipCache }, resumed: previous, previous };
+}
+
+async function run({ args, options, config, logger }) {
+  const [bookId] = args;
+  const paths = getBookPaths(config, bookId);
+  const book = loadBook(paths, bookId);
+  const bookName = book.title || bookId;
+  const { settings, resumed, previous } = resolveRunSettings(bookId, { options, config, paths });
+  const { unit, model } = settings;
+  const chapterIndices = parseChapterRange(settings.chapters || undefined, book.chapters);
+  const cache = openTranslationCache({ dir: config.cacheDir });
+
+  if (cache.recovered > 0) {
+    logger.info(`Recovered ${formatCount(cache.recovered, 'translation')} checkpointed by an interrupted run`);
+  }
+  if (resumed) {
+    logger.info(`Resuming the ${unit} run started ${new Date(resumed.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}: ${resumed.done.length} of ${resumed.total} done`);
+  } else if (isUnfinishedRun(previous) && !options.dryRun) {
+    logger.warn(`The last ${previous.unit} run stopped with ${previous.done.length} of ${previous.total} done; its translations are kept. Use --resume to continue it with the same settings.`);
+  }
+
+  const work = collectTranslationWork(unit, {
+    bookId,
+    book,
+    paths,
+    chapterIndices,
+    model,
+    cache,
+    skipCache: settings.skipCache,
+    logger
+  });
+  const { items, cached } = work;
+  // A resumed --skip-cache run still skips what it already translated
+  const alreadyDone = new Set(resumed && settings.skipCache ? resumed.done : []);
+  const pending = work.pending.filter(item => !alreadyDone.has(item.id));
+
+  logger.info(`📖 ${bookName}: ${formatCount(items.length, unit)} in ${formatCount(chapterIndices.length, 'chapter')}`);
+  logger.info(`   ${cached} cached for ${model}, ${pending.length} to translate`);
+  if (cached + work.pending.length < items.length) {
+    logger.info(`   ${formatCount(items.length - cached - work.pending.length, 'repeated text')} translated once`);
+  }
+
+  if (options.dryRun) {
+    logger.info('');
+    logEstimate(estimateTranslationWork(unit, pending), unit, logger);
+    logger.info('\nDry run: nothing translated or saved');
+    return;
+  }
+
+  let failed = [];
+
+  if (pending.length > 0) {
+    const provider = createProvider(settings.provider, {
+      ...(config.baseURL && { baseURL: config.baseURL })
+    });
+    logger.info(`\n🔄 Translating with ${provider.name} (${model})...`);
+
+    const manifest = createRunManifest(settings, pending.map(item => item.id), resumed);
+    recordRunProgress(paths, manifest, {});
+
+    // Work already checkpointed survives Ctrl+C; say how to pick it up
+    const onInterrupt = () => {
+      logger.warn(`Interrupted. Continue with: retold translate ${bookId} --resume`);
+      process.exit(130);
+    };
+    process.once('SIGINT', onInterrupt);
+
+    const checkpoint = (progress) => {
+      cache.checkpoint();
+      recordRunProgress(paths, manifest, progress);
+    };
+
+    const scheduler = createScheduler({
+      requestsPerMinute: config.requestsPerMinute,
+      tokensPerMinute: config.tokensPerMinute,
+      maxConcurrent: config.maxParallel,
+      logger
+    });
+
+    const context = { provider, model, config, scheduler, cache, checkpoint, logger };
+    try {
+      failed = unit === 'chapter'
+        ? await translateChapters(pending, bookName, context)
+        : await translateItems(unit, pending, bookName, context);
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+    }
+
+    const { retries, rateLimited, breakerTrips } = scheduler.stats();
+    if (retries > 0) {
+      logger.info(`Retried ${formatCount(retries, 'request')} (${rateLimited} rate limited, ${formatCount(breakerTrips, 'pause')} after repeated failures)`);
+    }
+
+    if (cache.save() > 0) {
+      logger.success(`Cache saved to ${displayPath(cache.path)}`);
+    }
+    finishRun(paths, manifest);
+  } else {
+    // Fold in anything recovered from the journal
+    cache.save();
+    if (resumed) finishRun(paths, createRunManifest(settings, [], resumed));
+  }
+
+  if (unit === 'sentence') {
+    const translated = items.filter(item => cache.get(item.cacheKey)).length;
+    logger.success(`${translated} of ${formatCount(items.length, 'sentence')} translated`);
+    if (failed.length === 0) {
+      logger.info(`Next: retold align ${bookId}`);
+    }
+  } else {
+    const applied = applyToBook(unit, book, items, cache);
+    writeJSON(paths.book, book);
+    logger.success(`Updated ${displayPath(paths.book)} (${formatCount(applied, unit)} translated)`);
+    updateCatalogEntry(bookId, {}, logger);
+  }
+
+  if (failed.length > 0) {
+    logger.warn(`${formatCount(failed.length, unit)} failed: ${failed.slice(0, 5).join(', ')}${failed.length > 5 ? ', ...' : ''}`);
+    logger.warn(`Retry them with: retold translate ${bookId} --resume`);
+    process.exitCode = 1;
+  }
+}
+
+export { run };
@@ -0,0 +1,110 @@
+/**
+ * retold configuration
+ * Settings come from the defaults below, then retold.config.json in the
+ * working directory (or the file given with --config), then command line
+ * options. Directories in the file are relative to the file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CONFIG_FILE = 'retold.config.json';
+
+const DEFAULT_CONFIG = {
+  provider: 'openai',   // openai, local or mock (see translation-providers.js)
+  model: null,          // null uses the provider's default
+  baseURL: null,        // Server for the local provider, or an OpenAI proxy
+  batchSize: 10,        // Sentences per translation request
+  maxParallel: 3,       // Translation requests in flight at once
+  requestsPerMinute: 500,   // Request budget (null for none, e.g. a local server)
+  tokensPerMinute: 200000,  // Token budget, input plus output (null for none)
+  workDir: '.retold',   // Segmented and aligned books, between stages
+  cacheDir: '.retold/translations' // Translation cache, shared by every book
+};
+
+// Command line options that override a setting
+const OPTION_SETTINGS = {
+  provider: 'provider',
+  model: 'model',
+  baseUrl: 'baseURL',
+  batchSize: 'batchSize',
+  maxParallel: 'maxParallel',
+  rpm: 'requestsPerMinute',
+  tpm: 'tokensPerMinute'
+};
+
+const COUNT_SETTINGS = ['batchSize', 'maxParallel', 'requestsPerMinute', 'tokensPerMinute'];
+
+// Count settings that can be turned off with null
+const OPTIONAL_SETTINGS = ['requestsPerMinute', 'tokensPerMinute'];
+
+/**
+ * Read the config file, if there is one
+ * @param {string} configPath - Path to the config file
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object|null} Settings from the file
+ */
+function readConfigFile(configPath, required) {
+  if (!fs.existsSync(configPath)) {
+    if (required) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${configPath}: ${error.message}`);
+  }
+
+  const unknown = Object.keys(settings).filter(key => !(key in DEFAULT_CONFIG));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting in ${configPath}: ${unknown.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Load the configuration for a run
+ * @param {Object} options - Parsed command line options (config, provider, model...)
+ * @param {string} cwd - Directory to look for retold.config.json in
+ * @returns {Object} Settings with absolute workDir and cacheDir, plus the config file used (or null)
+ */
+function loadConfig(options = {}, cwd = process.cwd()) {
+  const configPath = path.resolve(cwd, options.config || CONFIG_FILE);
+  const fileSettings = readConfigFile(configPath, Boolean(options.config));
+  const config = { ...DEFAULT_CONFIG, ...fileSettings };
+
+  Object.entries(OPTION_SETTINGS).forEach(([option, setting]) => {
+    if (options[option] !== undefined) {
+      config[setting] = options[option];
+    }
+  });
+
+  COUNT_SETTINGS.forEach(setting => {
+    if (config[setting] === null && OPTIONAL_SETTINGS.includes(setting)) return;
+    const value = Number(config[setting]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${setting} must be a whole number above 0 (got ${config[setting]})`);
+    }
+    config[setting] = value;
+  });
+
+  const baseDir = fileSettings ? path.dirname(configPath) : cwd;
+
+  return {
+    ...config,
+    workDir: path.resolve(baseDir, config.workDir),
+    cacheDir: path.resolve(baseDir, config.cacheDir),
+    file: fileSettings ? configPath : null
+  };
+}
+
+export {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  loadConfig
+};
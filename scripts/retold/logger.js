@@ -0,0 +1,88 @@
+/**
+ * Logger shared by the retold subcommands
+ * Levels are error, warn, info and debug: --quiet keeps warnings and errors,
+ * --verbose adds debug output. Errors and warnings go to stderr.
+ */
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Format a count with its noun, e.g. "1 chapter", "12 sentences"
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @param {string} plural - Plural noun (default: noun + s)
+ * @returns {string} Count and noun
+ */
+function formatCount(count, noun, plural = `${noun}s`) {
+  return `${count.toLocaleString()} ${count === 1 ? noun : plural}`;
+}
+
+/**
+ * Create a logger
+ * @param {Object} options - level (default info), stdout and stderr streams
+ * @returns {Object} Logger with error, warn, info, success, debug and progress
+ */
+function createLogger(options = {}) {
+  const {
+    level = 'info',
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = options;
+
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold < 0) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const enabled = (name) => LOG_LEVELS.indexOf(name) <= threshold;
+  // A terminal progress line is waiting for its newline
+  let progressOpen = false;
+
+  function write(stream, text) {
+    if (progressOpen) {
+      stdout.write('\n');
+      progressOpen = false;
+    }
+    stream.write(`${text}\n`);
+  }
+
+  return {
+    level,
+    error(message) {
+      write(stderr, `✗ ${message}`);
+    },
+    warn(message) {
+      if (enabled('warn')) write(stderr, `⚠ ${message}`);
+    },
+    info(message = '') {
+      if (enabled('info')) write(stdout, message);
+    },
+    success(message) {
+      if (enabled('info')) write(stdout, `✓ ${message}`);
+    },
+    debug(message) {
+      if (enabled('debug')) write(stdout, `  ${message}`);
+    },
+    // Rewrites one line on a terminal; elsewhere logs every tenth of the way
+    progress(current, total, label = '') {
+      if (!enabled('info') || total === 0) return;
+
+      const percent = Math.round((current / total) * 100);
+      const text = `  ${current}/${total} (${percent}%)${label ? ` ${label}` : ''}`;
+
+      if (stdout.isTTY) {
+        stdout.write(`\r\x1b[K${text}`);
+        progressOpen = current < total;
+        if (!progressOpen) stdout.write('\n');
+      } else if (current === total || current % Math.ceil(total / 10) === 0) {
+        write(stdout, text);
+      }
+    }
+  };
+}
+
+export {
+  LOG_LEVELS,
+  formatCount,
+  createLogger
+};
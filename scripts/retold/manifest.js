@@ -0,0 +1,85 @@
+/**
+ * Manifest of a book's last translate run, for --resume
+ * <workDir>/<id>/run.json records what the run set out to translate and how
+ * far it got:
+ *   { unit, chapters, provider, model, skipCache, status, startedAt, updatedAt,
+ *     total, done: [id], failed: { id: reason } }
+ * status is running until the run ends, then complete, or incomplete if
+ * anything failed. A run that still says running was interrupted.
+ */
+
+import { readJSONIfExists, writeJSON } from './workspace.js';
+
+/**
+ * Read the last run's manifest
+ * @param {Object} paths - getBookPaths result
+ * @returns {Object|null} Manifest, or null if the book has never been translated
+ */
+function loadRunManifest(paths) {
+  return readJSONIfExists(paths.run);
+}
+
+/**
+ * Whether a run can be resumed
+ * @param {Object|null} manifest - loadRunManifest result
+ * @returns {boolean}
+ */
+function isUnfinishedRun(manifest) {
+  return Boolean(manifest) && manifest.status !== 'complete';
+}
+
+/**
+ * Start a run's manifest
+ * @param {Object} settings - unit, chapters, provider, model and skipCache
+ * @param {Array<string>} ids - Ids of the items the run will translate
+ * @param {Object|null} resumed - Manifest of the run being resumed
+ * @returns {Object} Manifest
+ */
+function createRunManifest(settings, ids, resumed = null) {
+  const now = new Date().toISOString();
+
+  return {
+    ...settings,
+    status: 'running',
+    startedAt: resumed?.startedAt || now,
+    updatedAt: now,
+    total: (resumed?.done.length || 0) + ids.length,
+    done: resumed ? [...resumed.done] : [],
+    failed: {}
+  };
+}
+
+/**
+ * Record finished items and write the manifest
+ * @param {Object} paths - getBookPaths result
+ * @param {Object} manifest - Manifest to update
+ * @param {Object} progress - done (ids) and failed ({ id: reason })
+ */
+function recordRunProgress(paths, manifest, { done = [], failed = {} }) {
+  manifest.done.push(...done);
+  Object.assign(manifest.failed, failed);
+  saveRunManifest(paths, manifest);
+}
+
+/**
+ * Mark a run as ended and write the manifest
+ * @param {Object} paths - getBookPaths result
+ * @param {Object} manifest - Manifest to update
+ */
+function finishRun(paths, manifest) {
+  manifest.status = Object.keys(manifest.failed).length > 0 ? 'incomplete' : 'complete';
+  saveRunManifest(paths, manifest);
+}
+
+function saveRunManifest(paths, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  writeJSON(paths.run, manifest);
+}
+
+export {
+  loadRunManifest,
+  isUnfinishedRun,
+  createRunManifest,
+  recordRunProgress,
+  finishRun
+};
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  loadRunManifest,
+  isUnfinishedRun,
+  createRunManifest,
+  recordRunProgress,
+  finishRun
+} from './manifest.js';
+
+const SETTINGS = { unit: 'sentence', chapters: null, provider: 'mock', model: 'model-a', skipCache: false };
+
+describe('run manifest', () => {
+  let dir;
+  let paths;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retold-run-'));
+    paths = { run: path.join(dir, 'book', 'run.json') };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is null before the first run', () => {
+    expect(loadRunManifest(paths)).toBeNull();
+    expect(isUnfinishedRun(null)).toBe(false);
+  });
+
+  it('writes progress after every batch, so an interrupted run can be resumed', () => {
+    const manifest = createRunManifest(SETTINGS, ['a', 'b', 'c']);
+    recordRunProgress(paths, manifest, { done: ['a'] });
+
+    const saved = loadRunManifest(paths);
+    expect(saved).toMatchObject({ ...SETTINGS, status: 'running', total: 3, done: ['a'], failed: {} });
+    expect(isUnfinishedRun(saved)).toBe(true);
+  });
+
+  it('ends complete, or incomplete if anything failed', () => {
+    const manifest = createRunManifest(SETTINGS, ['a', 'b']);
+    recordRunProgress(paths, manifest, { done: ['a', 'b'] });
+    finishRun(paths, manifest);
+    expect(loadRunManifest(paths).status).toBe('complete');
+    expect(isUnfinishedRun(loadRunManifest(paths))).toBe(false);
+
+    const failing = createRunManifest(SETTINGS, ['a', 'b']);
+    recordRunProgress(paths, failing, { done: ['a'], failed: { b: 'HTTP 500' } });
+    finishRun(paths, failing);
+    expect(loadRunManifest(paths)).toMatchObject({ status: 'incomplete', failed: { b: 'HTTP 500' } });
+    expect(isUnfinishedRun(loadRunManifest(paths))).toBe(true);
+  });
+
+  it('carries the finished items and start time into a resumed run, and retries failures', () => {
+    const first = createRunManifest(SETTINGS, ['a', 'b', 'c']);
+    recordRunProgress(paths, first, { done: ['a'], failed: { b: 'timeout' } });
+    finishRun(paths, first);
+
+    const resumed = loadRunManifest(paths);
+    const second = createRunManifest(SETTINGS, ['b', 'c'], resumed);
+    expect(second).toMatchObject({ status: 'running', startedAt: first.startedAt, total: 3, done: ['a'], failed: {} });
+
+    // The resumed run's progress doesn't write through to the manifest it came from
+    second.done.push('b');
+    expect(resumed.done).toEqual(['a']);
+  });
+});
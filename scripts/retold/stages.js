@@ -0,0 +1,214 @@
+/**
+ * Book transformations behind the retold subcommands
+ * Segmentation and alignment produce the processed chapter format the app
+ * reads: { chapter_id, title, paragraphs, modern_paragraphs, alignment }.
+ */
+
+import {
+  processChapter,
+  createContextWindow
+} from '../sentence-segmenter.js';
+
+// Passages are the first few substantial paragraphs of each chapter
+const PASSAGES_PER_CHAPTER = 5;
+const MIN_PASSAGE_LENGTH = 50;
+
+/**
+ * Book fields other than its chapters, kept as the processed bundle's metadata
+ * @param {Object} book - Book JSON
+ * @returns {Object} Metadata
+ */
+function getBookMetadata(book) {
+  const metadata = { ...book };
+  delete metadata.chapters;
+  return metadata;
+}
+
+/**
+ * Segment chapters into paragraphs and sentences with stable ids
+ * @param {Object} book - Book JSON
+ * @param {Array<number>} chapterIndices - Chapters to segment
+ * @param {Object} logger - retold logger
+ * @returns {Array} Processed chapters
+ */
+function segmentChapters(book, chapterIndices, logger) {
+  return chapterIndices.map(index => {
+    const chapter = book.chapters[index];
+    logger.debug(`Segmenting chapter ${index + 1}: ${chapter.title}`);
+    return processChapter(chapter);
+  });
+}
+
+/**
+ * Replace chapters in a stage file with newly processed ones
+ * Chapters come out in book order; chapters no longer in the book are dropped
+ * @param {Object} book - Book JSON
+ * @param {Array} existing - Processed chapters already saved
+ * @param {Array} updated - Newly processed chapters
+ * @returns {Array} Merged chapters
+ */
+function mergeChapters(book, existing = [], updated) {
+  const byId = new Map(existing.map(chapter => [chapter.chapter_id, chapter]));
+  updated.forEach(chapter => byId.set(chapter.chapter_id, chapter));
+
+  return book.chapters
+    .filter(chapter => byId.has(chapter.id))
+    .map(chapter => byId.get(chapter.id));
+}
+
+/**
+ * Count paragraphs and sentences in processed chapters
+ * @param {Array} chapters - Processed chapters
+ * @returns {Object} { paragraphs, sentences }
+ */
+function countSegments(chapters) {
+  return chapters.reduce((totals, chapter) => ({
+    paragraphs: totals.paragraphs + chapter.paragraphs.length,
+    sentences: totals.sentences + chapter.paragraphs.reduce((sum, p) => sum + p.sentences.length, 0)
+  }), { paragraphs: 0, sentences: 0 });
+}
+
+/**
+ * Prepare sentences for translation with context
+ * @param {Array} chapters - Processed chapters
+ * @returns {Array} {sid, sentence, context, chapterId, paragraphId} objects
+ */
+function prepareSentences(chapters) {
+  const sentences = [];
+
+  for (const chapter of chapters) {
+    for (const paragraph of chapter.paragraphs) {
+      paragraph.sentences.forEach((sentence, index) => {
+        sentences.push({
+          sid: sentence.sid,
+          sentence: sentence.text,
+          context: createContextWindow(paragraph.sentences, index, paragraph.text),
+          chapterId: chapter.chapter_id,
+          paragraphId: paragraph.pid
+        });
+      });
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Pair a processed chapter's sentences with their translations
+ * A chapter is only aligned once every sentence has a translation, since the
+ * app shows aligned chapters sentence by sentence
+ * @param {Object} chapter - Processed chapter
+ * @param {Function} getTranslation - sid → translation, or undefined
+ * @returns {Object} { chapter, missing } with the aligned chapter, or the
+ *   segments unchanged and the number of untranslated sentences
+ */
+function alignChapter(chapter, getTranslation) {
+  const segments = {
+    chapter_id: chapter.chapter_id,
+    title: chapter.title,
+    paragraphs: chapter.paragraphs
+  };
+  const missing = chapter.paragraphs.reduce((count, paragraph) =>
+    count + paragraph.sentences.filter(sentence => !getTranslation(sentence.sid)).length, 0
+  );
+
+  if (missing > 0) {
+    return { chapter: segments, missing };
+  }
+
+  const modernParagraphs = chapter.paragraphs.map(paragraph => {
+    const modernSentences = [];
+    let modernText = '';
+
+    for (const sentence of paragraph.sentences) {
+      const modernSentence = getTranslation(sentence.sid);
+      if (modernText) modernText += ' ';
+
+      modernSentences.push({
+        sid: `m_${sentence.sid}`,
+        text: modernSentence,
+        start: modernText.length,
+        end: modernText.length + modernSentence.length
+      });
+
+      modernText += modernSentence;
+    }
+
+    return {
+      pid: `m_${paragraph.pid}`,
+      text: modernText,
+      sentences: modernSentences
+    };
+  });
+
+  const originalToModern = {};
+  chapter.paragraphs.forEach(paragraph => {
+    paragraph.sentences.forEach(sentence => {
+      originalToModern[sentence.sid] = `m_${sentence.sid}`;
+    });
+  });
+
+  return {
+    chapter: {
+      ...segments,
+      modern_paragraphs: modernParagraphs,
+      alignment: { original_to_modern: originalToModern }
+    },
+    missing: 0
+  };
+}
+
+/**
+ * Substantial paragraphs of a chapter's HTML
+ * @param {string} html - Chapter HTML
+ * @returns {Array} {html, text} objects
+ */
+function extractPassageParagraphs(html) {
+  const paragraphRegex = /<p[^>]*>(.*?)<\/p>/gi;
+  const paragraphs = [];
+  let match;
+
+  while ((match = paragraphRegex.exec(html)) !== null) {
+    const text = match[1]
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text.length > MIN_PASSAGE_LENGTH) {
+      paragraphs.push({ html: match[0], text });
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Passages to translate for a chapter, with neighbouring paragraphs as context
+ * @param {Object} chapter - Book chapter
+ * @returns {Array} {sid, sentence, context, html} objects
+ */
+function preparePassages(chapter) {
+  const paragraphs = extractPassageParagraphs(chapter.original);
+
+  return paragraphs.slice(0, PASSAGES_PER_CHAPTER).map((paragraph, index) => ({
+    sid: `${chapter.id}-passage-${index + 1}`,
+    sentence: paragraph.text,
+    context: {
+      paragraph: paragraph.text,
+      prev_sentence: paragraphs[index - 1]?.text || '',
+      next_sentence: paragraphs[index + 1]?.text || ''
+    },
+    html: paragraph.html
+  }));
+}
+
+export {
+  PASSAGES_PER_CHAPTER,
+  getBookMetadata,
+  segmentChapters,
+  mergeChapters,
+  countSegments,
+  prepareSentences,
+  alignChapter,
+  preparePassages
+};
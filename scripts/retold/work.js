@@ -0,0 +1,137 @@
+/**
+ * What each translation unit covers, shared by translate and estimate
+ *
+ *   sentence  Every segmented sentence, with its paragraph as context (for align and build)
+ *   passage   The first few substantial paragraphs of each chapter (chapter.passages)
+ *   chapter   Whole chapters whose modern text is still the import placeholder (chapter.modern)
+ */
+
+import { MODERN_PLACEHOLDER } from '../catalog.js';
+import { estimateCost, stripHtmlTags } from '../translation-service.js';
+import {
+  TRANSLATION_UNITS,
+  getSourceHash,
+  getPromptId,
+  getCacheKey
+} from './cache.js';
+import { prepareSentences, preparePassages } from './stages.js';
+import { loadSegments } from './workspace.js';
+import { formatCount } from './logger.js';
+
+/**
+ * Check a --unit value
+ * @param {string|undefined} unit - Requested unit
+ * @returns {string} The unit, sentence by default
+ */
+function resolveUnit(unit = 'sentence') {
+  if (!TRANSLATION_UNITS.includes(unit)) {
+    throw new Error(`Unknown unit "${unit}". Use one of: ${TRANSLATION_UNITS.join(', ')}`);
+  }
+  return unit;
+}
+
+/**
+ * Add the source hash and cache key each item is stored under
+ * @param {string} unit - sentence, passage or chapter
+ * @param {Array} items - Work items
+ * @param {string} model - Model that translates them
+ * @returns {Array} Items with sourceHash and cacheKey
+ */
+function withCacheKeys(unit, items, model) {
+  const prompt = getPromptId(unit);
+
+  return items.map(item => {
+    const sourceHash = getSourceHash(unit, item);
+    return { ...item, sourceHash, cacheKey: getCacheKey(sourceHash, model, prompt) };
+  });
+}
+
+/**
+ * Items of a unit in the selected chapters, and those still to translate
+ * Items with the same cache key are only pending once
+ * @param {string} unit - sentence, passage or chapter
+ * @param {Object} work - bookId, book, paths, chapterIndices, model, cache, skipCache, logger
+ * @returns {Object} { items, pending, cached }; items carry an id (sid for sentences
+ *   and passages) and their cacheKey
+ */
+function collectTranslationWork(unit, work) {
+  const { bookId, book, paths, chapterIndices, model, cache, skipCache = false, logger } = work;
+  const chapters = chapterIndices.map(index => book.chapters[index]);
+  let items;
+
+  if (unit === 'sentence') {
+    const segments = loadSegments(paths, bookId);
+    const selectedIds = new Set(chapters.map(chapter => chapter.id));
+    const segmented = segments.chapters.filter(chapter => selectedIds.has(chapter.chapter_id));
+
+    if (segmented.length < chapters.length) {
+      logger.warn(`${formatCount(chapters.length - segmented.length, 'chapter')} not segmented yet. Run: retold segment ${bookId}`);
+    }
+
+    items = prepareSentences(segmented).map(item => ({ ...item, id: item.sid }));
+  } else if (unit === 'passage') {
+    items = chapters.flatMap(chapter =>
+      preparePassages(chapter).map(item => ({ ...item, id: item.sid, chapterId: chapter.id }))
+    );
+  } else {
+    items = chapters
+      .filter(chapter => chapter.modern && MODERN_PLACEHOLDER.test(chapter.modern.trim()))
+      .map(chapter => ({ id: chapter.id, title: chapter.title, html: chapter.original }));
+  }
+
+  items = withCacheKeys(unit, items, model);
+
+  const cached = skipCache ? 0 : items.filter(item => cache.get(item.cacheKey)).length;
+  const queued = new Set();
+  const pending = items.filter(item => {
+    if (queued.has(item.cacheKey) || (!skipCache && cache.get(item.cacheKey))) return false;
+    queued.add(item.cacheKey);
+    return true;
+  });
+
+  return { items, pending, cached };
+}
+
+/**
+ * Estimate the cost of translating pending items
+ * @param {string} unit - sentence, passage or chapter
+ * @param {Array} pending - Items from collectTranslationWork
+ * @returns {Object} estimateCost result
+ */
+function estimateTranslationWork(unit, pending) {
+  if (pending.length === 0) {
+    return estimateCost(0);
+  }
+
+  if (unit === 'chapter') {
+    // A chapter's output is about as long as its input
+    const avgLength = pending.reduce((sum, item) => sum + stripHtmlTags(item.html).length, 0) / pending.length;
+    return estimateCost(pending.length, avgLength, Math.ceil(avgLength / 4));
+  }
+
+  const avgContextLength = pending.reduce((sum, item) => sum + item.context.paragraph.length, 0) / pending.length;
+  return estimateCost(pending.length, avgContextLength);
+}
+
+/**
+ * Log a cost estimate
+ * @param {Object} estimate - estimateTranslationWork result
+ * @param {string} unit - Unit the estimate counts
+ * @param {Object} logger - retold logger
+ */
+function logEstimate(estimate, unit, logger) {
+  logger.info('Cost Estimation:');
+  logger.info(`  ${unit[0].toUpperCase()}${unit.slice(1)}s: ${estimate.sentenceCount}`);
+  logger.info(`  Est. Input Tokens: ${estimate.estimatedInputTokens.toLocaleString()}`);
+  logger.info(`  Est. Output Tokens: ${estimate.estimatedOutputTokens.toLocaleString()}`);
+  logger.info(`  Est. Cost: $${estimate.estimatedTotalCost}`);
+  logger.info(`  Note: ${estimate.note}`);
+}
+
+export {
+  resolveUnit,
+  withCacheKeys,
+  collectTranslationWork,
+  estimateTranslationWork,
+  logEstimate
+};
@@ -0,0 +1,107 @@
+/**
+ * Where the retold stages read and write each book's files
+ *
+ *   public/data/books/<id>.json            Book (import, translate --unit passage|chapter)
+ *   <workDir>/<id>/segments.json           Paragraphs and sentences (segment)
+ *   <workDir>/<id>/aligned.json            Segments paired with translations (align)
+ *   <workDir>/<id>/run.json                Manifest of the last translate run (translate)
+ *   public/data/books/<id>-processed.json  Bundle the app loads (build)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BOOKS_DIR } from '../catalog.js';
+import { writeJSONAtomic } from '../atomic-write.js';
+
+/**
+ * Paths of a book's pipeline files
+ * @param {Object} config - Loaded config (workDir)
+ * @param {string} bookId - Book identifier
+ * @returns {Object} book, bundle, workDir, segments, aligned and run paths
+ */
+function getBookPaths(config, bookId) {
+  const workDir = path.join(config.workDir, bookId);
+
+  return {
+    book: path.join(BOOKS_DIR, `${bookId}.json`),
+    bundle: path.join(BOOKS_DIR, `${bookId}-processed.json`),
+    workDir,
+    segments: path.join(workDir, 'segments.json'),
+    aligned: path.join(workDir, 'aligned.json'),
+    run: path.join(workDir, 'run.json')
+  };
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File to read
+ * @param {string} missingMessage - Error message if the file does not exist
+ * @returns {Object} Parsed contents
+ */
+function readJSON(filePath, missingMessage = `File not found: ${filePath}`) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(missingMessage);
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Read a JSON file that may not have been written yet
+ * @param {string} filePath - File to read
+ * @returns {Object|null} Parsed contents, or null
+ */
+function readJSONIfExists(filePath) {
+  return fs.existsSync(filePath) ? readJSON(filePath) : null;
+}
+
+/**
+ * Write a JSON file atomically, creating its directory if needed
+ * @param {string} filePath - File to write
+ * @param {Object} data - Contents
+ */
+function writeJSON(filePath, data) {
+  writeJSONAtomic(filePath, data);
+}
+
+/**
+ * Load a book JSON from public/data/books
+ * @param {Object} paths - getBookPaths result
+ * @param {string} bookId - Book identifier
+ * @returns {Object} Book with chapters
+ */
+function loadBook(paths, bookId) {
+  return readJSON(
+    paths.book,
+    `Book not found: ${paths.book}. Import it first with: retold import <epub-path> ${bookId}`
+  );
+}
+
+/**
+ * Load a book's segments
+ * @param {Object} paths - getBookPaths result
+ * @param {string} bookId - Book identifier
+ * @returns {Object} { metadata, chapters } written by retold segment
+ */
+function loadSegments(paths, bookId) {
+  return readJSON(paths.segments, `No segments for ${bookId} yet. Run: retold segment ${bookId}`);
+}
+
+/**
+ * Path relative to the working directory, for log messages
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative path
+ */
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath) || '.';
+}
+
+export {
+  getBookPaths,
+  readJSON,
+  readJSONIfExists,
+  writeJSON,
+  loadBook,
+  loadSegments,
+  displayPath
+};
@@ -77,6 +77,9 @@ function segmentParagraph(paragraphText, paragraphId) {
           sentenceBuffer = '';
           sentenceStart = currentPos + part.length;
         }
+      } else {
+        // Abbreviation - keep the whitespace that followed the period
+        sentenceBuffer += part.slice(part.trim().length);
       }
     } else {
       sentenceBuffer += part;
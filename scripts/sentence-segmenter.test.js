@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, segmentParagraph } from './sentence-segmenter.js';
+
+describe('segmentParagraph', () => {
+  it('splits on sentence ends and numbers sentences from the paragraph id', () => {
+    const sentences = segmentParagraph('It was cold. Was it? Yes!', 'ch_p1');
+    expect(sentences.map(s => [s.sid, s.text])).toEqual([
+      ['ch_p1_s1', 'It was cold.'],
+      ['ch_p1_s2', 'Was it?'],
+      ['ch_p1_s3', 'Yes!']
+    ]);
+  });
+
+  it('keeps abbreviations inside the sentence, with their spacing', () => {
+    const sentences = segmentParagraph('To Mrs. Saville, England. St. Petersburgh, Dec. 11th.', 'ch_p1');
+    expect(sentences.map(s => s.text)).toEqual([
+      'To Mrs. Saville, England.',
+      'St. Petersburgh, Dec. 11th.'
+    ]);
+  });
+
+  it('gives offsets into the normalized paragraph text', () => {
+    const paragraph = 'I am by birth a Genevese —  and my family is one of the most distinguished.  “Well,” he said.';
+    const normalized = normalizeText(paragraph);
+    segmentParagraph(paragraph, 'ch_p1').forEach(sentence => {
+      expect(normalized.slice(sentence.start, sentence.end)).toBe(sentence.text);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Translation Providers
+ * The translation scripts talk to a model through a provider instead of an
+ * OpenAI client, so the same prompts can run against OpenAI, any
+ * OpenAI-compatible local server (llama.cpp, Ollama, LM Studio), or an
+ * offline mock that needs no network or API key.
+ *
+ * A provider is { name, defaultModel, complete(request) } where request is
+ * { model, messages, temperature, maxTokens, source } and complete resolves to
+ * { text, usage }, usage being { inputTokens, outputTokens } or null when the
+ * backend does not report it. `source` describes what is being translated
+ * ({ type: 'sentence', text }, { type: 'batch', texts } or
+ * { type: 'chapter', paragraphs }); model-backed providers ignore it and the
+ * mock provider answers from it.
+ *
+ * Failed requests reject with the SDK's error, whose status and headers
+ * (Retry-After) tell request-scheduler.js whether and when to retry. The SDK's
+ * own retries are off so the scheduler sees every failure.
+ */
+
+import OpenAI from 'openai';
+
+const PROVIDER_NAMES = ['openai', 'local', 'mock'];
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-5-mini',
+  local: 'llama3.1',
+  mock: 'mock'
+};
+
+/**
+ * Model a provider uses when the caller does not pick one
+ * @param {string} name - Provider name
+ * @returns {string} Model name
+ */
+function getDefaultModel(name) {
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(`Unknown provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return name === 'local'
+    ? process.env.LOCAL_LLM_MODEL || DEFAULT_MODELS.local
+    : DEFAULT_MODELS[name];
+}
+
+// Retries are left to the request scheduler
+const CLIENT_OPTIONS = { maxRetries: 0 };
+
+/**
+ * Wrap an OpenAI SDK client as a provider
+ * @param {string} name - Provider name
+ * @param {Object} client - OpenAI client instance
+ * @param {string} defaultModel - Model used when the caller does not pick one
+ * @returns {Object} Provider
+ */
+function createChatProvider(name, client, defaultModel) {
+  return {
+    name,
+    defaultModel,
+    async complete({ model = defaultModel, messages, temperature, maxTokens }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { max_tokens: maxTokens })
+      });
+      return {
+        text: response.choices[0].message.content.trim(),
+        usage: response.usage
+          ? { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+          : null
+      };
+    }
+  };
+}
+
+/**
+ * OpenAI provider
+ * API key comes from the apiKey option or the OPENAI_API_KEY environment variable
+ * @param {Object} options - apiKey, baseURL
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error(
+      'OPENAI_API_KEY environment variable is required. ' +
+      'Set it with: export OPENAI_API_KEY=your_api_key ' +
+      'or use --provider local or --provider mock'
+    );
+  }
+
+  return createChatProvider(
+    'openai',
+    new OpenAI({ ...CLIENT_OPTIONS, apiKey, ...(options.baseURL && { baseURL: options.baseURL }) }),
+    getDefaultModel('openai')
+  );
+}
+
+/**
+ * OpenAI-compatible local server (Ollama by default)
+ * Base URL, key and model come from options or LOCAL_LLM_BASE_URL,
+ * LOCAL_LLM_API_KEY and LOCAL_LLM_MODEL; most local servers ignore the key
+ * @param {Object} options - baseURL, apiKey, model
+ * @returns {Object} Provider
+ */
+function createLocalProvider(options = {}) {
+  const baseURL = options.baseURL || process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL;
+  const apiKey = options.apiKey || process.env.LOCAL_LLM_API_KEY || 'local';
+  const defaultModel = options.model || getDefaultModel('local');
+
+  return createChatProvider('local', new OpenAI({ ...CLIENT_OPTIONS, apiKey, baseURL }), defaultModel);
+}
+
+/**
+ * Deterministic offline provider for tests and dry runs
+ * Echoes the source text back in the shape each prompt asks for: plain text
+ * for sentences, a numbered JSON object for batches and paragraphs separated by
+ * blank lines for chapters. Usage is not reported
+ * @param {Object} options - prefix added to every translated text (default none)
+ * @returns {Object} Provider
+ */
+function createMockProvider(options = {}) {
+  const { prefix = '' } = options;
+  const echo = (text) => `${prefix}${text}`;
+
+  return {
+    name: 'mock',
+    defaultModel: getDefaultModel('mock'),
+    async complete({ source }) {
+      if (!source) {
+        throw new Error('The mock provider needs a source to echo');
+      }
+
+      switch (source.type) {
+        case 'sentence':
+          return { text: echo(source.text), usage: null };
+        case 'batch':
+          return {
+            text: JSON.stringify(
+              Object.fromEntries(source.texts.map((text, idx) => [String(idx + 1), echo(text)]))
+            ),
+            usage: null
+          };
+        case 'chapter':
+          return { text: source.paragraphs.map(echo).join('\n\n'), usage: null };
+        default:
+          throw new Error(`The mock provider cannot answer a "${source.type}" request`);
+      }
+    }
+  };
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'openai', 'local' or 'mock'
+ * @param {Object} options - Provider options (see the factories above)
+ * @returns {Object} Provider
+ */
+function createProvider(name = 'openai', options = {}) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'local':
+      return createLocalProvider(options);
+    case 'mock':
+      return createMockProvider(options);
+    default:
+      throw new Error(`Unknown provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+export {
+  PROVIDER_NAMES,
+  getDefaultModel,
+  createProvider,
+  createOpenAIProvider,
+  createLocalProvider,
+  createMockProvider
+};
@@ -1,28 +1,32 @@
 /**
  * Translation Service
- * Uses GPT-5-mini to translate classic text to modern English with proper context
+ * Translates classic text to modern English with proper context, through a
+ * translation provider (GPT-5-mini on OpenAI by default; see translation-providers.js)
  */
 
-import OpenAI from 'openai';
-import fs from 'fs';
-import path from 'path';
+import { createProvider, getDefaultModel } from './translation-providers.js';
+import { createScheduler } from './request-scheduler.js';
+import { extractParagraphsFromHTML } from './sentence-segmenter.js';
 
-/**
- * Initialize OpenAI client
- * API key should be set in OPENAI_API_KEY environment variable
- */
-function createClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-
-  if (!apiKey) {
-    throw new Error(
-      'OPENAI_API_KEY environment variable is required. ' +
-      'Set it with: export OPENAI_API_KEY=your_api_key'
-    );
-  }
+// Full chapters go to gpt-4o-mini on OpenAI; other providers use their own default
+const OPENAI_CHAPTER_MODEL = 'gpt-4o-mini';
 
-  return new OpenAI({ apiKey });
-}
+// Bump a template's version whenever its prompt changes, so translations
+// cached under the old prompt are not reused
+const PROMPT_VERSIONS = {
+  sentence: 1,
+  batch: 2,
+  chapter: 1
+};
+
+// Marks the text translateBatch and translateBatchGroup return for sentences they could not translate
+const FAILED_TRANSLATION = /^\[Translation failed/;
+
+// Rough size of a token in English text, for estimates
+const CHARS_PER_TOKEN = 4;
+
+// Longest chapter translation we ask for, in tokens
+const CHAPTER_MAX_TOKENS = 4000;
 
 /**
  * Build the translation prompt with full context
@@ -62,24 +66,25 @@ Provide ONLY the modern English translation, without any explanation or commenta
 }
 
 /**
- * Translate a single sentence using GPT-5-mini
- * @param {Object} client - OpenAI client instance
+ * Translate a single sentence
+ * @param {Object} provider - Translation provider (see translation-providers.js)
  * @param {string} sentence - The sentence to translate
  * @param {Object} context - Context object
  * @param {string} bookName - Name of the book
- * @param {Object} options - Optional parameters (model)
+ * @param {Object} options - Optional parameters (model, defaults to the provider's)
  * @returns {Promise<string>} The translated sentence
  */
-async function translateSentence(client, sentence, context, bookName, options = {}) {
+async function translateSentence(provider, sentence, context, bookName, options = {}) {
   const {
-    model = 'gpt-5-mini' // Can be overridden for testing with gpt-4o-mini
+    model = provider.defaultModel
   } = options;
 
   const prompt = buildTranslationPrompt(sentence, context, bookName);
 
   try {
-    const response = await client.chat.completions.create({
+    const { text: translation } = await provider.complete({
       model,
+      source: { type: 'sentence', text: sentence },
       messages: [
         {
           role: 'system',
@@ -92,13 +97,14 @@ async function translateSentence(client, sentence, context, bookName, options =
       ]
     });
 
-    const translation = response.choices[0].message.content.trim();
-
     // Remove any quotes that the model might add
     return translation.replace(/^["']|["']$/g, '');
   } catch (error) {
-    console.error(`Translation error for sentence: "${sentence.substring(0, 50)}..."`, error);
-    throw new Error(`Translation failed: ${error.message}`);
+    // Keep the status and headers the request scheduler decides retries by
+    throw Object.assign(new Error(`Translation failed for sentence "${sentence.substring(0, 50)}...": ${error.message}`, { cause: error }), {
+      status: error.status,
+      headers: error.headers
+    });
   }
 }
 
@@ -110,14 +116,17 @@ async function translateSentence(client, sentence, context, bookName, options =
  * @returns {string} Formatted prompt for GPT-5-mini
  */
 function buildBatchTranslationPrompt(sentences, bookName) {
+  // Every sentence is translated with its own paragraph, as its cache key
+  // assumes; sentences from the same paragraph share one copy of it
+  const paragraphs = [...new Set(sentences.map(item => item.context.paragraph))];
+
   const sentenceList = sentences
-    .map((item, idx) => `${idx + 1}. "${item.sentence}"`)
+    .map((item, idx) => `${idx + 1}. [${paragraphs.indexOf(item.context.paragraph) + 1}] "${item.sentence}"`)
     .join('\n');
 
-  const contextInfo = sentences
-    .slice(0, 3) // Use context from first 3 sentences to save tokens
-    .map(item => `- ${item.context.paragraph.substring(0, 200)}...`)
-    .join('\n');
+  const contextInfo = paragraphs
+    .map((paragraph, idx) => `[${idx + 1}] ${paragraph}`)
+    .join('\n\n');
 
   const prompt = `You are translating classic literature to modern English. You are currently working on "${bookName}".
 
@@ -127,10 +136,10 @@ Your task is to translate the following sentences from classic/archaic English i
 - Cultural and historical context
 - Character voice and style
 
-CONTEXT - Sample Paragraphs:
+CONTEXT - The paragraphs the sentences come from:
 ${contextInfo}
 
-SENTENCES TO TRANSLATE:
+SENTENCES TO TRANSLATE (each with the number of its paragraph in brackets):
 ${sentenceList}
 
 Guidelines:
@@ -152,18 +161,60 @@ Do not include any other text or explanation.`;
   return prompt;
 }
 
+/**
+ * Share a request's token usage between the sentences it translated, by length
+ * @param {Object|null} usage - Request usage from the provider
+ * @param {Array} sentenceBatch - Array of {sentence, sid} objects
+ * @returns {Object} Map of sentence IDs to usage (or null)
+ */
+function splitUsage(usage, sentenceBatch) {
+  const totalLength = sentenceBatch.reduce((sum, item) => sum + item.sentence.length, 0) || 1;
+
+  return Object.fromEntries(sentenceBatch.map(item => {
+    if (!usage) return [item.sid, null];
+    const share = item.sentence.length / totalLength;
+    return [item.sid, {
+      inputTokens: Math.round(usage.inputTokens * share),
+      outputTokens: Math.round(usage.outputTokens * share)
+    }];
+  }));
+}
+
+/**
+ * Total tokens in a usage report
+ * @param {Object|null} usage - { inputTokens, outputTokens }
+ * @returns {number|null} Token count, or null if not reported
+ */
+function countUsageTokens(usage) {
+  return usage ? usage.inputTokens + usage.outputTokens : null;
+}
+
+/**
+ * Rough token count of a batch request, for the scheduler's tokens-per-minute budget
+ * @param {Array} sentenceBatch - Array of {sentence, context, sid} objects
+ * @param {string} bookName - Name of the book
+ * @returns {number} Estimated input plus output tokens
+ */
+function estimateBatchTokens(sentenceBatch, bookName) {
+  const prompt = buildBatchTranslationPrompt(sentenceBatch, bookName);
+  const sourceLength = sentenceBatch.reduce((sum, item) => sum + item.sentence.length, 0);
+  // Translations run a little longer than the source, plus the JSON around them
+  return Math.ceil((prompt.length + sourceLength * 1.5) / CHARS_PER_TOKEN);
+}
+
 /**
  * Translate multiple sentences in a single API call (batch mode)
  * This is much faster than translating one-by-one
- * @param {Object} client - OpenAI client instance
+ * @param {Object} provider - Translation provider (see translation-providers.js)
  * @param {Array} sentenceBatch - Array of {sentence, context, sid} objects (max 10)
  * @param {string} bookName - Name of the book
  * @param {Object} options - Optional parameters (model, retryAttempts)
- * @returns {Promise<Object>} Map of sentence IDs to translations
+ * @returns {Promise<Object>} { translations, usage }: maps of sentence IDs to
+ *   translations and to each sentence's share of the request's token usage
  */
-async function translateBatchGroup(client, sentenceBatch, bookName, options = {}) {
+async function translateBatchGroup(provider, sentenceBatch, bookName, options = {}) {
   const {
-    model = 'gpt-5-mini',
+    model = provider.defaultModel,
     retryAttempts = 2
   } = options;
 
@@ -172,8 +223,9 @@ async function translateBatchGroup(client, sentenceBatch, bookName, options = {}
 
   for (let attempt = 0; attempt < retryAttempts; attempt++) {
     try {
-      const response = await client.chat.completions.create({
+      const { text: content, usage } = await provider.complete({
         model,
+        source: { type: 'batch', texts: sentenceBatch.map(item => item.sentence) },
         messages: [
           {
             role: 'system',
@@ -186,8 +238,6 @@ async function translateBatchGroup(client, sentenceBatch, bookName, options = {}
         ]
       });
 
-      const content = response.choices[0].message.content.trim();
-
       // Parse JSON response
       let parsed;
       try {
@@ -209,7 +259,7 @@ async function translateBatchGroup(client, sentenceBatch, bookName, options = {}
         translations[item.sid] = parsed[key] || `[Translation failed for index ${idx}]`;
       });
 
-      return translations;
+      return { translations, usage: splitUsage(usage, sentenceBatch) };
     } catch (error) {
       lastError = error;
       if (attempt < retryAttempts - 1) {
@@ -224,22 +274,32 @@ async function translateBatchGroup(client, sentenceBatch, bookName, options = {}
 
 /**
  * Translate multiple sentences with batching and parallel processing
- * Groups sentences into batches of 10 and sends requests in parallel
+ * Groups sentences into batches of 10 and sends them through a request
+ * scheduler (options.scheduler, or one allowing maxParallel requests at once),
+ * which paces them and retries failures
+ * Sentences that could not be translated map to a failure marker (see isFailedTranslation)
+ * options.onBatch(batch, { translations, usage }) runs as each batch finishes,
+ * so callers can checkpoint; if it throws, translateBatch rejects once the
+ * batches in flight have finished
  * @param {Array} sentencesWithContext - Array of {sentence, context, sid} objects
  * @param {string} bookName - Name of the book
- * @param {Object} options - Translation options and callbacks
- * @returns {Promise<Object>} Map of sentence IDs to translations
+ * @param {Object} options - Translation options and callbacks (provider defaults to OpenAI, logger to console)
+ * @returns {Promise<Object>} { translations, usage } as for translateBatchGroup
  */
 async function translateBatch(sentencesWithContext, bookName, options = {}) {
   const {
     onProgress = () => {},
+    onBatch = () => {},
     batchSize = 10, // Number of sentences per API call (was 1, now 10x faster)
     maxParallel = 3, // Number of parallel requests
+    provider = createProvider('openai'),
+    logger = console,
+    scheduler = createScheduler({ maxConcurrent: maxParallel, logger }),
     ...translationOptions
   } = options;
 
-  const client = createClient();
   const translations = {};
+  const usage = {};
   const total = sentencesWithContext.length;
   let processedCount = 0;
 
@@ -249,124 +309,218 @@ async function translateBatch(sentencesWithContext, bookName, options = {}) {
     batches.push(sentencesWithContext.slice(i, i + batchSize));
   }
 
-  console.log(`Processing ${total} sentences in ${batches.length} batches of ${batchSize}...`);
-  console.log(`Speed improvement: ~${Math.round((total / batches.length))}x fewer API calls`);
-
-  // Process batches in parallel (max maxParallel at a time)
-  for (let b = 0; b < batches.length; b += maxParallel) {
-    const parallelBatches = batches.slice(b, b + maxParallel);
-
-    const batchPromises = parallelBatches.map(batch =>
-      translateBatchGroup(client, batch, bookName, translationOptions)
-        .then(batchResults => {
-          // Update translations and progress
-          Object.assign(translations, batchResults);
-
-          batch.forEach(item => {
-            processedCount++;
-            const translation = translations[item.sid] || '';
-            onProgress({
-              current: processedCount,
-              total,
-              sid: item.sid,
-              sentence: item.sentence.substring(0, 80),
-              translation: translation.substring(0, 80)
-            });
+  logger.info(`Processing ${total} sentences in ${batches.length} batches of ${batchSize}...`);
+  logger.info(`Speed improvement: ~${Math.round((total / batches.length))}x fewer API calls`);
+
+  // The scheduler decides when each batch goes out; it owns the retries
+  const batchPromises = batches.map(batch =>
+    scheduler.run(
+      () => translateBatchGroup(provider, batch, bookName, { ...translationOptions, retryAttempts: 1 }),
+      {
+        tokens: estimateBatchTokens(batch, bookName),
+        actualTokens: (batchResults) => {
+          const counts = Object.values(batchResults.usage).map(countUsageTokens);
+          return counts.includes(null) ? null : counts.reduce((sum, count) => sum + count, 0);
+        }
+      }
+    )
+      .then(batchResults => {
+        // Update translations and progress
+        Object.assign(translations, batchResults.translations);
+        Object.assign(usage, batchResults.usage);
+
+        batch.forEach(item => {
+          processedCount++;
+          const translation = translations[item.sid] || '';
+          onProgress({
+            current: processedCount,
+            total,
+            sid: item.sid,
+            sentence: item.sentence.substring(0, 80),
+            translation: translation.substring(0, 80)
           });
-
-          return batchResults;
-        })
-        .catch(error => {
-          // Handle batch errors gracefully
-          batch.forEach(item => {
-            processedCount++;
-            translations[item.sid] = `[Translation failed: ${error.message}]`;
-            onProgress({
-              current: processedCount,
-              total,
-              sid: item.sid,
-              sentence: item.sentence.substring(0, 80),
-              translation: `[Failed: ${error.message.substring(0, 40)}]`
-            });
+        });
+
+        return batchResults;
+      }, error => {
+        // Handle batch errors gracefully
+        const failed = {};
+        batch.forEach(item => {
+          processedCount++;
+          failed[item.sid] = `[Translation failed: ${error.message}]`;
+          onProgress({
+            current: processedCount,
+            total,
+            sid: item.sid,
+            sentence: item.sentence.substring(0, 80),
+            translation: `[Failed: ${error.message.substring(0, 40)}]`
           });
-          throw error;
-        })
-    );
-
-    // Wait for all parallel requests to complete before starting next batch
-    await Promise.allSettled(batchPromises);
+        });
+        Object.assign(translations, failed);
+        return { translations: failed, usage: {} };
+      })
+      .then(batchResults => onBatch(batch, batchResults))
+  );
+
+  const results = await Promise.allSettled(batchPromises);
+  const callbackError = results.find(result => result.status === 'rejected');
+  if (callbackError) {
+    throw callbackError.reason;
   }
 
-  return translations;
+  return { translations, usage };
 }
 
 /**
- * Get the cache file path for a book
- * @param {string} bookId - Book identifier
- * @returns {string} Path to cache file
+ * Model a translation unit uses
+ * @param {string} unit - sentence, passage or chapter
+ * @param {string} providerName - Provider name
+ * @param {string|null} model - Model picked by the caller, if any
+ * @returns {string} Model name
  */
-function getCachePath(bookId) {
-  return path.join(process.cwd(), '.translation-cache', `${bookId}.json`);
+function resolveTranslationModel(unit, providerName, model) {
+  if (model) return model;
+  if (unit === 'chapter' && providerName === 'openai') return OPENAI_CHAPTER_MODEL;
+  return getDefaultModel(providerName);
 }
 
 /**
- * Load translations from cache
- * @param {string} bookId - Book identifier
- * @returns {Object} Cached translations or empty object
+ * Check whether translateBatch gave up on a sentence
+ * @param {string} translation - Translation returned for the sentence
+ * @returns {boolean} True for failure markers
  */
-function loadTranslationCache(bookId) {
-  const cachePath = getCachePath(bookId);
-  try {
-    if (fs.existsSync(cachePath)) {
-      const data = fs.readFileSync(cachePath, 'utf-8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.warn(`Warning: Could not load translation cache for ${bookId}:`, error.message);
-  }
-  return {};
+function isFailedTranslation(translation) {
+  return FAILED_TRANSLATION.test(translation);
+}
+
+/**
+ * Strip HTML tags but preserve basic structure
+ * @param {string} html - Chapter HTML
+ * @returns {string} Plain text
+ */
+function stripHtmlTags(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
 /**
- * Save translations to cache
- * @param {string} bookId - Book identifier
- * @param {Object} translations - Map of sentence IDs to translations
+ * Build the prompt for translating a full chapter
+ * @param {string} chapterHtml - Original chapter HTML
+ * @param {string} chapterTitle - Chapter title
+ * @param {string} bookName - Name of the book being translated
+ * @returns {string} Formatted prompt
  */
-function saveTranslationCache(bookId, translations) {
+function buildChapterTranslationPrompt(chapterHtml, chapterTitle, bookName) {
+  const plainText = stripHtmlTags(chapterHtml);
+
+  return `You are translating a classic literature chapter to modern English. You are working on "${bookName}".
+
+Chapter Title: "${chapterTitle}"
+
+Please translate the following chapter from classic/archaic English into clear, modern English while preserving:
+- The original meaning and nuance
+- Literary quality and tone
+- Cultural and historical context
+- Character voice and style
+- Paragraph structure and breaks
+
+CHAPTER TEXT:
+${plainText}
+
+Guidelines:
+1. Modernize archaic vocabulary and phrasing
+2. Simplify complex sentence structures if needed for clarity
+3. Keep the same emotional tone and literary style
+4. Preserve any proper nouns, character names, and place names
+5. Maintain paragraph breaks
+6. Do NOT include HTML tags in your response - just plain text
+
+Provide ONLY the modernized chapter text with proper paragraph breaks (use double newlines between paragraphs). No explanations or commentary.`;
+}
+
+/**
+ * Translate a full chapter
+ * @param {Object} provider - Translation provider (see translation-providers.js)
+ * @param {string} chapterHtml - Original chapter HTML
+ * @param {string} chapterTitle - Chapter title
+ * @param {string} bookName - Name of the book
+ * @param {Object} options - Optional parameters (model, defaults to gpt-4o-mini on OpenAI)
+ * @returns {Promise<Object>} { text, usage }: the chapter as plain text, paragraphs
+ *   separated by blank lines, and the request's token usage
+ */
+async function translateChapter(provider, chapterHtml, chapterTitle, bookName, options = {}) {
+  const {
+    model = resolveTranslationModel('chapter', provider.name, provider.defaultModel)
+  } = options;
+
+  const prompt = buildChapterTranslationPrompt(chapterHtml, chapterTitle, bookName);
+
   try {
-    const cacheDir = path.join(process.cwd(), '.translation-cache');
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-    }
-    const cachePath = getCachePath(bookId);
-    fs.writeFileSync(cachePath, JSON.stringify(translations, null, 2));
-    console.log(`Translation cache saved for ${bookId}`);
+    return await provider.complete({
+      model,
+      source: { type: 'chapter', paragraphs: extractParagraphsFromHTML(chapterHtml) },
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert translator specializing in modernizing classic literature while preserving literary quality and meaning.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      maxTokens: CHAPTER_MAX_TOKENS
+    });
   } catch (error) {
-    console.warn(`Warning: Could not save translation cache for ${bookId}:`, error.message);
+    // Keep the status and headers the request scheduler decides retries by
+    throw Object.assign(new Error(`Translation failed for chapter "${chapterTitle}": ${error.message}`, { cause: error }), {
+      status: error.status,
+      headers: error.headers
+    });
   }
 }
 
 /**
- * Filter out already-translated sentences
- * @param {Array} sentences - Array of {sentence, context, sid} objects
- * @param {Object} cache - Cached translations
- * @returns {Array} Sentences that need translation
+ * Rough token count of a chapter request, for the scheduler's tokens-per-minute budget
+ * @param {string} chapterHtml - Original chapter HTML
+ * @param {string} chapterTitle - Chapter title
+ * @param {string} bookName - Name of the book
+ * @returns {number} Estimated input plus output tokens
+ */
+function estimateChapterTokens(chapterHtml, chapterTitle, bookName) {
+  const inputTokens = Math.ceil(buildChapterTranslationPrompt(chapterHtml, chapterTitle, bookName).length / CHARS_PER_TOKEN);
+  // The translation is about as long as the chapter, up to the output limit
+  const outputTokens = Math.min(CHAPTER_MAX_TOKENS, Math.ceil(stripHtmlTags(chapterHtml).length / CHARS_PER_TOKEN));
+  return inputTokens + outputTokens;
+}
+
+/**
+ * Convert a translated chapter to HTML, one <p> per paragraph
+ * @param {string} text - Plain text with paragraphs separated by blank lines
+ * @returns {string} Chapter HTML
  */
-function filterCachedSentences(sentences, cache) {
-  return sentences.filter(item => !cache[item.sid]);
+function textToHtml(text) {
+  return text
+    .split('\n\n')
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${paragraph.trim()}</p>`)
+    .join('\n');
 }
 
 /**
  * Estimate cost for translating a batch of sentences
  * Pricing as of GPT-5-mini (approximate, check current pricing)
- * @param {number} sentenceCount - Number of sentences to translate
+ * @param {number} sentenceCount - Number of sentences (or passages, chapters) to translate
  * @param {number} avgContextLength - Average context length in characters
+ * @param {number} avgOutputTokens - Estimated output per item (100 suits a sentence)
  * @returns {Object} Cost estimation
  */
-function estimateCost(sentenceCount, avgContextLength = 500) {
+function estimateCost(sentenceCount, avgContextLength = 500, avgOutputTokens = 100) {
   // Rough estimates - adjust based on actual GPT-5-mini pricing
-  const avgInputTokens = Math.ceil(avgContextLength / 4); // ~4 chars per token
-  const avgOutputTokens = 100; // Estimated output per sentence
+  const avgInputTokens = Math.ceil(avgContextLength / CHARS_PER_TOKEN);
 
   const inputCostPer1M = 0.10; // $0.10 per 1M input tokens (example)
   const outputCostPer1M = 0.30; // $0.30 per 1M output tokens (example)
@@ -389,15 +543,20 @@ function estimateCost(sentenceCount, avgContextLength = 500) {
 }
 
 export {
-  createClient,
+  PROMPT_VERSIONS,
   buildTranslationPrompt,
   buildBatchTranslationPrompt,
   translateSentence,
   translateBatchGroup,
   translateBatch,
-  loadTranslationCache,
-  saveTranslationCache,
-  filterCachedSentences,
-  getCachePath,
+  countUsageTokens,
+  estimateBatchTokens,
+  resolveTranslationModel,
+  isFailedTranslation,
+  buildChapterTranslationPrompt,
+  translateChapter,
+  estimateChapterTokens,
+  stripHtmlTags,
+  textToHtml,
   estimateCost
 };
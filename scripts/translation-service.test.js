@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { buildBatchTranslationPrompt } from './translation-service.js';
+
+const FIRST = 'It was cold. It was dark.';
+const SECOND = 'The ship sailed on. Nobody spoke.';
+
+const item = (sentence, paragraph) => ({ sentence, context: { paragraph, prev_sentence: null, next_sentence: null } });
+
+describe('buildBatchTranslationPrompt', () => {
+  const batch = [
+    item('It was cold.', FIRST),
+    item('It was dark.', FIRST),
+    item('The ship sailed on.', SECOND),
+    item('Nobody spoke.', SECOND)
+  ];
+  const prompt = buildBatchTranslationPrompt(batch, 'Frankenstein');
+
+  it('gives every sentence its own paragraph as context, once per paragraph', () => {
+    expect(prompt).toContain(`[1] ${FIRST}`);
+    expect(prompt).toContain(`[2] ${SECOND}`);
+    expect(prompt.split(SECOND)).toHaveLength(2);
+  });
+
+  it('points each sentence at its paragraph', () => {
+    expect(prompt).toContain('1. [1] "It was cold."');
+    expect(prompt).toContain('2. [1] "It was dark."');
+    expect(prompt).toContain('3. [2] "The ship sailed on."');
+    expect(prompt).toContain('4. [2] "Nobody spoke."');
+  });
+
+  it('sends sentences late in a long batch with their context too', () => {
+    const long = Array.from({ length: 10 }, (_, i) => item(`Sentence ${i}.`, `Paragraph ${i} text.`));
+    const longPrompt = buildBatchTranslationPrompt(long, 'Frankenstein');
+    expect(longPrompt).toContain('[10] Paragraph 9 text.');
+    expect(longPrompt).toContain('10. [10] "Sentence 9."');
+  });
+});
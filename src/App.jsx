@@ -1,33 +1,124 @@
 import React, { useState, useEffect } from 'react';
 import Library from './components/Library';
 import Reader from './components/Reader';
-import { loadBookContent, getBookById } from './utils/books';
-import { getPreference, savePreference } from './utils/storage';
+import Settings from './components/Settings';
+import Stats from './components/Stats';
+import { loadBookContent, getBookById, getChapterById } from './utils/books';
+import { getPreference, savePreference, getProgress } from './utils/storage';
+import { getCurrentRoute, pushRoute } from './utils/routes';
+import { DEFAULT_TYPOGRAPHY, normalizeTypography, applyTypography } from './utils/typography';
+import {
+  DEFAULT_AUTO_THEME,
+  DEFAULT_CUSTOM_THEME,
+  resolveTheme,
+  normalizeCustomTheme,
+  buildCustomThemeProperties
+} from './utils/themes';
 import './styles/themes.css';
 import './styles/global.css';
 
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
 function App() {
-  const [currentView, setCurrentView] = useState('library');
+  const [route, setRoute] = useState(getCurrentRoute);
   const [selectedBookId, setSelectedBookId] = useState(null);
   const [bookContent, setBookContent] = useState(null);
+  const [bookMetadata, setBookMetadata] = useState(null);
+  const [initialChapterId, setInitialChapterId] = useState(null);
   const [theme, setTheme] = useState('light');
+  const [autoTheme, setAutoTheme] = useState(DEFAULT_AUTO_THEME);
+  const [customTheme, setCustomTheme] = useState(DEFAULT_CUSTOM_THEME);
+  const [prefersDark, setPrefersDark] = useState(() => darkSchemeQuery.matches);
+  const [clock, setClock] = useState(() => new Date());
+  const [typography, setTypography] = useState(DEFAULT_TYPOGRAPHY);
   const [loading, setLoading] = useState(false);
 
-  // Load theme preference on mount
+  // Load theme and typography preferences on mount
+  useEffect(() => {
+    loadDisplayPreferences();
+  }, []);
+
+  // Follow the OS color scheme for the auto theme
   useEffect(() => {
-    loadThemePreference();
+    const handleChange = (e) => setPrefersDark(e.matches);
+    darkSchemeQuery.addEventListener('change', handleChange);
+    return () => darkSchemeQuery.removeEventListener('change', handleChange);
   }, []);
 
+  // Re-check sunrise/sunset once a minute while the auto theme runs on a schedule
+  useEffect(() => {
+    if (theme !== 'auto' || autoTheme.schedule !== 'sun') return;
+
+    setClock(new Date());
+    const interval = setInterval(() => setClock(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [theme, autoTheme.schedule]);
+
   // Apply theme to body
   useEffect(() => {
-    document.body.className = `${theme}-theme`;
-  }, [theme]);
+    const effectiveTheme = resolveTheme(theme, { prefersDark, autoTheme, now: clock });
+    document.body.className = `${effectiveTheme}-theme`;
+
+    const properties = buildCustomThemeProperties(customTheme);
+    Object.entries(properties).forEach(([property, value]) => {
+      if (effectiveTheme === 'custom') {
+        document.body.style.setProperty(property, value);
+      } else {
+        document.body.style.removeProperty(property);
+      }
+    });
+  }, [theme, prefersDark, autoTheme, customTheme, clock]);
+
+  // Apply typography as CSS custom properties
+  useEffect(() => {
+    applyTypography(typography);
+  }, [typography]);
+
+  // Follow browser back/forward (and tidy an unknown URL back to /)
+  useEffect(() => {
+    pushRoute(getCurrentRoute(), { replace: true });
+
+    const handlePopState = () => setRoute(getCurrentRoute());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Load the book named in the URL
+  useEffect(() => {
+    if (route.view !== 'reader') {
+      setSelectedBookId(null);
+      setBookContent(null);
+      setBookMetadata(null);
+      return;
+    }
+
+    if (route.bookId === selectedBookId) return;
+
+    let cancelled = false;
+    loadBook(route.bookId, route.chapterId, () => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [route.view, route.bookId]);
+
+  function navigate(nextRoute, options) {
+    pushRoute(nextRoute, options);
+    setRoute(nextRoute);
+  }
 
-  async function loadThemePreference() {
-    const savedTheme = await getPreference('theme');
+  async function loadDisplayPreferences() {
+    const [savedTheme, savedAutoTheme, savedCustomTheme, savedTypography] = await Promise.all([
+      getPreference('theme'),
+      getPreference('autoTheme'),
+      getPreference('customTheme'),
+      getPreference('typography')
+    ]);
     if (savedTheme) {
       setTheme(savedTheme);
     }
+    setAutoTheme({ ...DEFAULT_AUTO_THEME, ...savedAutoTheme });
+    setCustomTheme(normalizeCustomTheme(savedCustomTheme));
+    setTypography(normalizeTypography(savedTypography));
   }
 
   async function handleThemeChange(newTheme) {
@@ -35,38 +126,97 @@ function App() {
     await savePreference('theme', newTheme);
   }
 
-  async function handleBookSelect(bookId) {
+  async function handleAutoThemeChange(newAutoTheme) {
+    setAutoTheme(newAutoTheme);
+    await savePreference('autoTheme', newAutoTheme);
+  }
+
+  // Saving the custom colors also switches to the custom theme
+  async function handleCustomThemeSave(newCustomTheme) {
+    setCustomTheme(newCustomTheme);
+    await savePreference('customTheme', newCustomTheme);
+    await handleThemeChange('custom');
+  }
+
+  async function handleTypographyChange(newTypography) {
+    setTypography(newTypography);
+    await savePreference('typography', newTypography);
+  }
+
+  async function loadBook(bookId, chapterId, isCancelled) {
     setLoading(true);
     try {
-      const content = await loadBookContent(bookId);
+      const [content, metadata, progress] = await Promise.all([
+        loadBookContent(bookId),
+        getBookById(bookId),
+        getProgress(bookId)
+      ]);
+      if (isCancelled()) return;
+
+      // Open the linked chapter, else resume at the saved one, if it still exists
+      const startChapterId = [chapterId, progress?.currentChapter]
+        .find(id => id && getChapterById(content, id)) || content.chapters[0].id;
+
       setBookContent(content);
+      setBookMetadata(metadata);
+      setInitialChapterId(startChapterId);
       setSelectedBookId(bookId);
-      setCurrentView('reader');
     } catch (error) {
+      if (isCancelled()) return;
       console.error('Error loading book:', error);
       alert('Failed to load book. Please try again.');
+      navigate({ view: 'library' }, { replace: true });
     } finally {
       setLoading(false);
     }
   }
 
+  function handleBookSelect(bookId) {
+    navigate({ view: 'reader', bookId });
+  }
+
   function handleBackToLibrary() {
-    setCurrentView('library');
-    setSelectedBookId(null);
-    setBookContent(null);
+    navigate({ view: 'library' });
   }
 
-  if (loading) {
+  // Keep the URL on the chapter being read. The first report only fills in
+  // (or corrects) the chapter from the URL, so it replaces the history entry.
+  function handleChapterChange(chapterId) {
+    if (chapterId === route.chapterId) return;
+
+    const replace = !route.chapterId || !getChapterById(bookContent, route.chapterId);
+    navigate({ view: 'reader', bookId: route.bookId, chapterId, sid: null }, { replace });
+  }
+
+  if (route.view === 'settings') {
     return (
-      <div className="loading-container">
-        <div className="spinner"></div>
-        <p>Loading book...</p>
-      </div>
+      <Settings
+        onBack={() => navigate({ view: 'library' })}
+        onDataImported={loadDisplayPreferences}
+        theme={theme}
+        onThemeChange={handleThemeChange}
+        autoTheme={autoTheme}
+        onAutoThemeChange={handleAutoThemeChange}
+        customTheme={customTheme}
+        onCustomThemeSave={handleCustomThemeSave}
+      />
     );
   }
 
-  if (currentView === 'reader' && bookContent) {
-    const bookMetadata = getBookById(selectedBookId);
+  if (route.view === 'stats') {
+    return <Stats onBack={() => navigate({ view: 'library' })} />;
+  }
+
+  if (route.view === 'reader') {
+    if (loading || !bookContent || selectedBookId !== route.bookId) {
+      return (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading book...</p>
+        </div>
+      );
+    }
+
     const bookWithMetadata = {
       ...bookMetadata,
       ...bookContent
@@ -74,17 +224,27 @@ function App() {
 
     return (
       <Reader
+        key={selectedBookId}
         book={bookWithMetadata}
-        initialChapterId={bookContent.chapters[0].id}
+        initialChapterId={initialChapterId}
+        routeChapterId={route.chapterId}
+        routeSentenceId={route.sid}
+        onChapterChange={handleChapterChange}
         onBack={handleBackToLibrary}
         theme={theme}
         onThemeChange={handleThemeChange}
+        typography={typography}
+        onTypographyChange={handleTypographyChange}
       />
     );
   }
 
   return (
-    <Library onBookSelect={handleBookSelect} />
+    <Library
+      onBookSelect={handleBookSelect}
+      onOpenSettings={() => navigate({ view: 'settings' })}
+      onOpenStats={() => navigate({ view: 'stats' })}
+    />
   );
 }
 
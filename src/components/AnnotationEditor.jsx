@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { HIGHLIGHT_COLORS } from '../utils/annotations';
+import './HighlightPopup.css';
+import './AnnotationEditor.css';
+
+export default function AnnotationEditor({ quote, onSave, onClose }) {
+  const [color, setColor] = useState(HIGHLIGHT_COLORS[0].id);
+  const [note, setNote] = useState('');
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave({ color, note: note.trim() });
+  }
+
+  return (
+    <div className="highlight-overlay" onClick={onClose}>
+      <form className="highlight-modal annotation-editor" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="highlight-header">
+          <h3>Highlight</h3>
+          <button type="button" className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="highlight-content">
+          <p className={`annotation-editor-quote annotation-${color}`}>{quote}</p>
+
+          <div className="annotation-colors" role="radiogroup" aria-label="Highlight color">
+            {HIGHLIGHT_COLORS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                role="radio"
+                aria-checked={color === option.id}
+                aria-label={option.label}
+                title={option.label}
+                className={`annotation-swatch annotation-${option.id} ${color === option.id ? 'active' : ''}`}
+                onClick={() => setColor(option.id)}
+              />
+            ))}
+          </div>
+
+          <textarea
+            className="annotation-note-input"
+            placeholder="Add a note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+          />
+
+          <div className="annotation-editor-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn">Save</button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useRef } from 'react';
+import './TableOfContents.css';
+import './AnnotationsPanel.css';
+
+export default function AnnotationsPanel({ book, annotations, onJump, onDelete, onExport, onImport, onClose }) {
+  const fileInputRef = useRef(null);
+
+  const groups = book.chapters
+    .map(chapter => ({
+      chapter,
+      items: annotations
+        .filter(annotation => annotation.chapterId === chapter.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className="toc-overlay" onClick={onClose}>
+      <div className="toc-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="toc-header">
+          <h2>Annotations</h2>
+          <button className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="annotations-toolbar">
+          <span className="annotations-toolbar-label">Export</span>
+          <button className="btn-ghost" onClick={() => onExport('markdown')} disabled={annotations.length === 0}>
+            Markdown
+          </button>
+          <button className="btn-ghost" onClick={() => onExport('json')} disabled={annotations.length === 0}>
+            JSON
+          </button>
+          <button className="btn-ghost" onClick={() => onExport('csv')} disabled={annotations.length === 0}>
+            Flashcards (CSV)
+          </button>
+          <button className="btn-ghost annotations-import" onClick={() => fileInputRef.current?.click()}>
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) onImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+
+        <div className="toc-content">
+          {groups.length === 0 && (
+            <p className="annotations-empty">
+              Select text in the chapter and choose Highlight to save a passage.
+            </p>
+          )}
+
+          {groups.map(({ chapter, items }) => (
+            <section key={chapter.id} className="annotations-group">
+              <h3 className="annotations-group-title">{chapter.title}</h3>
+              {items.map(annotation => (
+                <div key={annotation.id} className="annotation-item">
+                  <button
+                    className="annotation-item-body"
+                    onClick={() => onJump(annotation)}
+                    title="Go to passage"
+                  >
+                    <span className={`annotation-item-quote annotation-${annotation.color}`}>
+                      {annotation.quote}
+                    </span>
+                    {annotation.note && (
+                      <span className="annotation-item-note">{annotation.note}</span>
+                    )}
+                    <span className="annotation-item-date">
+                      {new Date(annotation.createdAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                  <button
+                    className="btn-icon annotation-item-delete"
+                    onClick={() => onDelete(annotation.id)}
+                    aria-label="Delete annotation"
+                    title="Delete"
+                  >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3 6 5 6 21 6" />
+                      <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6M10 11v6M14 11v6M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
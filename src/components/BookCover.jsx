@@ -1,4 +1,6 @@
 import React from 'react';
+import { getBookCompletion } from '../utils/library';
+import { formatFinishedDate } from '../utils/completion';
 import './BookCover.css';
 
 export default function BookCover({ book, isPinned, onPin, onClick, progress }) {
@@ -7,19 +9,23 @@ export default function BookCover({ book, isPinned, onPin, onClick, progress })
     onPin(book.id);
   };
 
-  const completionPercent = progress && progress.totalChapters
-    ? Math.round((progress.completed?.length || 0) / progress.totalChapters * 100)
-    : 0;
+  const completionPercent = progress ? getBookCompletion(book, progress) : 0;
 
   return (
     <div className="book-cover" onClick={onClick}>
       <div className="book-cover-image-container">
-        <img 
-          src={book.coverImage} 
-          alt={`${book.title} cover`}
-          className="book-cover-image"
-          loading="lazy"
-        />
+        {book.coverImage ? (
+          <img 
+            src={book.coverImage} 
+            alt={`${book.title} cover`}
+            className="book-cover-image"
+            loading="lazy"
+          />
+        ) : (
+          <div className="book-cover-placeholder">
+            <span>{book.title}</span>
+          </div>
+        )}
         <button 
           className={`pin-button ${isPinned ? 'pinned' : ''}`}
           onClick={handlePinClick}
@@ -39,7 +45,14 @@ export default function BookCover({ book, isPinned, onPin, onClick, progress })
             <path d="M12 17v5M9 3v4c0 1.5-1 2-2 3s-1 2-1 3c0 1 1 2 2 2h8c1 0 2-1 2-2 0-1 0-2-1-3s-2-1.5-2-3V3" />
           </svg>
         </button>
-        {completionPercent > 0 && (
+        {completionPercent >= 100 ? (
+          <div
+            className="progress-badge"
+            title={progress.finishedAt ? `Finished ${formatFinishedDate(progress.finishedAt)}` : undefined}
+          >
+            Finished
+          </div>
+        ) : completionPercent > 0 && (
           <div className="progress-badge">
             {completionPercent}%
           </div>
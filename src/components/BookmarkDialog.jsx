@@ -0,0 +1,51 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './HighlightPopup.css';
+import './AnnotationEditor.css';
+
+export default function BookmarkDialog({ defaultName, snippet, onSave, onClose }) {
+  const [name, setName] = useState(defaultName);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.select();
+  }, []);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave(name.trim() || defaultName);
+  }
+
+  return (
+    <div className="highlight-overlay" onClick={onClose}>
+      <form className="highlight-modal annotation-editor" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="highlight-header">
+          <h3>Add Bookmark</h3>
+          <button type="button" className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="highlight-content">
+          {snippet && <p className="highlight-text original">{snippet}</p>}
+
+          <input
+            ref={inputRef}
+            type="text"
+            className="annotation-note-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            aria-label="Bookmark name"
+          />
+
+          <div className="annotation-editor-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn">Save</button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { filterCommands, formatKey } from '../utils/shortcuts';
+import './CommandPalette.css';
+
+// commands: [{ id, label, section, keys?, current? }]
+export default function CommandPalette({ commands, onSelect, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => filterCommands(commands, query), [commands, query]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  // Keep the active result in view while arrowing through the list
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(Math.min(activeIndex + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      onSelect(results[activeIndex]);
+    }
+  }
+
+  return (
+    <div className="palette-overlay" onClick={onClose}>
+      <div
+        className="palette-modal"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Command palette"
+      >
+        <input
+          ref={inputRef}
+          type="text"
+          className="palette-input"
+          placeholder="Type a command or chapter"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[activeIndex] ? `palette-${results[activeIndex].id}` : undefined}
+        />
+
+        <ul className="palette-results" id="palette-results" role="listbox" ref={listRef}>
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`palette-${command.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`palette-item ${index === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => onSelect(command)}
+            >
+              <span className="palette-item-section">{command.section}</span>
+              <span className="palette-item-label">
+                {command.label}
+                {command.current && <span className="palette-item-current"> (current)</span>}
+              </span>
+              {command.keys && (
+                <kbd className="palette-item-key">{formatKey(command.keys[0])}</kbd>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {results.length === 0 && (
+          <p className="palette-empty">No matching commands or chapters</p>
+        )}
+
+        <p className="palette-footer">
+          ↑↓ to choose, Enter to run, Esc to close. Press ? for all shortcuts.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React from 'react';
+import { getBookCompletion } from '../utils/library';
+import './ContinueReading.css';
+
+export default function ContinueReading({ books, progressData, onResume }) {
+  if (books.length === 0) return null;
+
+  return (
+    <section className="library-section">
+      <h2 className="section-title">Continue Reading</h2>
+      <div className="continue-reading-row">
+        {books.map(book => {
+          const progress = progressData[book.id];
+          const completion = getBookCompletion(book, progress);
+
+          return (
+            <button
+              key={book.id}
+              className="continue-reading-card"
+              onClick={() => onResume(book.id)}
+              aria-label={`Resume ${book.title}`}
+            >
+              {book.coverImage ? (
+                <img
+                  src={book.coverImage}
+                  alt=""
+                  className="continue-reading-cover"
+                  loading="lazy"
+                />
+              ) : (
+                <div className="continue-reading-cover" />
+              )}
+              <div className="continue-reading-info">
+                <span className="continue-reading-title">{book.title}</span>
+                <span className="continue-reading-chapter">
+                  {progress.currentChapterTitle || 'Pick up where you left off'}
+                </span>
+                {completion > 0 && (
+                  <span className="continue-reading-completion">{completion}% complete</span>
+                )}
+              </div>
+              <span className="continue-reading-resume">Resume</span>
+            </button>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
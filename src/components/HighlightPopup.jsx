@@ -1,7 +1,22 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import './HighlightPopup.css';
 
-export default function HighlightPopup({ passage, onClose }) {
+export default function HighlightPopup({ passage, onClose, onCopyLink }) {
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Reset the confirmation after a moment
+  useEffect(() => {
+    if (!linkCopied) return;
+    const timer = setTimeout(() => setLinkCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [linkCopied]);
+
+  async function handleCopyLink() {
+    if (await onCopyLink()) {
+      setLinkCopied(true);
+    }
+  }
+
   return (
     <div className="highlight-overlay" onClick={onClose}>
       <div className="highlight-modal" onClick={(e) => e.stopPropagation()}>
@@ -28,6 +43,18 @@ export default function HighlightPopup({ passage, onClose }) {
             <p className="highlight-text modern">{passage.modernText}</p>
           </div>
         </div>
+
+        {onCopyLink && (
+          <div className="highlight-footer">
+            <button className="btn btn-ghost" onClick={handleCopyLink}>
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+              </svg>
+              {linkCopied ? 'Link copied' : 'Copy link to this sentence'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
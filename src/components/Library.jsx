@@ -1,12 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import BookCover from './BookCover';
-import { BOOKS_METADATA } from '../utils/books';
-import { getPinnedBooks, togglePinBook, getAllProgress } from '../utils/storage';
+import LibraryToolbar from './LibraryToolbar';
+import ContinueReading from './ContinueReading';
+import { loadCatalog } from '../utils/books';
+import {
+  DEFAULT_LIBRARY_VIEW,
+  collectTags,
+  filterBooks,
+  getContinueReading,
+  sortBooks
+} from '../utils/library';
+import {
+  getPinnedBooks,
+  togglePinBook,
+  getAllProgress,
+  getPreference,
+  savePreference
+} from '../utils/storage';
 import './Library.css';
 
-export default function Library({ onBookSelect }) {
+export default function Library({ onBookSelect, onOpenSettings, onOpenStats }) {
+  const [books, setBooks] = useState([]);
   const [pinnedBookIds, setPinnedBookIds] = useState([]);
   const [progressData, setProgressData] = useState({});
+  const [query, setQuery] = useState('');
+  const [view, setView] = useState(DEFAULT_LIBRARY_VIEW);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -15,11 +33,17 @@ export default function Library({ onBookSelect }) {
 
   async function loadLibraryData() {
     try {
-      const [pinned, progress] = await Promise.all([
+      const [catalog, pinned, progress, savedView] = await Promise.all([
+        loadCatalog(),
         getPinnedBooks(),
-        getAllProgress()
+        getAllProgress(),
+        getPreference('libraryView')
       ]);
       
+      setBooks(catalog);
+      if (savedView) {
+        setView({ ...DEFAULT_LIBRARY_VIEW, ...savedView });
+      }
       setPinnedBookIds(pinned);
       
       const progressMap = {};
@@ -34,6 +58,16 @@ export default function Library({ onBookSelect }) {
     }
   }
 
+  async function handleViewChange(changes) {
+    const updatedView = { ...view, ...changes };
+    setView(updatedView);
+    try {
+      await savePreference('libraryView', updatedView);
+    } catch (error) {
+      console.error('Error saving library view:', error);
+    }
+  }
+
   async function handlePin(bookId) {
     try {
       const isPinned = await togglePinBook(bookId);
@@ -56,16 +90,65 @@ export default function Library({ onBookSelect }) {
     );
   }
 
-  const pinnedBooks = BOOKS_METADATA.filter(book => pinnedBookIds.includes(book.id));
-  const unpinnedBooks = BOOKS_METADATA.filter(book => !pinnedBookIds.includes(book.id));
+  // A remembered tag may no longer exist in the catalog
+  const tags = collectTags(books);
+  const activeView = tags.includes(view.tag) ? view : { ...view, tag: null };
+  const visibleBooks = sortBooks(
+    filterBooks(books, { query, ...activeView }, progressData),
+    activeView.sort,
+    progressData
+  );
+  const pinnedBooks = visibleBooks.filter(book => pinnedBookIds.includes(book.id));
+  const unpinnedBooks = visibleBooks.filter(book => !pinnedBookIds.includes(book.id));
 
   return (
     <div className="library">
       <header className="library-header">
+        <div className="library-header-actions">
+          <button
+            className="btn-icon"
+            onClick={onOpenStats}
+            aria-label="Reading statistics"
+            title="Reading statistics"
+          >
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="20" x2="18" y2="10"/>
+              <line x1="12" y1="20" x2="12" y2="4"/>
+              <line x1="6" y1="20" x2="6" y2="14"/>
+            </svg>
+          </button>
+          <button
+            className="btn-icon"
+            onClick={onOpenSettings}
+            aria-label="Settings"
+            title="Settings"
+          >
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <circle cx="12" cy="12" r="3"/>
+              <path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/>
+            </svg>
+          </button>
+        </div>
         <h1>Classics Retold</h1>
         <p className="library-subtitle">Classic literature with modern retellings</p>
       </header>
 
+      <ContinueReading
+        books={getContinueReading(books, progressData)}
+        progressData={progressData}
+        onResume={onBookSelect}
+      />
+
+      {books.length > 0 && (
+        <LibraryToolbar
+          query={query}
+          onQueryChange={setQuery}
+          view={activeView}
+          onViewChange={handleViewChange}
+          tags={tags}
+        />
+      )}
+
       {pinnedBooks.length > 0 && (
         <section className="library-section">
           <h2 className="section-title">Pinned</h2>
@@ -86,6 +169,12 @@ export default function Library({ onBookSelect }) {
 
       <section className="library-section">
         {pinnedBooks.length > 0 && <h2 className="section-title">All Books</h2>}
+        {books.length === 0 && (
+          <p className="library-empty">No books are available yet.</p>
+        )}
+        {books.length > 0 && visibleBooks.length === 0 && (
+          <p className="library-empty">No books match your search or filters.</p>
+        )}
         <div className="books-grid">
           {unpinnedBooks.map(book => (
             <BookCover
@@ -0,0 +1,59 @@
+import React from 'react';
+import { READING_STATUSES, LIBRARY_SORTS } from '../utils/library';
+import './LibraryToolbar.css';
+
+export default function LibraryToolbar({ query, onQueryChange, view, onViewChange, tags }) {
+  return (
+    <div className="library-toolbar">
+      <div className="library-toolbar-row">
+        <input
+          type="search"
+          className="library-search-input"
+          placeholder="Search title, author or description"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          aria-label="Search books"
+        />
+        <label className="library-sort">
+          <span>Sort by</span>
+          <select
+            value={view.sort}
+            onChange={(e) => onViewChange({ sort: e.target.value })}
+          >
+            {LIBRARY_SORTS.map(sort => (
+              <option key={sort.id} value={sort.id}>{sort.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="library-filter-chips" role="group" aria-label="Reading status">
+        {READING_STATUSES.map(status => (
+          <button
+            key={status.id}
+            className={`library-chip ${view.status === status.id ? 'active' : ''}`}
+            onClick={() => onViewChange({ status: status.id })}
+            aria-pressed={view.status === status.id}
+          >
+            {status.label}
+          </button>
+        ))}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="library-filter-chips" role="group" aria-label="Tags">
+          {tags.map(tag => (
+            <button
+              key={tag}
+              className={`library-chip library-tag ${view.tag === tag ? 'active' : ''}`}
+              onClick={() => onViewChange({ tag: view.tag === tag ? null : tag })}
+              aria-pressed={view.tag === tag}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
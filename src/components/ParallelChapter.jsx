@@ -0,0 +1,78 @@
+import React, { useState, useMemo } from 'react';
+import { getSentencePair } from '../utils/books';
+import { buildParallelRows, pairHtmlParagraphs } from '../utils/parallel';
+import './ParallelChapter.css';
+
+function ParallelCell({ paragraphs, side, activePair }) {
+  const activeSid = activePair && (side === 'original' ? activePair.originalSid : activePair.modernSid);
+
+  return (
+    <div className={`parallel-cell ${side}`}>
+      {paragraphs.map(paragraph => (
+        <p key={paragraph.pid} data-pid={paragraph.pid}>
+          {paragraph.sentences.map((sentence, index) => (
+            <React.Fragment key={sentence.sid}>
+              {index > 0 && ' '}
+              <span
+                className={`parallel-sentence ${sentence.sid === activeSid ? 'linked' : ''}`}
+                data-sid={sentence.sid}
+              >
+                {sentence.text}
+              </span>
+            </React.Fragment>
+          ))}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+export default function ParallelChapter({ chapter }) {
+  const [activePair, setActivePair] = useState(null);
+  // Chapters without alignment data are paired paragraph by paragraph
+  const rows = useMemo(() => (chapter.processed
+    ? buildParallelRows(chapter.processed)
+    : pairHtmlParagraphs(chapter.original, chapter.modern)
+  ), [chapter]);
+
+  if (!chapter.processed) {
+    return (
+      <div className="parallel-chapter reader-chapter-content">
+        {rows.map((pair, index) => (
+          <div className="parallel-row" key={index}>
+            <div className="parallel-cell original" dangerouslySetInnerHTML={{ __html: pair.original || '' }} />
+            <div className="parallel-cell modern" dangerouslySetInnerHTML={{ __html: pair.modern || '' }} />
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  function handleMouseOver(e) {
+    const sentence = e.target.closest('[data-sid]');
+    const pair = sentence ? getSentencePair(chapter, sentence.dataset.sid) : null;
+
+    if (pair?.originalSid !== activePair?.originalSid) {
+      setActivePair(pair);
+    }
+  }
+
+  return (
+    <div
+      className="parallel-chapter reader-chapter-content"
+      onMouseOver={handleMouseOver}
+      onMouseLeave={() => setActivePair(null)}
+    >
+      <div className="parallel-labels">
+        <span>Original</span>
+        <span>Modern</span>
+      </div>
+      {rows.map(row => (
+        <div className="parallel-row" key={(row.original[0] || row.modern[0]).pid}>
+          <ParallelCell paragraphs={row.original} side="original" activePair={activePair} />
+          <ParallelCell paragraphs={row.modern} side="modern" activePair={activePair} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Renders paragraphs from the processed bundle, one span per sentence sid.
+// Original sentences get the clickable sentence-span class; modern ones only
+// carry their sid. highlights maps a sid to the annotation covering it.
+export default function ProcessedChapter({ paragraphs, interactive, highlights = {} }) {
+  return (
+    <div className="reader-chapter-content">
+      {paragraphs.map(paragraph => (
+        <p key={paragraph.pid} data-pid={paragraph.pid}>
+          {paragraph.sentences.map((sentence, index) => {
+            const annotation = highlights[sentence.sid];
+            const className = [
+              interactive && 'sentence-span',
+              annotation && `annotation-highlight annotation-${annotation.color}`
+            ].filter(Boolean).join(' ');
+
+            return (
+              <React.Fragment key={sentence.sid}>
+                {index > 0 && ' '}
+                <span
+                  className={className || undefined}
+                  data-sid={sentence.sid}
+                  title={annotation?.note || undefined}
+                >
+                  {sentence.text}
+                </span>
+              </React.Fragment>
+            );
+          })}
+        </p>
+      ))}
+    </div>
+  );
+}
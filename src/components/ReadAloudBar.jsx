@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { SPEECH_RATES, SLEEP_TIMERS } from '../utils/read-aloud';
+import './ReadAloudBar.css';
+
+export default function ReadAloudBar({
+  paused,
+  settings,
+  sleepTimer,
+  onTogglePause,
+  onRateChange,
+  onVoiceChange,
+  onSleepTimerChange,
+  onStop
+}) {
+  const [voices, setVoices] = useState([]);
+
+  // Browsers load voices asynchronously and announce them with voiceschanged
+  useEffect(() => {
+    const synth = window.speechSynthesis;
+    const loadVoices = () => setVoices(synth.getVoices());
+
+    loadVoices();
+    synth.addEventListener?.('voiceschanged', loadVoices);
+    return () => synth.removeEventListener?.('voiceschanged', loadVoices);
+  }, []);
+
+  const sleepLabel = sleepTimer?.endsAt
+    ? `Stops at ${new Date(sleepTimer.endsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+    : sleepTimer?.id === 'chapter' ? 'Stops after this chapter' : null;
+
+  return (
+    <div className="read-aloud-bar" role="region" aria-label="Read aloud">
+      <button
+        className="read-aloud-play"
+        onClick={onTogglePause}
+        aria-label={paused ? 'Resume reading aloud' : 'Pause reading aloud'}
+      >
+        {paused ? (
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+            <polygon points="6 4 20 12 6 20 6 4"/>
+          </svg>
+        ) : (
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+            <rect x="6" y="4" width="4" height="16"/>
+            <rect x="14" y="4" width="4" height="16"/>
+          </svg>
+        )}
+      </button>
+
+      <div className="read-aloud-controls">
+        <label>
+          <span>Speed</span>
+          <select value={settings.rate} onChange={(e) => onRateChange(Number(e.target.value))}>
+            {SPEECH_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+        </label>
+
+        {voices.length > 0 && (
+          <label>
+            <span>Voice</span>
+            <select
+              value={settings.voiceURI || ''}
+              onChange={(e) => onVoiceChange(e.target.value || null)}
+            >
+              <option value="">Default</option>
+              {voices.map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label>
+          <span>Sleep</span>
+          <select
+            value={sleepTimer?.id || 'off'}
+            onChange={(e) => onSleepTimerChange(e.target.value)}
+          >
+            {SLEEP_TIMERS.map(timer => (
+              <option key={timer.id} value={timer.id}>{timer.label}</option>
+            ))}
+          </select>
+        </label>
+
+        {sleepLabel && <span className="read-aloud-sleep">{sleepLabel}</span>}
+      </div>
+
+      <button className="btn-icon" onClick={onStop} aria-label="Stop reading aloud">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <line x1="18" y1="6" x2="6" y2="18" />
+          <line x1="6" y1="6" x2="18" y2="18" />
+        </svg>
+      </button>
+    </div>
+  );
+}
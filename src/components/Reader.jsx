@@ -1,72 +1,424 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import TableOfContents from './TableOfContents';
 import ThemeSelector from './ThemeSelector';
 import HighlightPopup from './HighlightPopup';
+import ProcessedChapter from './ProcessedChapter';
+import ParallelChapter from './ParallelChapter';
+import SearchPanel from './SearchPanel';
+import AnnotationEditor from './AnnotationEditor';
+import AnnotationsPanel from './AnnotationsPanel';
+import BookmarkDialog from './BookmarkDialog';
+import TypographyPanel from './TypographyPanel';
+import CommandPalette from './CommandPalette';
+import ShortcutsOverlay from './ShortcutsOverlay';
+import ReadAloudBar from './ReadAloudBar';
 import { 
   getChapterById, 
   getNextChapter, 
   getPreviousChapter,
-  getChapterIndex
+  getChapterIndex,
+  getAlignedSentence,
+  toReadingLocation,
+  resolveReadingLocation,
+  getSentenceId,
+  getParagraphIndex,
+  resolveSentenceLink
 } from '../utils/books';
 import { 
   saveProgress, 
-  getProgress 
+  getProgress,
+  getAnnotations,
+  saveAnnotation,
+  deleteAnnotation,
+  getBookmarks,
+  saveBookmark,
+  deleteBookmark,
+  getPreference,
+  savePreference,
+  saveSession,
+  getAllSessions
 } from '../utils/storage';
 import {
   debounce,
-  scrollToPosition,
   getCurrentScrollPosition,
+  getViewportPosition,
+  scrollToTextPosition,
+  getTextPositionTop,
+  getPositionSnippet,
+  getSentencePosition,
+  scrollIntoReadingView,
+  clearSelection,
   findModernTranslation
 } from '../utils/text-utils';
+import { buildSentenceUrl } from '../utils/routes';
+import { getNextTheme } from '../utils/themes';
+import { READER_SHORTCUTS, matchShortcut, isTypingTarget } from '../utils/shortcuts';
+import {
+  SLEEP_TIMERS,
+  DEFAULT_READ_ALOUD,
+  isSpeechSupported,
+  getReadAloudSentences,
+  findStartSentence,
+  markSentence,
+  clearSentenceMark,
+  getChapterEndAction,
+  createReadAloud
+} from '../utils/read-aloud';
+import {
+  CHAPTER_END_DWELL_MS,
+  getMinimumReadingMs,
+  getCompletionPercent,
+  getCompletionChanges,
+  formatFinishedDate
+} from '../utils/completion';
+import {
+  DEFAULT_WORDS_PER_MINUTE,
+  createSessionTracker,
+  getBookWordCounts,
+  getWordsPerMinute,
+  estimateTimeLeft,
+  formatMinutes
+} from '../utils/sessions';
+import {
+  layoutPages,
+  getCurrentPage,
+  showPage,
+  getPagePosition,
+  getTargetPage,
+  getElementPage,
+  getTapZone,
+  getSwipeDirection
+} from '../utils/pagination';
+import {
+  buildAnnotationRows,
+  annotationsToMarkdown,
+  annotationsToJson,
+  annotationsToCsv,
+  parseAnnotationsJson,
+  downloadFile
+} from '../utils/export';
+import {
+  getSelectionAnchor,
+  getHighlightedSids,
+  applyHtmlHighlights
+} from '../utils/annotations';
 import './Reader.css';
 
-export default function Reader({ book, initialChapterId, onBack, theme, onThemeChange }) {
+export default function Reader({
+  book,
+  initialChapterId,
+  routeChapterId,
+  routeSentenceId,
+  onChapterChange,
+  onBack,
+  theme,
+  onThemeChange,
+  typography,
+  onTypographyChange
+}) {
   const [currentChapterId, setCurrentChapterId] = useState(initialChapterId);
   const [showModern, setShowModern] = useState(false);
+  const [showParallel, setShowParallel] = useState(false);
   const [showTOC, setShowTOC] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [pendingJump, setPendingJump] = useState(null);
   const [progress, setProgress] = useState(null);
   const [highlightPopup, setHighlightPopup] = useState(null);
   const [isSwapping, setIsSwapping] = useState(false);
+  const [annotations, setAnnotations] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [annotationDraft, setAnnotationDraft] = useState(null);
+  const [showAnnotations, setShowAnnotations] = useState(false);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [bookmarkDraft, setBookmarkDraft] = useState(null);
+  const [showTypography, setShowTypography] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [readAloud, setReadAloud] = useState(null);
+  const [readAloudSettings, setReadAloudSettings] = useState(DEFAULT_READ_ALOUD);
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [readingMode, setReadingMode] = useState('scroll');
+  const [page, setPage] = useState(0);
+  const [pageCount, setPageCount] = useState(1);
+  const [wordsPerMinute, setWordsPerMinute] = useState(null);
   
   const contentRef = useRef(null);
-  const lastScrollPosition = useRef(0);
+  const chapterEndRef = useRef(null);
+  const pagesRef = useRef(null);
+  const pageAnchor = useRef(null);
+  const openAtLastPage = useRef(false);
+  const touchStart = useRef(null);
+  const speaker = useRef(null);
+  const speakerHandlers = useRef(null);
+  const continueReadingAloud = useRef(false);
+  const sessionTracker = useRef(null);
+  const chapterVisit = useRef({ openedAt: Date.now(), startParagraph: null });
+  const readingVersion = useRef('original');
+  const navRef = useRef(null);
+  const progressRef = useRef(null);
+  const restoredChapterId = useRef(null);
 
   const currentChapter = getChapterById(book, currentChapterId);
   const currentIndex = getChapterIndex(book, currentChapterId);
   const nextChapter = getNextChapter(book, currentChapterId);
   const prevChapter = getPreviousChapter(book, currentChapterId);
 
-  // Load progress on mount
+  // Parallel text always scrolls
+  const paged = readingMode === 'paged' && !showParallel;
+
+  const wordCounts = useMemo(() => getBookWordCounts(book), [book]);
+
+  // Load progress, annotations and bookmarks on mount
   useEffect(() => {
     loadProgress();
+    loadAnnotations();
+    loadBookmarks();
   }, [book.id]);
 
-  // Save scroll position
   useEffect(() => {
+    loadReadingMode();
+    loadReadAloudSettings();
+    loadReadingPace();
+    return () => speaker.current?.stop();
+  }, []);
+
+  // Report chapter changes so the URL follows the reader
+  useEffect(() => {
+    onChapterChange(currentChapterId);
+  }, [currentChapterId]);
+
+  useEffect(() => {
+    readingVersion.current = showModern ? 'modern' : 'original';
+    getSessionTracker().setVersion(readingVersion.current);
+  }, [showModern]);
+
+  // Record a reading session per chapter visit (utils/sessions.js). Hiding the
+  // tab ends the session and showing it again starts a new one.
+  useEffect(() => {
+    const tracker = getSessionTracker();
+    const startSession = () => tracker.start({
+      bookId: book.id,
+      chapterId: currentChapterId,
+      version: readingVersion.current,
+      wordCounts: wordCounts[currentChapterId] || []
+    });
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        tracker.end();
+      } else {
+        startSession();
+      }
+    };
+    const handleActivity = () => tracker.activity();
+
+    startSession();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', tracker.end);
+    window.addEventListener('scroll', handleActivity, { passive: true });
+    window.addEventListener('keydown', handleActivity);
+    window.addEventListener('pointerdown', handleActivity);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', tracker.end);
+      window.removeEventListener('scroll', handleActivity);
+      window.removeEventListener('keydown', handleActivity);
+      window.removeEventListener('pointerdown', handleActivity);
+      tracker.end();
+    };
+  }, [currentChapterId]);
+
+  // Follow the URL when browser back/forward moves between chapters
+  useEffect(() => {
+    if (routeChapterId && routeChapterId !== currentChapterId && getChapterById(book, routeChapterId)) {
+      handleChapterChange(routeChapterId);
+    }
+  }, [routeChapterId]);
+
+  // Scroll to a linked sentence once its chapter is showing
+  useEffect(() => {
+    if (!routeSentenceId || routeChapterId !== currentChapterId) return;
+
+    const target = resolveSentenceLink(currentChapter, routeSentenceId);
+    if (target) {
+      restoredChapterId.current = currentChapterId;
+      jumpTo(currentChapterId, target, false);
+    }
+  }, [routeSentenceId, routeChapterId, currentChapterId]);
+
+  // Save the reading location (paginated mode saves on page turns instead)
+  useEffect(() => {
+    if (paged) return;
+
     const handleScroll = debounce(() => {
-      const scrollPos = getCurrentScrollPosition();
-      lastScrollPosition.current = scrollPos;
-      saveScrollPosition(scrollPos);
+      const position = getViewportPosition(contentRef.current, getTopInset());
+      saveReadingLocation(toReadingLocation(currentChapter, position, showModern));
     }, 500);
 
     window.addEventListener('scroll', handleScroll);
     return () => window.removeEventListener('scroll', handleScroll);
+  }, [currentChapterId, showModern, paged]);
+
+  // When this visit to the chapter began and the paragraph it began at
+  useEffect(() => {
+    chapterVisit.current = { openedAt: Date.now(), startParagraph: null };
   }, [currentChapterId]);
 
-  // Restore scroll position when chapter changes
+  // Restore reading location once progress has loaded and whenever the chapter changes
   useEffect(() => {
-    if (progress && progress.currentChapter === currentChapterId && progress.scrollPosition) {
+    if (!progress || restoredChapterId.current === currentChapterId) return;
+    restoredChapterId.current = currentChapterId;
+
+    if (pendingJump) return;
+
+    if (progress.location?.chapterId === currentChapterId) {
+      trackLocation(progress.location);
       setTimeout(() => {
-        scrollToPosition(progress.scrollPosition);
+        pageAnchor.current = progress.location;
+        showTextPosition(resolveReadingLocation(currentChapter, progress.location, showModern));
       }, 100);
     } else {
+      getSessionTracker().reach(0);
       window.scrollTo(0, 0);
     }
-  }, [currentChapterId]);
+  }, [currentChapterId, progress]);
+
+  // Scroll to a search result once its chapter and version are rendered
+  useEffect(() => {
+    if (!pendingJump) return;
+
+    const timer = setTimeout(() => {
+      showTextPosition(pendingJump);
+      if (paged) {
+        pageAnchor.current = getPageLocation(getCurrentPage(pagesRef.current));
+      }
+      setPendingJump(null);
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [pendingJump, currentChapterId, showModern]);
 
-  // Wrap sentences in spans for hover effect
+  // Split the chapter into pages whenever the text or its layout changes,
+  // keeping the anchored passage on screen
   useEffect(() => {
-    if (!contentRef.current || showModern) return;
+    if (!paged) return;
+
+    const relayout = () => {
+      const viewport = pagesRef.current;
+      if (!viewport) return;
+
+      const count = layoutPages(viewport);
+      setPageCount(count);
+
+      const anchor = pageAnchor.current;
+      if (anchor?.chapterId === currentChapterId) {
+        const target = resolveReadingLocation(currentChapter, anchor, showModern);
+        goToPage(getTargetPage(viewport, contentRef.current, target));
+      } else {
+        goToPage(openAtLastPage.current ? count - 1 : 0);
+        pageAnchor.current = getPageLocation(getCurrentPage(viewport));
+        trackLocation(pageAnchor.current);
+      }
+      openAtLastPage.current = false;
+    };
+
+    window.scrollTo(0, 0);
+    const timer = setTimeout(relayout, 150);
+    const handleResize = debounce(relayout, 200);
+    window.addEventListener('resize', handleResize);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [paged, currentChapterId, showModern, typography]);
+
+  // Keep reading aloud through chapter changes and version swaps: a chapter
+  // reached by reading on starts at the top, otherwise at the text on screen
+  useEffect(() => {
+    if (!readAloud) return;
+    if (showParallel) {
+      stopReadAloud();
+      return;
+    }
+
+    const fromStart = continueReadingAloud.current;
+    continueReadingAloud.current = false;
+    const timer = setTimeout(() => startReadAloud(fromStart), 250);
+    return () => clearTimeout(timer);
+  }, [currentChapterId, showModern, showParallel]);
+
+  useEffect(() => {
+    if (!sleepTimer?.endsAt) return;
+
+    const timer = setTimeout(stopReadAloud, sleepTimer.endsAt - Date.now());
+    return () => clearTimeout(timer);
+  }, [sleepTimer]);
+
+  // Keyboard shortcuts (utils/shortcuts.js). Re-bound on every render so the
+  // handler sees the current chapter and which panels are open.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const action = matchShortcut(e);
+      if (!action) return;
+
+      if (action === 'close') {
+        if (closeTopPanel()) e.preventDefault();
+        return;
+      }
+
+      // Ctrl/Cmd-K toggles the palette even from its own input
+      if (action === 'openPalette' && showPalette) {
+        e.preventDefault();
+        setShowPalette(false);
+        return;
+      }
+
+      if (isTypingTarget(e.target) || isPanelOpen()) return;
+
+      const run = getShortcutActions()[action];
+      if (run) {
+        e.preventDefault();
+        run();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Earliest time the current chapter can count as read on this visit
+  function getChapterReadAt() {
+    const { openedAt, startParagraph } = chapterVisit.current;
+    return openedAt + getMinimumReadingMs(wordCounts[currentChapterId] || [], startParagraph);
+  }
+
+  // A chapter is complete once its end has stayed on screen for a moment, and
+  // the visit has lasted long enough to read from where it started. The
+  // observer sees the page container's clipping, so this works in both modes.
+  const progressLoaded = progress !== null;
+  useEffect(() => {
+    const marker = chapterEndRef.current;
+    if (!marker || !progressLoaded || typeof IntersectionObserver === 'undefined') return;
+
+    let timer = null;
+    const observer = new IntersectionObserver(([entry]) => {
+      clearTimeout(timer);
+      if (!entry.isIntersecting) return;
+
+      timer = setTimeout(() => {
+        getSessionTracker().finishChapter();
+        setChapterComplete(currentChapterId, true);
+      }, Math.max(CHAPTER_END_DWELL_MS, getChapterReadAt() - Date.now()));
+    });
+
+    observer.observe(marker);
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+    };
+  }, [currentChapterId, paged, progressLoaded]);
+
+  // Wrap sentences in spans for hover effect (processed chapters render their own spans)
+  useEffect(() => {
+    if (!contentRef.current || showModern || showParallel || currentChapter?.processed) return;
 
     const paragraphs = contentRef.current.querySelectorAll('.reader-chapter-content p');
 
@@ -89,13 +441,27 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
         paragraph.innerHTML = wrappedHtml;
       }
     });
-  }, [currentChapter, showModern, contentRef.current]);
+  }, [currentChapter, showModern, showParallel, contentRef.current]);
+
+  // Draw highlights into HTML chapters (processed chapters highlight their sentence spans)
+  useEffect(() => {
+    if (!contentRef.current || showParallel || currentChapter?.processed) return;
+
+    const chapterAnnotations = annotations.filter(a => a.chapterId === currentChapterId);
+    applyHtmlHighlights(contentRef.current, chapterAnnotations, showModern ? 'modern' : 'original');
+  }, [currentChapter, showModern, showParallel, annotations]);
 
   // Handle sentence click for translation
   useEffect(() => {
     const handleSentenceClick = (e) => {
       // Only handle clicks in original mode
-      if (showModern) return;
+      if (showModern || showParallel) return;
+
+      // Taps at the page edges turn the page instead
+      if (paged && getTapZone(pagesRef.current, e.clientX) !== 0) return;
+
+      // Ignore the click that ends a text selection
+      if (!window.getSelection().isCollapsed) return;
 
       const target = e.target;
       const sentenceSpan = target.closest('.sentence-span');
@@ -103,23 +469,31 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
       if (!sentenceSpan) return;
 
       const clickedSentence = sentenceSpan.textContent.trim();
+      const sid = sentenceSpan.dataset.sid;
+      const position = sid ? null : getSentencePosition(contentRef.current, sentenceSpan);
+      const linkSid = sid || (position
+        ? getSentenceId(currentChapterId, position.paragraphIndex, position.sentenceIndex)
+        : null);
 
-      // Try to find the modern translation from the chapter text
-      const translation = findModernTranslation(
-        clickedSentence,
-        currentChapter?.original,
-        currentChapter?.modern
-      );
+      // Processed chapters look the sentence up by sid; otherwise search the chapter text
+      const translation = sid
+        ? getAlignedSentence(currentChapter, sid)
+        : findModernTranslation(
+          clickedSentence,
+          currentChapter?.original,
+          currentChapter?.modern
+        );
 
       if (translation) {
-        setHighlightPopup({ passage: translation });
+        setHighlightPopup({ passage: translation, sid: linkSid });
       } else {
         // Fallback - show the sentence without translation
         setHighlightPopup({
           passage: {
             originalText: clickedSentence,
             modernText: "Translation not found. Try selecting a longer phrase or a complete sentence."
-          }
+          },
+          sid: linkSid
         });
       }
     };
@@ -129,40 +503,332 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
       contentElement.addEventListener('click', handleSentenceClick);
       return () => contentElement.removeEventListener('click', handleSentenceClick);
     }
-  }, [currentChapter, showModern]);
+  }, [currentChapter, showModern, showParallel, paged]);
 
   async function loadProgress() {
     const prog = await getProgress(book.id);
-    setProgress(prog || {
+    const loaded = {
       currentChapter: initialChapterId,
-      scrollPosition: 0,
+      location: null,
       completed: [],
-      percentComplete: 0
+      percentComplete: 0,
+      finishedAt: null,
+      ...prog
+    };
+    // Older records weighted every chapter the same
+    loaded.percentComplete = getCompletionPercent(book, loaded.completed, wordCounts);
+    progressRef.current = loaded;
+    setProgress(loaded);
+  }
+
+  async function loadReadingMode() {
+    const savedMode = await getPreference('readingMode');
+    if (savedMode) {
+      setReadingMode(savedMode);
+    }
+  }
+
+  async function loadReadAloudSettings() {
+    const saved = await getPreference('readAloud');
+    setReadAloudSettings({ ...DEFAULT_READ_ALOUD, ...saved });
+  }
+
+  async function loadReadingPace() {
+    try {
+      setWordsPerMinute(getWordsPerMinute(await getAllSessions()));
+    } catch (error) {
+      console.error('Error loading reading sessions:', error);
+    }
+  }
+
+  function getSessionTracker() {
+    if (!sessionTracker.current) {
+      sessionTracker.current = createSessionTracker({
+        save: (session) => saveSession(session)
+          .then(loadReadingPace)
+          .catch(error => console.error('Error saving reading session:', error))
+      });
+    }
+    return sessionTracker.current;
+  }
+
+  // The reader moved to a location in the current chapter
+  function trackLocation(location) {
+    if (!location || location.chapterId !== currentChapterId) return;
+    if (chapterVisit.current.startParagraph === null) {
+      chapterVisit.current.startParagraph = getParagraphIndex(location.pid);
+    }
+    const tracker = getSessionTracker();
+    tracker.activity();
+    tracker.reach(getParagraphIndex(location.pid));
+  }
+
+  async function loadAnnotations() {
+    try {
+      setAnnotations(await getAnnotations(book.id));
+    } catch (error) {
+      console.error('Error loading annotations:', error);
+    }
+  }
+
+  async function loadBookmarks() {
+    try {
+      setBookmarks(await getBookmarks(book.id));
+    } catch (error) {
+      console.error('Error loading bookmarks:', error);
+    }
+  }
+
+  function handleAddBookmark() {
+    const position = getReadingPosition();
+    const location = toReadingLocation(currentChapter, position, showModern);
+    if (!location) return;
+
+    setBookmarkDraft({
+      location,
+      snippet: getPositionSnippet(contentRef.current, position)
     });
   }
 
-  async function saveScrollPosition(scrollPos) {
-    const updatedProgress = {
-      ...progress,
+  async function handleSaveBookmark(name) {
+    try {
+      const saved = await saveBookmark({ bookId: book.id, name, ...bookmarkDraft });
+      setBookmarks([...bookmarks, saved]);
+    } catch (error) {
+      console.error('Error saving bookmark:', error);
+    }
+    setBookmarkDraft(null);
+  }
+
+  async function handleDeleteBookmark(id) {
+    try {
+      await deleteBookmark(id);
+      setBookmarks(bookmarks.filter(bookmark => bookmark.id !== id));
+    } catch (error) {
+      console.error('Error deleting bookmark:', error);
+    }
+  }
+
+  function handleBookmarkSelect(bookmark) {
+    const chapter = getChapterById(book, bookmark.location.chapterId);
+    if (!chapter) return;
+    jumpTo(chapter.id, resolveReadingLocation(chapter, bookmark.location, false), false);
+  }
+
+  function handleSelectionEnd() {
+    if (showParallel) return;
+
+    // Let the browser finish updating the selection first
+    setTimeout(() => {
+      const anchor = getSelectionAnchor(contentRef.current, currentChapter, showModern);
+      if (!anchor) {
+        setSelectionAnchor(null);
+        return;
+      }
+
+      const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+      setSelectionAnchor({
+        anchor,
+        top: rect.top + getCurrentScrollPosition(),
+        left: rect.left + rect.width / 2
+      });
+    }, 0);
+  }
+
+  async function handleSaveAnnotation({ color, note }) {
+    try {
+      const saved = await saveAnnotation({
+        bookId: book.id,
+        ...annotationDraft,
+        color,
+        note
+      });
+      setAnnotations([...annotations, saved]);
+    } catch (error) {
+      console.error('Error saving annotation:', error);
+    }
+    setAnnotationDraft(null);
+    clearSelection();
+  }
+
+  async function handleDeleteAnnotation(id) {
+    try {
+      await deleteAnnotation(id);
+      setAnnotations(annotations.filter(annotation => annotation.id !== id));
+    } catch (error) {
+      console.error('Error deleting annotation:', error);
+    }
+  }
+
+  function handleExportAnnotations(format) {
+    const rows = buildAnnotationRows(book, annotations);
+
+    if (format === 'markdown') {
+      downloadFile(`${book.id}-annotations.md`, annotationsToMarkdown(book, rows), 'text/markdown');
+    } else if (format === 'json') {
+      downloadFile(`${book.id}-annotations.json`, annotationsToJson(book, annotations), 'application/json');
+    } else if (format === 'csv') {
+      downloadFile(`${book.id}-flashcards.csv`, annotationsToCsv(rows), 'text/csv');
+    }
+  }
+
+  async function handleImportAnnotations(file) {
+    try {
+      const imported = parseAnnotationsJson(await file.text(), book.id);
+      const existingKeys = new Set(annotations.map(a => `${a.chapterId}|${a.quote}|${a.createdAt}`));
+      const added = [];
+
+      for (const annotation of imported) {
+        if (existingKeys.has(`${annotation.chapterId}|${annotation.quote}|${annotation.createdAt}`)) continue;
+        added.push(await saveAnnotation({ ...annotation, bookId: book.id }));
+      }
+
+      setAnnotations([...annotations, ...added]);
+      alert(`Imported ${added.length} ${added.length === 1 ? 'annotation' : 'annotations'}.`);
+    } catch (error) {
+      console.error('Error importing annotations:', error);
+      alert(`Failed to import annotations: ${error.message}`);
+    }
+  }
+
+  function handleAnnotationJump(annotation) {
+    setShowAnnotations(false);
+    if (annotation.sids) {
+      jumpTo(annotation.chapterId, { sid: annotation.sids[0] }, false);
+    } else {
+      jumpTo(
+        annotation.chapterId,
+        { paragraphIndex: annotation.paragraphIndex, offset: 0 },
+        annotation.version === 'modern'
+      );
+    }
+  }
+
+  function getTopInset() {
+    return navRef.current ? navRef.current.offsetHeight : 0;
+  }
+
+  // First text on screen: below the nav bar when scrolling, on the current page when paginated
+  function getReadingPosition() {
+    return paged
+      ? getPagePosition(pagesRef.current, contentRef.current, getCurrentPage(pagesRef.current))
+      : getViewportPosition(contentRef.current, getTopInset());
+  }
+
+  // Bring a scrollToTextPosition target on screen in either mode
+  function showTextPosition(target) {
+    if (paged) {
+      goToPage(getTargetPage(pagesRef.current, contentRef.current, target));
+    } else {
+      scrollToTextPosition(contentRef.current, target, getTopInset());
+    }
+  }
+
+  function getPageLocation(pageIndex) {
+    const position = getPagePosition(pagesRef.current, contentRef.current, pageIndex);
+    return toReadingLocation(currentChapter, position, showModern);
+  }
+
+  function goToPage(pageIndex) {
+    showPage(pagesRef.current, pageIndex);
+    setPage(getCurrentPage(pagesRef.current));
+    setSelectionAnchor(null);
+  }
+
+  // Turn one page, moving on to the next or previous chapter at either end
+  function handlePageTurn(direction) {
+    const target = getCurrentPage(pagesRef.current) + direction;
+
+    if (target < 0) {
+      if (prevChapter) {
+        openAtLastPage.current = true;
+        handlePrevChapter();
+      }
+      return;
+    }
+    if (target >= pageCount) {
+      handleNextChapter();
+      return;
+    }
+
+    openPage(target);
+  }
+
+  // Show a page the reader moved to and remember it as their place
+  function openPage(pageIndex) {
+    goToPage(pageIndex);
+    const location = getPageLocation(pageIndex);
+    pageAnchor.current = location;
+    saveReadingLocation(location);
+  }
+
+  function handlePagesClick(e) {
+    if (!window.getSelection().isCollapsed) return;
+    if (e.target.closest('button, a')) return;
+
+    const direction = getTapZone(pagesRef.current, e.clientX);
+    if (direction !== 0) handlePageTurn(direction);
+  }
+
+  function handlePagesTouchStart(e) {
+    const touch = e.touches[0];
+    touchStart.current = { x: touch.clientX, y: touch.clientY, time: Date.now() };
+  }
+
+  function handlePagesTouchEnd(e) {
+    const touch = e.changedTouches[0];
+    const direction = getSwipeDirection(
+      touchStart.current,
+      { x: touch.clientX, y: touch.clientY, time: Date.now() }
+    );
+    touchStart.current = null;
+
+    if (direction !== 0 && window.getSelection().isCollapsed) {
+      handlePageTurn(direction);
+    }
+  }
+
+  // Switch layouts without losing the place
+  async function handleReadingModeChange(mode) {
+    if (mode === readingMode) return;
+
+    const location = toReadingLocation(currentChapter, getReadingPosition(), showModern);
+    pageAnchor.current = location;
+    setReadingMode(mode);
+    if (mode === 'scroll' && location) {
+      setPendingJump(resolveReadingLocation(currentChapter, location, showModern));
+    }
+    await savePreference('readingMode', mode);
+  }
+
+  // Merge into the latest progress record. The scroll handler is created once
+  // per chapter, so its own progress closure can be older than the last save.
+  async function updateProgress(changes) {
+    const updatedProgress = { ...progressRef.current, ...changes };
+    progressRef.current = updatedProgress;
+    setProgress(updatedProgress);
+    await saveProgress(book.id, updatedProgress);
+  }
+
+  async function saveReadingLocation(location) {
+    trackLocation(location);
+    if (!location || !progressRef.current) return;
+
+    await updateProgress({
       currentChapter: currentChapterId,
-      scrollPosition: scrollPos,
+      currentChapterTitle: currentChapter.title,
+      location,
       totalChapters: book.chapters.length
-    };
-    await saveProgress(book.id, updatedProgress);
-    setProgress(updatedProgress);
+    });
   }
 
-  async function markChapterComplete() {
-    if (!progress.completed.includes(currentChapterId)) {
-      const updatedProgress = {
-        ...progress,
-        completed: [...progress.completed, currentChapterId],
-        totalChapters: book.chapters.length,
-        percentComplete: Math.round(((progress.completed.length + 1) / book.chapters.length) * 100)
-      };
-      await saveProgress(book.id, updatedProgress);
-      setProgress(updatedProgress);
-    }
+  async function setChapterComplete(chapterId, isComplete) {
+    if (!progressRef.current) return;
+    if (progressRef.current.completed.includes(chapterId) === isComplete) return;
+
+    await updateProgress(
+      getCompletionChanges(book, progressRef.current, chapterId, isComplete, wordCounts)
+    );
   }
 
   function handleChapterChange(chapterId) {
@@ -170,11 +836,49 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
     setShowModern(false);
     setShowTOC(false);
     setHighlightPopup(null);
+    setSelectionAnchor(null);
+  }
+
+  // Open a chapter in the given version and scroll to a scrollToTextPosition target
+  function jumpTo(chapterId, target, modern) {
+    if (chapterId !== currentChapterId) {
+      handleChapterChange(chapterId);
+    }
+    setShowParallel(false);
+    setShowModern(modern);
+    setPendingJump(target);
   }
 
+  // Resolves to true once the link is on the clipboard. Falls back to a prompt
+  // where the Clipboard API is unavailable (e.g. plain http).
+  async function copySentenceLink(sid) {
+    const url = buildSentenceUrl(book.id, currentChapterId, sid);
+    try {
+      await navigator.clipboard.writeText(url);
+      return true;
+    } catch (error) {
+      console.error('Error copying link:', error);
+      window.prompt('Copy this link:', url);
+      return false;
+    }
+  }
+
+  function handleSearchResult(chapterId, hit) {
+    setShowSearch(false);
+    jumpTo(
+      chapterId,
+      { paragraphIndex: hit.paragraphIndex, offset: hit.offset },
+      hit.version === 'modern'
+    );
+  }
+
+  // Moving on completes the chapter only if the visit was long enough to read it
   function handleNextChapter() {
     if (nextChapter) {
-      markChapterComplete();
+      if (Date.now() >= getChapterReadAt()) {
+        getSessionTracker().finishChapter();
+        setChapterComplete(currentChapterId, true);
+      }
       handleChapterChange(nextChapter.id);
     }
   }
@@ -187,21 +891,220 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
 
   async function handleSwapText() {
     setIsSwapping(true);
-    lastScrollPosition.current = getCurrentScrollPosition();
-    
+
+    // Keep the place as a reading location, the same model progress is saved in,
+    // and land its counterpart at the same height on screen. Paginated mode finds
+    // the location again once the other version is laid out.
+    const location = toReadingLocation(currentChapter, getReadingPosition(), showModern);
+    const modern = !showModern;
+    const top = getTextPositionTop(
+      contentRef.current,
+      resolveReadingLocation(currentChapter, location, showModern)
+    );
+    pageAnchor.current = location;
+
     setTimeout(() => {
-      setShowModern(!showModern);
+      setShowModern(modern);
       setTimeout(() => {
-        scrollToPosition(lastScrollPosition.current, 'auto');
+        if (!paged && location) {
+          const target = resolveReadingLocation(currentChapter, location, modern);
+          scrollToTextPosition(contentRef.current, target, top === null ? getTopInset() : top);
+        }
         setIsSwapping(false);
-      }, 50);
+      }, paged ? 200 : 50);
     }, 150);
   }
 
+  function handleToggleParallel() {
+    setShowParallel(!showParallel);
+    setShowModern(false);
+    setHighlightPopup(null);
+  }
+
   function handleClosePopup() {
     setHighlightPopup(null);
   }
 
+  // The speaker outlives renders, so it calls through a ref to this render's handlers
+  speakerHandlers.current = {
+    onSentence(sentence) {
+      getSessionTracker().activity();
+      const element = markSentence(contentRef.current, sentence);
+      if (!element) return;
+
+      if (paged) {
+        const sentencePage = getElementPage(pagesRef.current, element);
+        if (sentencePage !== getCurrentPage(pagesRef.current)) openPage(sentencePage);
+      } else {
+        scrollIntoReadingView(element, getTopInset());
+      }
+    },
+    onEnd() {
+      clearSentenceMark(contentRef.current);
+      if (getChapterEndAction({ hasNextChapter: Boolean(nextChapter), sleepTimer }) === 'stop') {
+        stopReadAloud();
+        return;
+      }
+      continueReadingAloud.current = true;
+      handleNextChapter();
+    }
+  };
+
+  function getSpeaker() {
+    if (!speaker.current) {
+      speaker.current = createReadAloud({
+        onSentence: (sentence) => speakerHandlers.current.onSentence(sentence),
+        onEnd: () => speakerHandlers.current.onEnd()
+      });
+    }
+    return speaker.current;
+  }
+
+  function findVoice(voiceURI) {
+    if (!voiceURI) return null;
+    return window.speechSynthesis.getVoices().find(voice => voice.voiceURI === voiceURI) || null;
+  }
+
+  // Read the version on screen from the first sentence showing (or the chapter start)
+  function startReadAloud(fromStart) {
+    const sentences = getReadAloudSentences(currentChapter, showModern);
+    const startIndex = fromStart ? 0 : findStartSentence(sentences, getReadingPosition());
+
+    const readAloudSpeaker = getSpeaker();
+    readAloudSpeaker.stop();
+    readAloudSpeaker.setRate(readAloudSettings.rate);
+    readAloudSpeaker.setVoice(findVoice(readAloudSettings.voiceURI));
+    readAloudSpeaker.start(sentences, startIndex);
+    setReadAloud({ paused: false });
+  }
+
+  function stopReadAloud() {
+    speaker.current?.stop();
+    clearSentenceMark(contentRef.current);
+    continueReadingAloud.current = false;
+    setReadAloud(null);
+    setSleepTimer(null);
+  }
+
+  function handleToggleReadAloudPause() {
+    if (readAloud.paused) {
+      speaker.current.resume();
+    } else {
+      speaker.current.pause();
+    }
+    setReadAloud({ paused: !readAloud.paused });
+  }
+
+  async function updateReadAloudSettings(changes) {
+    const updated = { ...readAloudSettings, ...changes };
+    setReadAloudSettings(updated);
+    await savePreference('readAloud', updated);
+  }
+
+  function handleSpeechRateChange(rate) {
+    getSpeaker().setRate(rate);
+    updateReadAloudSettings({ rate });
+  }
+
+  function handleVoiceChange(voiceURI) {
+    getSpeaker().setVoice(findVoice(voiceURI));
+    updateReadAloudSettings({ voiceURI });
+  }
+
+  function handleSleepTimerChange(id) {
+    const option = SLEEP_TIMERS.find(timer => timer.id === id);
+    if (!option || option.id === 'off') {
+      setSleepTimer(null);
+    } else {
+      setSleepTimer({
+        id: option.id,
+        endsAt: option.minutes ? Date.now() + option.minutes * 60 * 1000 : null
+      });
+    }
+  }
+
+  // What each shortcut does right now; actions that do not apply are left out
+  function getShortcutActions() {
+    const actions = {
+      nextChapter: handleNextChapter,
+      prevChapter: handlePrevChapter,
+      openContents: () => setShowTOC(true),
+      openSearch: () => setShowSearch(true),
+      addBookmark: handleAddBookmark,
+      cycleTheme: () => onThemeChange(getNextTheme(theme)),
+      openPalette: () => setShowPalette(true),
+      showShortcuts: () => setShowShortcuts(true)
+    };
+    if (isSpeechSupported() && !showParallel) {
+      actions.readAloud = readAloud ? stopReadAloud : () => startReadAloud(false);
+    }
+    if (!showParallel) {
+      actions.swapText = handleSwapText;
+    }
+    if (paged) {
+      actions.nextPage = () => handlePageTurn(1);
+      actions.prevPage = () => handlePageTurn(-1);
+    }
+    return actions;
+  }
+
+  function isPanelOpen() {
+    return showPalette || showShortcuts || showTOC || showSearch || showAnnotations
+      || showTypography || highlightPopup || annotationDraft || bookmarkDraft;
+  }
+
+  // Escape closes the panel on top; returns false when nothing was open
+  function closeTopPanel() {
+    const panels = [
+      [showPalette, setShowPalette],
+      [showShortcuts, setShowShortcuts],
+      [highlightPopup, setHighlightPopup],
+      [annotationDraft, setAnnotationDraft],
+      [bookmarkDraft, setBookmarkDraft],
+      [showTypography, setShowTypography],
+      [showSearch, setShowSearch],
+      [showAnnotations, setShowAnnotations],
+      [showTOC, setShowTOC]
+    ];
+    const open = panels.find(([isOpen]) => isOpen);
+    if (!open) return false;
+
+    const [isOpen, close] = open;
+    close(typeof isOpen === 'boolean' ? false : null);
+    return true;
+  }
+
+  // Palette entries: every shortcut that applies here, then every chapter
+  function getPaletteCommands() {
+    const actions = getShortcutActions();
+    const commands = READER_SHORTCUTS
+      .filter(shortcut => actions[shortcut.action] && shortcut.action !== 'openPalette')
+      .map(shortcut => ({
+        id: shortcut.action,
+        label: shortcut.label,
+        section: 'Action',
+        keys: shortcut.keys,
+        run: actions[shortcut.action]
+      }));
+
+    book.chapters.forEach(chapter => {
+      commands.push({
+        id: `chapter-${chapter.id}`,
+        label: chapter.title,
+        section: 'Chapter',
+        current: chapter.id === currentChapterId,
+        run: () => handleChapterChange(chapter.id)
+      });
+    });
+
+    return commands;
+  }
+
+  function handlePaletteSelect(command) {
+    setShowPalette(false);
+    command.run();
+  }
+
   if (!currentChapter) {
     return (
       <div className="loading-container">
@@ -212,9 +1115,15 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
 
   const contentHtml = showModern ? currentChapter.modern : currentChapter.original;
 
+  // Estimated from the saved place, at the reader's measured pace
+  const placeInChapter = progress?.location?.chapterId === currentChapterId
+    ? getParagraphIndex(progress.location.pid)
+    : 0;
+  const timeLeft = estimateTimeLeft(book, wordCounts, currentChapterId, placeInChapter, wordsPerMinute);
+
   return (
-    <div className="reader">
-      <nav className="reader-nav">
+    <div className={`reader ${paged ? 'paged' : ''}`}>
+      <nav className="reader-nav" ref={navRef}>
         <button className="btn-icon" onClick={onBack} aria-label="Back to library">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <path d="M19 12H5M12 19l-7-7 7-7"/>
@@ -230,87 +1139,310 @@ export default function Reader({ book, initialChapterId, onBack, theme, onThemeC
             </svg>
             <span>Contents</span>
           </button>
+          <button className="btn-ghost" onClick={() => setShowSearch(true)}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <circle cx="11" cy="11" r="7"/>
+              <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+            </svg>
+            <span>Search</span>
+          </button>
+          <button className="btn-ghost" onClick={() => setShowAnnotations(true)}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M12 20h9"/>
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+            </svg>
+            <span>Notes</span>
+          </button>
+          <button className="btn-ghost" onClick={handleAddBookmark} title="Bookmark this page">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+            </svg>
+            <span>Bookmark</span>
+          </button>
+          <button
+            className={`btn-ghost ${showParallel ? 'active' : ''}`}
+            onClick={handleToggleParallel}
+            aria-pressed={showParallel}
+            title="Show original and modern side by side"
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="4" width="7" height="16" rx="1"/>
+              <rect x="14" y="4" width="7" height="16" rx="1"/>
+            </svg>
+            <span>Parallel</span>
+          </button>
+          {isSpeechSupported() && (
+            <button
+              className={`btn-ghost ${readAloud ? 'active' : ''}`}
+              onClick={readAloud ? stopReadAloud : () => startReadAloud(false)}
+              aria-pressed={Boolean(readAloud)}
+              disabled={showParallel}
+              title="Read aloud from here"
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/>
+                <path d="M15.54 8.46a5 5 0 0 1 0 7.07"/>
+                <path d="M19.07 4.93a10 10 0 0 1 0 14.14"/>
+              </svg>
+              <span>Listen</span>
+            </button>
+          )}
+          <button
+            className={`btn-ghost ${showTypography ? 'active' : ''}`}
+            onClick={() => setShowTypography(true)}
+            title="Text size, font and spacing"
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="4 20 9 6 14 20"/>
+              <line x1="5.8" y1="15" x2="12.2" y2="15"/>
+              <polyline points="14 20 17.5 11 21 20"/>
+            </svg>
+            <span>Text</span>
+          </button>
         </div>
 
         <ThemeSelector currentTheme={theme} onThemeChange={onThemeChange} />
       </nav>
 
       <main className="reader-content">
-        <div className="reader-container">
-          <div className="reader-header">
-            <h1 className="reader-book-title">{book.title}</h1>
-            <h2 className="reader-chapter-title">{currentChapter.title}</h2>
-            <div className="reader-progress">
-              Chapter {currentIndex + 1} of {book.chapters.length}
-              {progress?.percentComplete > 0 && (
-                <span className="reader-progress-percent">
-                  {progress.percentComplete}% Complete
-                </span>
+        <div className={`reader-container ${showParallel ? 'parallel' : ''}`}>
+          <div
+            className={paged ? 'reader-pages' : undefined}
+            ref={pagesRef}
+            onClick={paged ? handlePagesClick : undefined}
+            onTouchStart={paged ? handlePagesTouchStart : undefined}
+            onTouchEnd={paged ? handlePagesTouchEnd : undefined}
+          >
+            <div className="reader-header">
+              <h1 className="reader-book-title">{book.title}</h1>
+              <h2 className="reader-chapter-title">{currentChapter.title}</h2>
+              <div className="reader-progress">
+                Chapter {currentIndex + 1} of {book.chapters.length}
+                {progress?.finishedAt ? (
+                  <span className="reader-progress-percent">
+                    Finished {formatFinishedDate(progress.finishedAt)}
+                  </span>
+                ) : progress?.percentComplete > 0 && (
+                  <span className="reader-progress-percent">
+                    {progress.percentComplete}% Complete
+                  </span>
+                )}
+                {timeLeft && timeLeft.bookMinutes > 0 && (
+                  <span
+                    className="reader-time-left"
+                    title={`Estimated at ${wordsPerMinute || DEFAULT_WORDS_PER_MINUTE} words per minute`}
+                  >
+                    {formatMinutes(timeLeft.chapterMinutes)} left in chapter
+                    {nextChapter && ` · ${formatMinutes(timeLeft.bookMinutes)} left in book`}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            <div
+              className={`reader-text ${isSwapping ? 'swapping' : ''}`}
+              ref={contentRef}
+              onMouseUp={handleSelectionEnd}
+              onTouchEnd={handleSelectionEnd}
+            >
+              {showParallel ? (
+                <ParallelChapter chapter={currentChapter} />
+              ) : currentChapter.processed ? (
+                <ProcessedChapter
+                  paragraphs={showModern
+                    ? currentChapter.processed.modernParagraphs
+                    : currentChapter.processed.paragraphs}
+                  interactive={!showModern}
+                  highlights={getHighlightedSids(currentChapter, annotations, showModern)}
+                />
+              ) : (
+                <div 
+                  className="reader-chapter-content"
+                  dangerouslySetInnerHTML={{ __html: contentHtml }}
+                />
               )}
             </div>
-          </div>
 
-          <div className={`reader-text ${isSwapping ? 'swapping' : ''}`} ref={contentRef}>
-            <div 
-              className="reader-chapter-content"
-              dangerouslySetInnerHTML={{ __html: contentHtml }}
-            />
-          </div>
+            <div className="reader-chapter-end" ref={chapterEndRef} aria-hidden="true" />
 
-          <div className="reader-navigation">
-            <button 
-              className="btn reader-nav-btn" 
-              onClick={handlePrevChapter}
-              disabled={!prevChapter}
-            >
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M19 12H5M12 19l-7-7 7-7"/>
-              </svg>
-              Previous
-            </button>
+            <div className="reader-navigation">
+              <button 
+                className="btn reader-nav-btn" 
+                onClick={handlePrevChapter}
+                disabled={!prevChapter}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M19 12H5M12 19l-7-7 7-7"/>
+                </svg>
+                Previous
+              </button>
             
-            <button 
-              className="btn reader-nav-btn" 
-              onClick={handleNextChapter}
-              disabled={!nextChapter}
-            >
-              Next
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M5 12h14M12 5l7 7-7 7"/>
-              </svg>
-            </button>
+              <button 
+                className="btn reader-nav-btn" 
+                onClick={handleNextChapter}
+                disabled={!nextChapter}
+              >
+                Next
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M5 12h14M12 5l7 7-7 7"/>
+                </svg>
+              </button>
+            </div>
           </div>
+
+          {paged && (
+            <div className="reader-page-footer">
+              <button
+                className="btn-icon"
+                onClick={() => handlePageTurn(-1)}
+                disabled={page === 0 && !prevChapter}
+                aria-label="Previous page"
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M15 18l-6-6 6-6"/>
+                </svg>
+              </button>
+              <span className="reader-page-indicator" aria-live="polite">
+                Page {page + 1} of {pageCount} in chapter
+              </span>
+              <button
+                className="btn-icon"
+                onClick={() => handlePageTurn(1)}
+                disabled={page >= pageCount - 1 && !nextChapter}
+                aria-label="Next page"
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M9 18l6-6-6-6"/>
+                </svg>
+              </button>
+            </div>
+          )}
         </div>
       </main>
 
-      <button 
-        className={`swap-button ${showModern ? 'modern' : ''}`}
-        onClick={handleSwapText}
-        aria-label={showModern ? 'Show original text' : 'Show modern retelling'}
-        title={showModern ? 'Show original text' : 'Show modern retelling'}
-      >
-        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-          <path d="M7 16V4M7 4L3 8M7 4l4 4M17 8v12M17 20l4-4M17 20l-4-4"/>
-        </svg>
-        <span className="swap-button-label">
-          {showModern ? 'Original' : 'Modern'}
-        </span>
-      </button>
+      {!showParallel && (
+        <button 
+          className={`swap-button ${showModern ? 'modern' : ''}`}
+          onClick={handleSwapText}
+          aria-label={showModern ? 'Show original text' : 'Show modern retelling'}
+          title={showModern ? 'Show original text' : 'Show modern retelling'}
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M7 16V4M7 4L3 8M7 4l4 4M17 8v12M17 20l4-4M17 20l-4-4"/>
+          </svg>
+          <span className="swap-button-label">
+            {showModern ? 'Original' : 'Modern'}
+          </span>
+        </button>
+      )}
+
+      {readAloud && (
+        <ReadAloudBar
+          paused={readAloud.paused}
+          settings={readAloudSettings}
+          sleepTimer={sleepTimer}
+          onTogglePause={handleToggleReadAloudPause}
+          onRateChange={handleSpeechRateChange}
+          onVoiceChange={handleVoiceChange}
+          onSleepTimerChange={handleSleepTimerChange}
+          onStop={stopReadAloud}
+        />
+      )}
 
       {showTOC && (
         <TableOfContents
           book={book}
           currentChapterId={currentChapterId}
           progress={progress}
+          bookmarks={bookmarks}
           onChapterSelect={handleChapterChange}
+          onChapterCompleteToggle={setChapterComplete}
+          onBookmarkSelect={handleBookmarkSelect}
+          onBookmarkDelete={handleDeleteBookmark}
           onClose={() => setShowTOC(false)}
         />
       )}
 
+      {selectionAnchor && !annotationDraft && (
+        <button
+          className="annotate-button"
+          style={{ top: selectionAnchor.top, left: selectionAnchor.left }}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => {
+            setAnnotationDraft(selectionAnchor.anchor);
+            setSelectionAnchor(null);
+          }}
+        >
+          Highlight
+        </button>
+      )}
+
+      {annotationDraft && (
+        <AnnotationEditor
+          quote={annotationDraft.quote}
+          onSave={handleSaveAnnotation}
+          onClose={() => setAnnotationDraft(null)}
+        />
+      )}
+
+      {bookmarkDraft && (
+        <BookmarkDialog
+          defaultName={currentChapter.title}
+          snippet={bookmarkDraft.snippet}
+          onSave={handleSaveBookmark}
+          onClose={() => setBookmarkDraft(null)}
+        />
+      )}
+
+      {showAnnotations && (
+        <AnnotationsPanel
+          book={book}
+          annotations={annotations}
+          onJump={handleAnnotationJump}
+          onDelete={handleDeleteAnnotation}
+          onExport={handleExportAnnotations}
+          onImport={handleImportAnnotations}
+          onClose={() => setShowAnnotations(false)}
+        />
+      )}
+
+      {showSearch && (
+        <SearchPanel
+          book={book}
+          onResultSelect={handleSearchResult}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {showTypography && (
+        <TypographyPanel
+          typography={typography}
+          onChange={onTypographyChange}
+          readingMode={readingMode}
+          onReadingModeChange={handleReadingModeChange}
+          onClose={() => setShowTypography(false)}
+        />
+      )}
+
+      {showPalette && (
+        <CommandPalette
+          commands={getPaletteCommands()}
+          onSelect={handlePaletteSelect}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
+
+      {showShortcuts && (
+        <ShortcutsOverlay onClose={() => setShowShortcuts(false)} />
+      )}
+
       {highlightPopup && (
         <HighlightPopup
           passage={highlightPopup.passage}
           onClose={handleClosePopup}
+          onCopyLink={highlightPopup.sid
+            ? () => copySentenceLink(highlightPopup.sid)
+            : undefined}
         />
       )}
     </div>
@@ -0,0 +1,72 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { buildSearchIndex, searchBook } from '../utils/search';
+import './SearchPanel.css';
+
+export default function SearchPanel({ book, onResultSelect, onClose }) {
+  const [query, setQuery] = useState('');
+  const inputRef = useRef(null);
+
+  const index = useMemo(() => buildSearchIndex(book), [book]);
+  const results = useMemo(() => searchBook(index, query), [index, query]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  return (
+    <div className="search-overlay" onClick={onClose}>
+      <div className="search-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="search-header">
+          <input
+            ref={inputRef}
+            type="search"
+            className="search-input"
+            placeholder="Search original and modern text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search this book"
+          />
+          <button className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="search-content">
+          {query.trim().length >= 2 && (
+            <p className="search-summary">
+              {results.total === 0
+                ? 'No matches'
+                : `${results.total} ${results.total === 1 ? 'match' : 'matches'}`}
+              {results.truncated && ` (showing first ${results.groups.reduce((sum, g) => sum + g.hits.length, 0)})`}
+            </p>
+          )}
+
+          {results.groups.map(group => (
+            <section key={group.chapterId} className="search-group">
+              <h3 className="search-group-title">{group.chapterTitle}</h3>
+              {group.hits.map((hit, i) => (
+                <button
+                  key={`${hit.version}-${hit.paragraphIndex}-${hit.offset}-${i}`}
+                  className="search-hit"
+                  onClick={() => onResultSelect(group.chapterId, hit)}
+                >
+                  <span className={`search-hit-version ${hit.version}`}>
+                    {hit.version === 'modern' ? 'Modern' : 'Original'}
+                  </span>
+                  <span className="search-hit-snippet">
+                    {hit.snippet.before}
+                    <mark>{hit.snippet.match}</mark>
+                    {hit.snippet.after}
+                  </span>
+                </button>
+              ))}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
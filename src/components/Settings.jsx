@@ -0,0 +1,263 @@
+import React, { useState, useRef } from 'react';
+import {
+  STORE_NAMES,
+  exportAllData,
+  validateBackup,
+  previewImport,
+  importAllData
+} from '../utils/storage';
+import { downloadFile } from '../utils/export';
+import ThemeSelector from './ThemeSelector';
+import ThemeEditor from './ThemeEditor';
+import './Settings.css';
+
+const STORE_LABELS = {
+  progress: 'Reading progress',
+  preferences: 'Preferences',
+  pinned: 'Pinned books',
+  annotations: 'Highlights & notes',
+  bookmarks: 'Bookmarks',
+  sessions: 'Reading sessions'
+};
+
+export default function Settings({
+  onBack,
+  onDataImported,
+  theme,
+  onThemeChange,
+  autoTheme,
+  onAutoThemeChange,
+  customTheme,
+  onCustomThemeSave
+}) {
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [status, setStatus] = useState(null);
+  const [locationStatus, setLocationStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // The sunset schedule needs a rough location; it is rounded before saving
+  function handleUseSunSchedule() {
+    if (!navigator.geolocation) {
+      setLocationStatus({ type: 'error', message: 'Location is not available in this browser.' });
+      return;
+    }
+
+    setLocationStatus({ type: 'info', message: 'Finding your location...' });
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        onAutoThemeChange({
+          schedule: 'sun',
+          latitude: Math.round(position.coords.latitude * 10) / 10,
+          longitude: Math.round(position.coords.longitude * 10) / 10
+        });
+        setLocationStatus(null);
+      },
+      (error) => {
+        console.error('Error getting location:', error);
+        setLocationStatus({ type: 'error', message: 'Could not get your location.' });
+      },
+      { maximumAge: 24 * 60 * 60 * 1000, timeout: 15000 }
+    );
+  }
+
+  async function handleExport() {
+    try {
+      const backup = await exportAllData();
+      const date = backup.exportedAt.slice(0, 10);
+      downloadFile(`classics-retold-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+      setStatus({ type: 'success', message: 'Backup downloaded.' });
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      setStatus({ type: 'error', message: 'Could not export your data.' });
+    }
+  }
+
+  async function handleFileSelected(file) {
+    setStatus(null);
+    try {
+      const backup = validateBackup(JSON.parse(await file.text()));
+      setPendingImport({
+        fileName: file.name,
+        backup,
+        preview: {
+          merge: await previewImport(backup, 'merge'),
+          replace: await previewImport(backup, 'replace')
+        }
+      });
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      setStatus({
+        type: 'error',
+        message: error instanceof SyntaxError ? 'That file is not valid JSON.' : error.message
+      });
+    }
+  }
+
+  async function handleConfirmImport() {
+    try {
+      await importAllData(pendingImport.backup, importMode);
+      setPendingImport(null);
+      setStatus({ type: 'success', message: 'Your data has been restored.' });
+      onDataImported();
+    } catch (error) {
+      console.error('Error importing data:', error);
+      setStatus({ type: 'error', message: 'Could not import this backup.' });
+    }
+  }
+
+  const preview = pendingImport?.preview[importMode];
+
+  return (
+    <div className="settings">
+      <header className="settings-header">
+        <button className="btn-icon" onClick={onBack} aria-label="Back to library">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <h1>Settings</h1>
+      </header>
+
+      <section className="settings-section">
+        <h2 className="section-title">Appearance</h2>
+        <div className="settings-theme-row">
+          <span>Theme</span>
+          <ThemeSelector currentTheme={theme} onThemeChange={onThemeChange} />
+        </div>
+
+        <h3 className="settings-subtitle">Auto theme</h3>
+        <p className="settings-description">
+          Auto switches between the light and dark themes.
+        </p>
+        <div className="settings-import-modes" role="radiogroup" aria-label="Auto theme schedule">
+          <label>
+            <input
+              type="radio"
+              name="auto-schedule"
+              value="system"
+              checked={autoTheme.schedule !== 'sun'}
+              onChange={() => onAutoThemeChange({ ...autoTheme, schedule: 'system' })}
+            />
+            Follow the system setting
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="auto-schedule"
+              value="sun"
+              checked={autoTheme.schedule === 'sun'}
+              onChange={handleUseSunSchedule}
+            />
+            Dark from sunset to sunrise
+            {autoTheme.schedule === 'sun' && autoTheme.latitude !== null && (
+              <span className="settings-hint">
+                ({autoTheme.latitude}°, {autoTheme.longitude}°)
+              </span>
+            )}
+          </label>
+        </div>
+        {locationStatus && (
+          <p className={`settings-status ${locationStatus.type}`} role="status">{locationStatus.message}</p>
+        )}
+
+        <h3 className="settings-subtitle">Custom theme</h3>
+        <p className="settings-description">
+          Pick your own colors. Text and accents must meet WCAG contrast minimums before the theme can be saved.
+        </p>
+        <ThemeEditor customTheme={customTheme} onSave={onCustomThemeSave} />
+      </section>
+
+      <section className="settings-section">
+        <h2 className="section-title">Your Data</h2>
+        <p className="settings-description">
+          Progress, preferences, pinned books, highlights, bookmarks and reading sessions are stored only on this device.
+          Export a backup to keep them safe or move them to another device.
+        </p>
+
+        <div className="settings-actions">
+          <button className="btn" onClick={handleExport}>Export my data</button>
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) handleFileSelected(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+
+        {status && (
+          <p className={`settings-status ${status.type}`} role="status">{status.message}</p>
+        )}
+
+        {pendingImport && (
+          <div className="settings-import-preview">
+            <h3>Import {pendingImport.fileName}</h3>
+            <p className="settings-description">
+              Exported {new Date(pendingImport.backup.exportedAt).toLocaleString()}
+            </p>
+
+            <div className="settings-import-modes" role="radiogroup" aria-label="Import mode">
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="merge"
+                  checked={importMode === 'merge'}
+                  onChange={() => setImportMode('merge')}
+                />
+                Merge with existing data
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="replace"
+                  checked={importMode === 'replace'}
+                  onChange={() => setImportMode('replace')}
+                />
+                Replace all existing data
+              </label>
+            </div>
+
+            <table className="settings-preview-table">
+              <thead>
+                <tr>
+                  <th>Data</th>
+                  <th>New</th>
+                  <th>Updated</th>
+                  <th>Unchanged</th>
+                  {importMode === 'replace' && <th>Removed</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {STORE_NAMES.map(storeName => (
+                  <tr key={storeName}>
+                    <td>{STORE_LABELS[storeName]}</td>
+                    <td>{preview[storeName].added}</td>
+                    <td>{preview[storeName].updated}</td>
+                    <td>{preview[storeName].unchanged}</td>
+                    {importMode === 'replace' && <td>{preview[storeName].removed}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="settings-actions">
+              <button className="btn btn-secondary" onClick={() => setPendingImport(null)}>Cancel</button>
+              <button className="btn" onClick={handleConfirmImport}>
+                {importMode === 'replace' ? 'Replace my data' : 'Merge'}
+              </button>
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
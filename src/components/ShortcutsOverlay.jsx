@@ -0,0 +1,39 @@
+import React from 'react';
+import { READER_SHORTCUTS, formatKey } from '../utils/shortcuts';
+import './ShortcutsOverlay.css';
+
+export default function ShortcutsOverlay({ onClose }) {
+  return (
+    <div className="shortcuts-overlay" onClick={onClose}>
+      <div
+        className="shortcuts-modal"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+      >
+        <div className="shortcuts-header">
+          <h2>Keyboard Shortcuts</h2>
+          <button className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <dl className="shortcuts-list">
+          {READER_SHORTCUTS.map(shortcut => (
+            <div key={shortcut.action} className="shortcuts-row">
+              <dt>{shortcut.label}</dt>
+              <dd>
+                {shortcut.keys.map(key => (
+                  <kbd key={key} className="shortcuts-key">{formatKey(key)}</kbd>
+                ))}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
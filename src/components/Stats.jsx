@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { loadCatalog } from '../utils/books';
+import { getAllSessions } from '../utils/storage';
+import {
+  getDailyMinutes,
+  getStreaks,
+  getWordsPerMinute,
+  getTimeByBook,
+  getVersionTotals,
+  getSessionSeconds,
+  formatMinutes
+} from '../utils/sessions';
+import './Stats.css';
+
+function toMinutes(seconds) {
+  return Math.round(seconds / 60);
+}
+
+function formatDay(dateKey) {
+  return new Date(`${dateKey}T12:00`).toLocaleDateString([], { weekday: 'narrow' });
+}
+
+export default function Stats({ onBack }) {
+  const [sessions, setSessions] = useState([]);
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  async function loadStats() {
+    try {
+      const [catalog, savedSessions] = await Promise.all([loadCatalog(), getAllSessions()]);
+      setBooks(catalog);
+      setSessions(savedSessions);
+    } catch (error) {
+      console.error('Error loading reading statistics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const daily = getDailyMinutes(sessions);
+  const busiestDay = Math.max(...daily.map(day => day.minutes), 1);
+  const streaks = getStreaks(sessions);
+  const wordsPerMinute = getWordsPerMinute(sessions);
+  const totalMinutes = toMinutes(sessions.reduce((sum, session) => sum + getSessionSeconds(session), 0));
+  const { originalSeconds, modernSeconds } = getVersionTotals(sessions);
+  const originalShare = originalSeconds + modernSeconds > 0
+    ? Math.round(originalSeconds / (originalSeconds + modernSeconds) * 100)
+    : 0;
+  const bookTitles = Object.fromEntries(books.map(book => [book.id, book.title]));
+
+  return (
+    <div className="stats">
+      <header className="stats-header">
+        <button className="btn-icon" onClick={onBack} aria-label="Back to library">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <h1>Reading Statistics</h1>
+      </header>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="stats-empty">
+          Nothing here yet. Time spent reading is recorded on this device as you read.
+        </p>
+      ) : (
+        <>
+          <section className="stats-summary">
+            <div className="stats-card">
+              <span className="stats-card-value">{formatMinutes(daily[daily.length - 1].minutes)}</span>
+              <span className="stats-card-label">Today</span>
+            </div>
+            <div className="stats-card">
+              <span className="stats-card-value">
+                {streaks.current} {streaks.current === 1 ? 'day' : 'days'}
+              </span>
+              <span className="stats-card-label">Current streak</span>
+            </div>
+            <div className="stats-card">
+              <span className="stats-card-value">
+                {streaks.longest} {streaks.longest === 1 ? 'day' : 'days'}
+              </span>
+              <span className="stats-card-label">Longest streak</span>
+            </div>
+            <div className="stats-card">
+              <span className="stats-card-value">{wordsPerMinute || '—'}</span>
+              <span className="stats-card-label">Words per minute</span>
+            </div>
+            <div className="stats-card">
+              <span className="stats-card-value">{formatMinutes(totalMinutes)}</span>
+              <span className="stats-card-label">Total reading time</span>
+            </div>
+          </section>
+
+          <section className="stats-section">
+            <h2 className="section-title">Minutes per Day</h2>
+            <div className="stats-chart" role="img" aria-label="Minutes read on each of the last 14 days">
+              {daily.map(day => (
+                <div key={day.date} className="stats-chart-day" title={`${day.date}: ${day.minutes} min`}>
+                  <span className="stats-chart-minutes">{day.minutes > 0 ? day.minutes : ''}</span>
+                  <div className="stats-chart-track">
+                    <div
+                      className="stats-chart-bar"
+                      style={{ height: `${day.minutes / busiestDay * 100}%` }}
+                    />
+                  </div>
+                  <span className="stats-chart-label">{formatDay(day.date)}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="stats-section">
+            <h2 className="section-title">Original and Modern</h2>
+            <div className="stats-split" aria-hidden="true">
+              <div className="stats-split-original" style={{ width: `${originalShare}%` }} />
+            </div>
+            <div className="stats-split-legend">
+              <span>Original: {formatMinutes(toMinutes(originalSeconds))} ({originalShare}%)</span>
+              <span>Modern: {formatMinutes(toMinutes(modernSeconds))} ({100 - originalShare}%)</span>
+            </div>
+          </section>
+
+          <section className="stats-section">
+            <h2 className="section-title">Time per Book</h2>
+            <ul className="stats-books">
+              {getTimeByBook(sessions).map(({ bookId, seconds }) => (
+                <li key={bookId} className="stats-book">
+                  <span className="stats-book-title">{bookTitles[bookId] || bookId}</span>
+                  <span className="stats-book-time">{formatMinutes(toMinutes(seconds))}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
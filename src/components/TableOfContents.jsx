@@ -1,9 +1,22 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './TableOfContents.css';
 
-export default function TableOfContents({ book, currentChapterId, progress, onChapterSelect, onClose }) {
+export default function TableOfContents({
+  book,
+  currentChapterId,
+  progress,
+  bookmarks = [],
+  onChapterSelect,
+  onChapterCompleteToggle,
+  onBookmarkSelect,
+  onBookmarkDelete,
+  onClose
+}) {
+  const [activeTab, setActiveTab] = useState('chapters');
   const completedChapters = progress?.completed || [];
 
+  const sortedBookmarks = [...bookmarks].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
   return (
     <div className="toc-overlay" onClick={onClose}>
       <div className="toc-modal" onClick={(e) => e.stopPropagation()}>
@@ -16,32 +29,108 @@ export default function TableOfContents({ book, currentChapterId, progress, onCh
             </svg>
           </button>
         </div>
-        
-        <div className="toc-content">
-          {book.chapters.map((chapter, index) => {
-            const isCompleted = completedChapters.includes(chapter.id);
-            const isCurrent = chapter.id === currentChapterId;
-            
-            return (
-              <button
-                key={chapter.id}
-                className={`toc-item ${isCurrent ? 'current' : ''} ${isCompleted ? 'completed' : ''}`}
-                onClick={() => {
-                  onChapterSelect(chapter.id);
-                  onClose();
-                }}
-              >
-                <span className="toc-item-number">{index + 1}</span>
-                <span className="toc-item-title">{chapter.title}</span>
-                {isCompleted && (
-                  <svg className="toc-checkmark" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <polyline points="20 6 9 17 4 12" />
-                  </svg>
-                )}
-              </button>
-            );
-          })}
+
+        <div className="toc-tabs" role="tablist">
+          <button
+            role="tab"
+            aria-selected={activeTab === 'chapters'}
+            className={`toc-tab ${activeTab === 'chapters' ? 'active' : ''}`}
+            onClick={() => setActiveTab('chapters')}
+          >
+            Chapters
+          </button>
+          <button
+            role="tab"
+            aria-selected={activeTab === 'bookmarks'}
+            className={`toc-tab ${activeTab === 'bookmarks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('bookmarks')}
+          >
+            Bookmarks{bookmarks.length > 0 && ` (${bookmarks.length})`}
+          </button>
         </div>
+        
+        {activeTab === 'chapters' && (
+          <div className="toc-content">
+            {book.chapters.map((chapter, index) => {
+              const isCompleted = completedChapters.includes(chapter.id);
+              const isCurrent = chapter.id === currentChapterId;
+              
+              return (
+                <div
+                  key={chapter.id}
+                  className={`toc-item ${isCurrent ? 'current' : ''} ${isCompleted ? 'completed' : ''}`}
+                >
+                  <button
+                    className="toc-item-body"
+                    onClick={() => {
+                      onChapterSelect(chapter.id);
+                      onClose();
+                    }}
+                  >
+                    <span className="toc-item-number">{index + 1}</span>
+                    <span className="toc-item-title">{chapter.title}</span>
+                  </button>
+                  <button
+                    className="btn-icon toc-checkmark"
+                    onClick={() => onChapterCompleteToggle(chapter.id, !isCompleted)}
+                    aria-pressed={isCompleted}
+                    aria-label={`${isCompleted ? 'Mark as unread' : 'Mark as read'}: ${chapter.title}`}
+                    title={isCompleted ? 'Mark as unread' : 'Mark as read'}
+                  >
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="20 6 9 17 4 12" />
+                    </svg>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {activeTab === 'bookmarks' && (
+          <div className="toc-content">
+            {sortedBookmarks.length === 0 && (
+              <p className="toc-empty">
+                Use the bookmark button in the reader to save your place.
+              </p>
+            )}
+
+            {sortedBookmarks.map(bookmark => {
+              const chapter = book.chapters.find(ch => ch.id === bookmark.location.chapterId);
+
+              return (
+                <div key={bookmark.id} className="toc-bookmark">
+                  <button
+                    className="toc-bookmark-body"
+                    onClick={() => {
+                      onBookmarkSelect(bookmark);
+                      onClose();
+                    }}
+                  >
+                    <span className="toc-bookmark-name">{bookmark.name}</span>
+                    <span className="toc-bookmark-meta">
+                      {chapter ? chapter.title : 'Unknown chapter'} · {new Date(bookmark.createdAt).toLocaleDateString()}
+                    </span>
+                    {bookmark.snippet && (
+                      <span className="toc-bookmark-snippet">{bookmark.snippet}</span>
+                    )}
+                  </button>
+                  <button
+                    className="btn-icon toc-bookmark-delete"
+                    onClick={() => onBookmarkDelete(bookmark.id)}
+                    aria-label="Delete bookmark"
+                    title="Delete"
+                  >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3 6 5 6 21 6" />
+                      <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6M10 11v6M14 11v6M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
+                    </svg>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import {
+  CUSTOM_THEME_FIELDS,
+  DEFAULT_CUSTOM_THEME,
+  isHexColor,
+  checkThemeContrast,
+  buildCustomThemeProperties
+} from '../utils/themes';
+import './ThemeEditor.css';
+
+export default function ThemeEditor({ customTheme, onSave }) {
+  const [draft, setDraft] = useState(customTheme);
+  const [saved, setSaved] = useState(false);
+
+  // Pick up the saved colors once preferences load (or after an import)
+  useEffect(() => {
+    setDraft(customTheme);
+  }, [customTheme]);
+
+  const isValid = CUSTOM_THEME_FIELDS.every(({ id }) => isHexColor(draft[id]));
+  const checks = isValid ? checkThemeContrast(draft) : [];
+  const canSave = isValid && checks.every(check => check.passes);
+
+  function updateColor(id, value) {
+    setDraft({ ...draft, [id]: value });
+    setSaved(false);
+  }
+
+  async function handleSave() {
+    await onSave({ ...draft });
+    setSaved(true);
+  }
+
+  // The preview reads the same properties the custom theme sets on the body
+  const previewStyle = isValid ? buildCustomThemeProperties(draft) : {};
+
+  return (
+    <div className="theme-editor">
+      <div className="theme-editor-fields">
+        {CUSTOM_THEME_FIELDS.map(({ id, label }) => (
+          <label key={id} className="theme-editor-field">
+            <span className="theme-editor-label">{label}</span>
+            <input
+              type="color"
+              value={isHexColor(draft[id]) ? draft[id] : '#000000'}
+              onChange={(e) => updateColor(id, e.target.value.toUpperCase())}
+              aria-label={`${label} color`}
+            />
+            <input
+              type="text"
+              className="theme-editor-hex"
+              value={draft[id]}
+              onChange={(e) => updateColor(id, e.target.value.trim())}
+              maxLength={7}
+              spellCheck={false}
+              aria-invalid={!isHexColor(draft[id])}
+              aria-label={`${label} hex value`}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="theme-editor-preview" style={previewStyle}>
+        <p>
+          It was on a dreary night of November that I beheld the{' '}
+          <mark className="theme-editor-preview-highlight">accomplishment of my toils</mark>.
+        </p>
+        <span className="theme-editor-preview-accent">Next chapter →</span>
+      </div>
+
+      {isValid ? (
+        <ul className="theme-editor-checks">
+          {checks.map(check => (
+            <li key={check.id} className={check.passes ? 'passes' : 'fails'}>
+              <span>{check.passes ? '✓' : '✗'} {check.label}</span>
+              <span className="theme-editor-ratio">
+                {check.ratio.toFixed(2)}:1 (needs {check.minimum}:1)
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="theme-editor-error" role="alert">
+          Colors must be six-digit hex values such as #1A1A1A.
+        </p>
+      )}
+
+      <div className="settings-actions">
+        <button className="btn" onClick={handleSave} disabled={!canSave}>
+          Save and use
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => {
+            setDraft(DEFAULT_CUSTOM_THEME);
+            setSaved(false);
+          }}
+        >
+          Reset colors
+        </button>
+      </div>
+
+      {saved && (
+        <p className="settings-status success" role="status">Custom theme saved.</p>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,7 @@
 import React from 'react';
+import { THEMES } from '../utils/themes';
 import './ThemeSelector.css';
 
-const THEMES = [
-  { id: 'light', label: 'Light', icon: '☀️' },
-  { id: 'dark', label: 'Dark', icon: '🌙' },
-  { id: 'sepia', label: 'Sepia', icon: '📖' }
-];
-
 export default function ThemeSelector({ currentTheme, onThemeChange }) {
   return (
     <div className="theme-selector">
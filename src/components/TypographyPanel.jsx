@@ -0,0 +1,138 @@
+import React from 'react';
+import {
+  FONT_SIZE_STEPS,
+  FONT_FAMILIES,
+  LINE_HEIGHTS,
+  PARAGRAPH_SPACINGS,
+  TEXT_WIDTHS,
+  TEXT_ALIGNS,
+  DEFAULT_TYPOGRAPHY,
+  stepFontScale
+} from '../utils/typography';
+import { READING_MODES } from '../utils/pagination';
+import './TypographyPanel.css';
+
+function OptionGroup({ label, options, value, onChange, renderLabel }) {
+  return (
+    <div className="typography-row">
+      <span className="typography-label">{label}</span>
+      <div className="typography-options" role="group" aria-label={label}>
+        {options.map(option => (
+          <button
+            key={option.id}
+            className={`typography-option ${value === option.id ? 'active' : ''}`}
+            onClick={() => onChange(option.id)}
+            aria-pressed={value === option.id}
+          >
+            {renderLabel ? renderLabel(option) : option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Non-modal sheet: the overlay stays transparent so changes preview live on the text behind it
+export default function TypographyPanel({ typography, onChange, readingMode, onReadingModeChange, onClose }) {
+  const update = (changes) => onChange({ ...typography, ...changes });
+  const fontScaleIndex = FONT_SIZE_STEPS.indexOf(typography.fontScale);
+
+  return (
+    <div className="typography-overlay" onClick={onClose}>
+      <div
+        className="typography-sheet"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Text settings"
+      >
+        <div className="typography-header">
+          <h3>Text</h3>
+          <button className="btn-icon" onClick={onClose} aria-label="Close">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="typography-content">
+          <OptionGroup
+            label="Layout"
+            options={READING_MODES}
+            value={readingMode}
+            onChange={onReadingModeChange}
+          />
+
+          <div className="typography-row">
+            <span className="typography-label">Size</span>
+            <div className="typography-size">
+              <button
+                className="typography-option"
+                onClick={() => update({ fontScale: stepFontScale(typography.fontScale, -1) })}
+                disabled={fontScaleIndex === 0}
+                aria-label="Smaller text"
+              >
+                <span className="typography-size-small">A</span>
+              </button>
+              <span className="typography-size-value">
+                {Math.round(typography.fontScale * 100)}%
+              </span>
+              <button
+                className="typography-option"
+                onClick={() => update({ fontScale: stepFontScale(typography.fontScale, 1) })}
+                disabled={fontScaleIndex === FONT_SIZE_STEPS.length - 1}
+                aria-label="Larger text"
+              >
+                <span className="typography-size-large">A</span>
+              </button>
+            </div>
+          </div>
+
+          <OptionGroup
+            label="Font"
+            options={FONT_FAMILIES}
+            value={typography.fontFamily}
+            onChange={(fontFamily) => update({ fontFamily })}
+            renderLabel={(option) => (
+              <span style={{ fontFamily: option.value }}>{option.label}</span>
+            )}
+          />
+
+          <OptionGroup
+            label="Line spacing"
+            options={LINE_HEIGHTS}
+            value={typography.lineHeight}
+            onChange={(lineHeight) => update({ lineHeight })}
+          />
+
+          <OptionGroup
+            label="Paragraph spacing"
+            options={PARAGRAPH_SPACINGS}
+            value={typography.paragraphSpacing}
+            onChange={(paragraphSpacing) => update({ paragraphSpacing })}
+          />
+
+          <OptionGroup
+            label="Text width"
+            options={TEXT_WIDTHS}
+            value={typography.textWidth}
+            onChange={(textWidth) => update({ textWidth })}
+          />
+
+          <OptionGroup
+            label="Alignment"
+            options={TEXT_ALIGNS}
+            value={typography.textAlign}
+            onChange={(textAlign) => update({ textAlign })}
+          />
+        </div>
+
+        <div className="typography-footer">
+          <button className="btn btn-ghost" onClick={() => onChange(DEFAULT_TYPOGRAPHY)}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { getSentencePair } from './books';
+
+export const HIGHLIGHT_COLORS = [
+  { id: 'yellow', label: 'Yellow' },
+  { id: 'green', label: 'Green' },
+  { id: 'blue', label: 'Blue' },
+  { id: 'pink', label: 'Pink' }
+];
+
+// Build an annotation anchor from the current window selection inside container.
+// Processed chapters anchor to the original sids the selection touches; HTML
+// chapters anchor to the quoted text inside a paragraph of the version on screen.
+export function getSelectionAnchor(container, chapter, showModern) {
+  const selection = window.getSelection();
+  if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.commonAncestorContainer)) return null;
+
+  const quote = selection.toString().replace(/\s+/g, ' ').trim();
+  if (!quote) return null;
+
+  const startElement = toElement(range.startContainer);
+  const endElement = toElement(range.endContainer);
+
+  if (chapter.processed) {
+    const spans = Array.from(container.querySelectorAll('[data-sid]'));
+    const startIndex = spans.indexOf(startElement.closest('[data-sid]'));
+    const endIndex = spans.indexOf(endElement.closest('[data-sid]'));
+    if (startIndex === -1 || endIndex === -1) return null;
+
+    const sids = spans
+      .slice(startIndex, endIndex + 1)
+      .map(span => getSentencePair(chapter, span.dataset.sid)?.originalSid)
+      .filter(Boolean);
+
+    return sids.length > 0 ? { chapterId: chapter.id, sids, quote } : null;
+  }
+
+  const paragraphs = Array.from(container.querySelectorAll('p'));
+  const startParagraph = startElement.closest('p');
+  const paragraphIndex = paragraphs.indexOf(startParagraph);
+  if (paragraphIndex === -1) return null;
+
+  // HTML highlights are drawn within a single paragraph, so clip to the first one
+  let paragraphQuote = quote;
+  if (endElement.closest('p') !== startParagraph) {
+    const clipped = document.createRange();
+    clipped.setStart(range.startContainer, range.startOffset);
+    clipped.setEndAfter(startParagraph.lastChild);
+    paragraphQuote = clipped.toString().replace(/\s+/g, ' ').trim();
+  }
+
+  return {
+    chapterId: chapter.id,
+    version: showModern ? 'modern' : 'original',
+    paragraphIndex,
+    quote: paragraphQuote
+  };
+}
+
+function toElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+}
+
+// Map each displayed sid to the annotation covering it
+export function getHighlightedSids(chapter, annotations, showModern) {
+  const highlighted = {};
+  if (!chapter?.processed) return highlighted;
+
+  annotations
+    .filter(annotation => annotation.chapterId === chapter.id && annotation.sids)
+    .forEach(annotation => {
+      annotation.sids.forEach(sid => {
+        const displayedSid = showModern ? chapter.processed.alignment.original_to_modern[sid] : sid;
+        if (displayedSid) highlighted[displayedSid] = annotation;
+      });
+    });
+
+  return highlighted;
+}
+
+// Draw HTML-chapter highlights as <mark> elements, replacing any drawn earlier
+export function applyHtmlHighlights(container, annotations, version) {
+  if (!container) return;
+
+  container.querySelectorAll('mark.annotation-mark').forEach(mark => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  container.normalize();
+
+  const paragraphs = container.querySelectorAll('p');
+
+  annotations
+    .filter(annotation => !annotation.sids && annotation.version === version)
+    .forEach(annotation => {
+      const paragraph = paragraphs[annotation.paragraphIndex];
+      if (paragraph) {
+        wrapText(paragraph, annotation.quote, annotation);
+      }
+    });
+}
+
+// Wrap the first occurrence of text (whitespace-insensitive) in element with marks,
+// one per text node the match spans
+function wrapText(element, text, annotation) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let content = '';
+
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: content.length });
+    content += walker.currentNode.textContent;
+  }
+
+  const pattern = new RegExp(
+    text.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+')
+  );
+  const match = pattern.exec(content);
+  if (!match) return false;
+
+  const matchStart = match.index;
+  const matchEnd = match.index + match[0].length;
+
+  nodes.forEach(({ node, start }) => {
+    const end = start + node.textContent.length;
+    if (end <= matchStart || start >= matchEnd) return;
+
+    const range = document.createRange();
+    range.setStart(node, Math.max(matchStart - start, 0));
+    range.setEnd(node, Math.min(matchEnd - start, node.textContent.length));
+
+    const mark = document.createElement('mark');
+    mark.className = `annotation-mark annotation-${annotation.color}`;
+    mark.dataset.annotationId = annotation.id;
+    range.surroundContents(mark);
+  });
+
+  return true;
+}
@@ -1,26 +1,49 @@
 const FALLBACK_BOOK_CONTENT = import.meta.glob('../data/books/*.json');
-const FRANKENSTEIN_COVER = new URL('../assets/covers/frankenstein-placeholder.svg', import.meta.url).href;
-
-// Book metadata
-export const BOOKS_METADATA = [
-  {
-    id: 'frankenstein',
-    title: 'Frankenstein',
-    subtitle: 'or, The Modern Prometheus',
-    author: 'Mary Shelley',
-    year: 1818,
-    coverImage: FRANKENSTEIN_COVER,
-    description: 'The tragic story of Victor Frankenstein, a young scientist who creates a grotesque creature in an unorthodox scientific experiment.'
+
+// Catalog manifest written by scripts/catalog.js whenever a book is processed
+const CATALOG_URL = '/data/catalog.json';
+
+let catalogPromise = null;
+
+// Load the list of books in the library. The request is shared between
+// callers; a failed load is not cached so the next call retries.
+export function loadCatalog() {
+  if (!catalogPromise) {
+    catalogPromise = fetchCatalog().catch(error => {
+      catalogPromise = null;
+      throw error;
+    });
+  }
+  return catalogPromise;
+}
+
+async function fetchCatalog() {
+  const response = await fetch(CATALOG_URL);
+  if (!response.ok) {
+    throw new Error('Failed to load book catalog');
   }
-];
 
-// Get book by ID
-export function getBookById(id) {
-  return BOOKS_METADATA.find(book => book.id === id);
+  const catalog = await response.json();
+  return catalog.books || [];
+}
+
+// Get book metadata by ID
+export async function getBookById(id) {
+  const books = await loadCatalog();
+  return books.find(book => book.id === id);
 }
 
-// Load book content
+// Load book content, merging in the sentence-aligned bundle when one exists
 export async function loadBookContent(bookId) {
+  const [content, processed] = await Promise.all([
+    fetchBookContent(bookId),
+    loadProcessedBook(bookId)
+  ]);
+
+  return mergeProcessedBook(content, processed);
+}
+
+async function fetchBookContent(bookId) {
   const publicUrl = `/data/books/${bookId}.json`;
 
   try {
@@ -49,6 +72,111 @@ export async function loadBookContent(bookId) {
   }
 }
 
+// Load the <id>-processed.json bundle written by `retold build`.
+// Returns null for books that have not been processed yet.
+export async function loadProcessedBook(bookId) {
+  try {
+    const response = await fetch(`/data/books/${bookId}-processed.json`);
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn(`No processed bundle for book: ${bookId}`);
+    return null;
+  }
+}
+
+// Attach processed paragraphs and alignment to the matching chapters.
+// Only translated chapters (with an alignment map) are attached; the rest keep
+// using the HTML path.
+export function mergeProcessedBook(content, processed) {
+  if (!processed || !processed.chapters) {
+    return content;
+  }
+
+  const processedById = {};
+  processed.chapters.forEach(chapter => {
+    if (chapter.alignment && chapter.modern_paragraphs) {
+      processedById[chapter.chapter_id] = chapter;
+    }
+  });
+
+  return {
+    ...content,
+    chapters: content.chapters.map(chapter => {
+      const processedChapter = processedById[chapter.id];
+      if (!processedChapter) return chapter;
+
+      return {
+        ...chapter,
+        processed: {
+          paragraphs: processedChapter.paragraphs,
+          modernParagraphs: processedChapter.modern_paragraphs,
+          alignment: processedChapter.alignment,
+          modernToOriginal: invertAlignment(processedChapter.alignment),
+          sentenceIndex: buildSentenceIndex([
+            ...processedChapter.paragraphs,
+            ...processedChapter.modern_paragraphs
+          ])
+        }
+      };
+    })
+  };
+}
+
+// Map every sid to its sentence text, parent paragraph id and offset in that paragraph
+function buildSentenceIndex(paragraphs) {
+  const index = {};
+  paragraphs.forEach(paragraph => {
+    paragraph.sentences.forEach(sentence => {
+      index[sentence.sid] = { text: sentence.text, pid: paragraph.pid, start: sentence.start };
+    });
+  });
+  return index;
+}
+
+function invertAlignment(alignment) {
+  const inverted = {};
+  Object.entries(alignment.original_to_modern).forEach(([originalSid, modernSid]) => {
+    inverted[modernSid] = originalSid;
+  });
+  return inverted;
+}
+
+// Resolve a sid from either side to its { originalSid, modernSid } pair
+export function getSentencePair(chapter, sid) {
+  const processed = chapter?.processed;
+  if (!processed || !sid) return null;
+
+  if (processed.alignment.original_to_modern[sid]) {
+    return { originalSid: sid, modernSid: processed.alignment.original_to_modern[sid] };
+  }
+  if (processed.modernToOriginal[sid]) {
+    return { originalSid: processed.modernToOriginal[sid], modernSid: sid };
+  }
+  return null;
+}
+
+// Look up the original/modern sentence pair for an original sid
+export function getAlignedSentence(chapter, sid) {
+  const processed = chapter?.processed;
+  if (!processed) return null;
+
+  const modernSid = processed.alignment.original_to_modern[sid];
+  const original = processed.sentenceIndex[sid];
+  const modern = processed.sentenceIndex[modernSid];
+
+  if (!original || !modern) return null;
+
+  return {
+    sid,
+    modernSid,
+    originalText: original.text,
+    modernText: modern.text
+  };
+}
+
 // Get chapter by ID
 export function getChapterById(book, chapterId) {
   if (!book || !book.chapters) return null;
@@ -79,6 +207,111 @@ export function getPreviousChapter(book, currentChapterId) {
   return book.chapters[currentIndex - 1];
 }
 
+// Paragraph ids follow the segmenter's <chapter-id>_p<n> scheme, so HTML
+// chapters and processed chapters share the same locations
+export function getParagraphId(chapterId, index) {
+  return `${chapterId}_p${index + 1}`;
+}
+
+// Sentence ids follow the segmenter scheme <pid>_s<n>. HTML chapters have no
+// segmented sentences, so their ids count the sentence spans in each paragraph.
+export function getSentenceId(chapterId, paragraphIndex, sentenceIndex) {
+  return `${getParagraphId(chapterId, paragraphIndex)}_s${sentenceIndex + 1}`;
+}
+
+// Resolve a linked sentence id into a target in the original text:
+// { sid } for processed chapters, { paragraphIndex, sentenceIndex } otherwise
+export function resolveSentenceLink(chapter, sid) {
+  if (!chapter || !sid) return null;
+
+  const pair = getSentencePair(chapter, sid);
+  if (pair) {
+    return { sid: pair.originalSid };
+  }
+
+  const match = sid.match(/_p(\d+)_s(\d+)$/);
+  if (!match) return null;
+
+  return {
+    paragraphIndex: Number(match[1]) - 1,
+    sentenceIndex: Number(match[2]) - 1,
+    offset: 0
+  };
+}
+
+// Index of a paragraph from its id (see getParagraphId), or -1
+export function getParagraphIndex(pid) {
+  const match = pid && pid.match(/_p(\d+)$/);
+  return match ? Number(match[1]) - 1 : -1;
+}
+
+function countHtmlParagraphs(html) {
+  return (html?.match(/<p[\s>]/gi) || []).length;
+}
+
+// Map a paragraph index between the original and modern HTML by relative position
+function mapHtmlParagraphIndex(chapter, index, toModern) {
+  const originalCount = countHtmlParagraphs(chapter.original);
+  const modernCount = countHtmlParagraphs(chapter.modern);
+  if (!originalCount || !modernCount) return index;
+
+  const [fromCount, toCount] = toModern
+    ? [originalCount, modernCount]
+    : [modernCount, originalCount];
+  return Math.min(Math.floor(index * toCount / fromCount), toCount - 1);
+}
+
+// Convert a viewport position (from getViewportPosition) into a reading location:
+// { chapterId, pid, offset } where pid and the character offset always refer to the
+// original text, so the location survives font, width and original/modern changes.
+export function toReadingLocation(chapter, position, showModern) {
+  if (!chapter || !position) return null;
+
+  const processed = chapter.processed;
+  if (processed && position.sid) {
+    const pair = getSentencePair(chapter, position.sid);
+    const sentence = pair && processed.sentenceIndex[pair.originalSid];
+    if (sentence) {
+      return { chapterId: chapter.id, pid: sentence.pid, offset: sentence.start };
+    }
+  }
+
+  const index = showModern && !processed
+    ? mapHtmlParagraphIndex(chapter, position.paragraphIndex, false)
+    : position.paragraphIndex;
+
+  return {
+    chapterId: chapter.id,
+    pid: getParagraphId(chapter.id, index),
+    offset: showModern ? 0 : position.offset
+  };
+}
+
+// Resolve a reading location into a target in the text currently on screen:
+// { sid } for processed chapters, { paragraphIndex, offset } otherwise
+export function resolveReadingLocation(chapter, location, showModern) {
+  if (!chapter || !location) return null;
+
+  const processed = chapter.processed;
+  if (processed) {
+    const paragraph = processed.paragraphs.find(p => p.pid === location.pid);
+    if (paragraph && paragraph.sentences.length > 0) {
+      const sentence = paragraph.sentences.find(s => location.offset < s.end)
+        || paragraph.sentences[paragraph.sentences.length - 1];
+      const sid = showModern
+        ? processed.alignment.original_to_modern[sentence.sid]
+        : sentence.sid;
+      if (sid) return { sid };
+    }
+  }
+
+  const index = Math.max(getParagraphIndex(location.pid), 0);
+  return {
+    paragraphIndex: showModern && !processed ? mapHtmlParagraphIndex(chapter, index, true) : index,
+    offset: showModern ? 0 : location.offset
+  };
+}
+
 // Process chapter HTML to wrap translatable passages
 export function processChapterHtml(html, passages) {
   if (!passages || passages.length === 0) {
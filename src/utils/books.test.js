@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getParagraphId,
+  getParagraphIndex,
+  resolveSentenceLink,
+  toReadingLocation,
+  resolveReadingLocation
+} from './books';
+
+// Two original paragraphs ("ch_p1" with two sentences, "ch_p2" with one) retold as one
+const processedChapter = {
+  id: 'ch',
+  processed: {
+    paragraphs: [
+      {
+        pid: 'ch_p1',
+        sentences: [
+          { sid: 'ch_p1_s1', start: 0, end: 20 },
+          { sid: 'ch_p1_s2', start: 21, end: 40 }
+        ]
+      },
+      { pid: 'ch_p2', sentences: [{ sid: 'ch_p2_s1', start: 0, end: 15 }] }
+    ],
+    sentenceIndex: {
+      ch_p1_s1: { pid: 'ch_p1', start: 0, end: 20 },
+      ch_p1_s2: { pid: 'ch_p1', start: 21, end: 40 },
+      ch_p2_s1: { pid: 'ch_p2', start: 0, end: 15 },
+      'ch_p1_s1-m': { pid: 'ch_p1-m', start: 0, end: 18 },
+      'ch_p1_s2-m': { pid: 'ch_p1-m', start: 19, end: 30 },
+      'ch_p2_s1-m': { pid: 'ch_p1-m', start: 31, end: 45 }
+    },
+    alignment: {
+      original_to_modern: {
+        ch_p1_s1: 'ch_p1_s1-m',
+        ch_p1_s2: 'ch_p1_s2-m',
+        ch_p2_s1: 'ch_p2_s1-m'
+      }
+    },
+    modernToOriginal: {
+      'ch_p1_s1-m': 'ch_p1_s1',
+      'ch_p1_s2-m': 'ch_p1_s2',
+      'ch_p2_s1-m': 'ch_p2_s1'
+    }
+  }
+};
+
+// Four original paragraphs retold in two
+const htmlChapter = {
+  id: 'html',
+  original: '<p>One</p><p>Two</p><p>Three</p><p>Four</p>',
+  modern: '<p>One and two</p><p>Three and four</p>'
+};
+
+describe('paragraph ids', () => {
+  it('round-trips an index through its id', () => {
+    expect(getParagraphId('ch', 4)).toBe('ch_p5');
+    expect(getParagraphIndex('ch_p5')).toBe(4);
+    expect(getParagraphIndex('nonsense')).toBe(-1);
+    expect(getParagraphIndex(null)).toBe(-1);
+  });
+});
+
+describe('resolveSentenceLink', () => {
+  it('resolves modern sids of processed chapters to their original', () => {
+    expect(resolveSentenceLink(processedChapter, 'ch_p2_s1-m')).toEqual({ sid: 'ch_p2_s1' });
+  });
+
+  it('reads paragraph and sentence positions from HTML chapter sids', () => {
+    expect(resolveSentenceLink(htmlChapter, 'html_p3_s2')).toEqual({ paragraphIndex: 2, sentenceIndex: 1, offset: 0 });
+    expect(resolveSentenceLink(htmlChapter, 'html_intro')).toBeNull();
+  });
+});
+
+describe('toReadingLocation', () => {
+  it('stores a processed sentence as its original paragraph and offset', () => {
+    expect(toReadingLocation(processedChapter, { sid: 'ch_p1_s2' }, false))
+      .toEqual({ chapterId: 'ch', pid: 'ch_p1', offset: 21 });
+    // Reading the modern text, the location still points into the original
+    expect(toReadingLocation(processedChapter, { sid: 'ch_p2_s1-m' }, true))
+      .toEqual({ chapterId: 'ch', pid: 'ch_p2', offset: 0 });
+  });
+
+  it('keeps the offset of original HTML paragraphs', () => {
+    expect(toReadingLocation(htmlChapter, { paragraphIndex: 2, offset: 7 }, false))
+      .toEqual({ chapterId: 'html', pid: 'html_p3', offset: 7 });
+  });
+
+  it('maps modern HTML paragraphs to the original by relative position', () => {
+    expect(toReadingLocation(htmlChapter, { paragraphIndex: 1, offset: 7 }, true))
+      .toEqual({ chapterId: 'html', pid: 'html_p3', offset: 0 });
+  });
+
+  it('is null without a chapter or position', () => {
+    expect(toReadingLocation(null, { paragraphIndex: 0 }, false)).toBeNull();
+    expect(toReadingLocation(htmlChapter, null, false)).toBeNull();
+  });
+});
+
+describe('resolveReadingLocation', () => {
+  it('finds the sentence holding the offset, on either side', () => {
+    const location = { chapterId: 'ch', pid: 'ch_p1', offset: 25 };
+    expect(resolveReadingLocation(processedChapter, location, false)).toEqual({ sid: 'ch_p1_s2' });
+    expect(resolveReadingLocation(processedChapter, location, true)).toEqual({ sid: 'ch_p1_s2-m' });
+  });
+
+  it('falls back to the last sentence for an offset past the paragraph', () => {
+    const location = { chapterId: 'ch', pid: 'ch_p1', offset: 500 };
+    expect(resolveReadingLocation(processedChapter, location, false)).toEqual({ sid: 'ch_p1_s2' });
+  });
+
+  it('maps HTML locations into the version on screen', () => {
+    const location = { chapterId: 'html', pid: 'html_p4', offset: 3 };
+    expect(resolveReadingLocation(htmlChapter, location, false)).toEqual({ paragraphIndex: 3, offset: 3 });
+    expect(resolveReadingLocation(htmlChapter, location, true)).toEqual({ paragraphIndex: 1, offset: 0 });
+  });
+
+  it('round-trips with toReadingLocation', () => {
+    const location = toReadingLocation(processedChapter, { sid: 'ch_p1_s2-m' }, true);
+    expect(resolveReadingLocation(processedChapter, location, true)).toEqual({ sid: 'ch_p1_s2-m' });
+  });
+
+  it('starts at the first paragraph when the pid is unknown', () => {
+    expect(resolveReadingLocation(htmlChapter, { chapterId: 'html', pid: 'lost', offset: 0 }, false))
+      .toEqual({ paragraphIndex: 0, offset: 0 });
+  });
+});
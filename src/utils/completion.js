@@ -0,0 +1,60 @@
+// Chapter completion and book percentages. Chapters count by their length in
+// words, so finishing a long chapter moves the book further than a short one.
+
+// How long the end of a chapter must stay on screen before it counts as read
+export const CHAPTER_END_DWELL_MS = 2000;
+
+// Faster than this is skipping ahead rather than reading
+export const SKIM_WORDS_PER_MINUTE = 600;
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Time the words from startParagraph to the end of a chapter take at skimming
+// pace. Reaching the end sooner after opening the chapter doesn't count it as
+// read, so a short chapter that fits on one screen isn't completed on sight.
+export function getMinimumReadingMs(paragraphWords, startParagraph) {
+  return sum(paragraphWords.slice(Math.max(startParagraph || 0, 0))) / SKIM_WORDS_PER_MINUTE * 60000;
+}
+
+// Percentage of the book's words in completed chapters. wordCounts maps chapter
+// ids to paragraph word counts (getBookWordCounts). A book only reaches 100
+// once every chapter is complete.
+export function getCompletionPercent(book, completed, wordCounts) {
+  const chapterIds = book.chapters.map(chapter => chapter.id);
+  const done = chapterIds.filter(id => completed.includes(id));
+  if (chapterIds.length === 0) return 0;
+  if (done.length === chapterIds.length) return 100;
+
+  const words = (id) => sum(wordCounts[id] || []);
+  const totalWords = sum(chapterIds.map(words));
+  const percent = totalWords > 0
+    ? Math.round(sum(done.map(words)) / totalWords * 100)
+    : Math.round(done.length / chapterIds.length * 100);
+  return Math.min(percent, 99);
+}
+
+// Progress changes for marking a chapter read or unread. Completing the last
+// chapter finishes the book; unmarking any chapter un-finishes it.
+export function getCompletionChanges(book, progress, chapterId, isComplete, wordCounts, now = new Date()) {
+  const completed = progress.completed.filter(id => id !== chapterId);
+  if (isComplete) completed.push(chapterId);
+
+  const percentComplete = getCompletionPercent(book, completed, wordCounts);
+  const finishedAt = percentComplete === 100
+    ? progress.finishedAt || now.toISOString()
+    : null;
+
+  return {
+    completed,
+    percentComplete,
+    finishedAt,
+    totalChapters: book.chapters.length
+  };
+}
+
+// Date the book was finished, e.g. 3 March 2024 in an English locale
+export function formatFinishedDate(finishedAt) {
+  return new Date(finishedAt).toLocaleDateString([], { day: 'numeric', month: 'long', year: 'numeric' });
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SKIM_WORDS_PER_MINUTE,
+  getMinimumReadingMs,
+  getCompletionPercent,
+  getCompletionChanges
+} from './completion';
+
+const book = { chapters: [{ id: 'one' }, { id: 'two' }, { id: 'three' }] };
+const wordCounts = { one: [100, 100], two: [600], three: [200] };
+
+describe('getMinimumReadingMs', () => {
+  it('times the words from the starting paragraph at skimming pace', () => {
+    expect(getMinimumReadingMs([SKIM_WORDS_PER_MINUTE], 0)).toBe(60000);
+    expect(getMinimumReadingMs([300, 300, 600], 2)).toBe(60000);
+  });
+
+  it('reads the whole chapter when the start is unknown', () => {
+    expect(getMinimumReadingMs([300, 300], null)).toBe(60000);
+    expect(getMinimumReadingMs([300, 300], -1)).toBe(60000);
+  });
+
+  it('is zero without words', () => {
+    expect(getMinimumReadingMs([], 0)).toBe(0);
+    expect(getMinimumReadingMs([300], 5)).toBe(0);
+  });
+});
+
+describe('getCompletionPercent', () => {
+  it('weights chapters by their words', () => {
+    expect(getCompletionPercent(book, ['two'], wordCounts)).toBe(60);
+    expect(getCompletionPercent(book, ['one', 'three'], wordCounts)).toBe(40);
+  });
+
+  it('stops at 99 until every chapter is complete', () => {
+    const counts = { one: [1], two: [1000], three: [1000] };
+    expect(getCompletionPercent(book, ['two', 'three'], counts)).toBe(99);
+    expect(getCompletionPercent(book, ['one', 'two', 'three'], counts)).toBe(100);
+  });
+
+  it('counts chapters when word counts are missing', () => {
+    expect(getCompletionPercent(book, ['one'], {})).toBe(33);
+  });
+
+  it('ignores ids that are not chapters of the book', () => {
+    expect(getCompletionPercent(book, ['gone'], wordCounts)).toBe(0);
+    expect(getCompletionPercent({ chapters: [] }, [], {})).toBe(0);
+  });
+});
+
+describe('getCompletionChanges', () => {
+  const now = new Date('2024-03-03T12:00:00Z');
+
+  it('adds a chapter once and updates the percentage', () => {
+    const progress = { completed: ['one'], finishedAt: null };
+    expect(getCompletionChanges(book, progress, 'one', true, wordCounts, now)).toEqual({
+      completed: ['one'],
+      percentComplete: 20,
+      finishedAt: null,
+      totalChapters: 3
+    });
+  });
+
+  it('finishes the book with the last chapter and keeps the first finish date', () => {
+    const progress = { completed: ['one', 'two'], finishedAt: null };
+    const finished = getCompletionChanges(book, progress, 'three', true, wordCounts, now);
+    expect(finished.percentComplete).toBe(100);
+    expect(finished.finishedAt).toBe(now.toISOString());
+
+    const again = getCompletionChanges(book, { completed: ['one', 'two', 'three'], finishedAt: '2020-01-01T00:00:00.000Z' }, 'three', true, wordCounts, now);
+    expect(again.finishedAt).toBe('2020-01-01T00:00:00.000Z');
+  });
+
+  it('un-finishes the book when a chapter is unmarked', () => {
+    const progress = { completed: ['one', 'two', 'three'], finishedAt: now.toISOString() };
+    const changes = getCompletionChanges(book, progress, 'two', false, wordCounts, now);
+    expect(changes.completed).toEqual(['one', 'three']);
+    expect(changes.finishedAt).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { findModernTranslation } from './text-utils';
+
+const ANNOTATIONS_FORMAT = 'classics-retold-annotations';
+const ANNOTATIONS_FORMAT_VERSION = 1;
+
+// Resolve each annotation to its original quote and modern rendering, in reading order
+export function buildAnnotationRows(book, annotations) {
+  const chapterOrder = {};
+  book.chapters.forEach((chapter, index) => {
+    chapterOrder[chapter.id] = index;
+  });
+
+  return annotations
+    .filter(annotation => chapterOrder[annotation.chapterId] !== undefined)
+    .sort((a, b) =>
+      chapterOrder[a.chapterId] - chapterOrder[b.chapterId] ||
+      a.createdAt.localeCompare(b.createdAt)
+    )
+    .map(annotation => {
+      const chapter = book.chapters[chapterOrder[annotation.chapterId]];
+      return {
+        chapterId: chapter.id,
+        chapterTitle: chapter.title,
+        ...resolveAnnotationText(chapter, annotation),
+        note: annotation.note || '',
+        color: annotation.color,
+        createdAt: annotation.createdAt
+      };
+    });
+}
+
+function resolveAnnotationText(chapter, annotation) {
+  const processed = chapter.processed;
+
+  if (annotation.sids && processed) {
+    const lookup = sid => processed.sentenceIndex[sid]?.text;
+    return {
+      original: annotation.sids.map(lookup).filter(Boolean).join(' '),
+      modern: annotation.sids
+        .map(sid => lookup(processed.alignment.original_to_modern[sid]))
+        .filter(Boolean)
+        .join(' ')
+    };
+  }
+
+  if (annotation.version === 'modern') {
+    return { original: '', modern: annotation.quote };
+  }
+
+  const translation = findModernTranslation(annotation.quote, chapter.original, chapter.modern);
+  return { original: annotation.quote, modern: translation ? translation.modernText : '' };
+}
+
+export function annotationsToMarkdown(book, rows) {
+  const lines = [`# ${book.title} — Annotations`, ''];
+  let currentChapterId = null;
+
+  rows.forEach(row => {
+    if (row.chapterId !== currentChapterId) {
+      currentChapterId = row.chapterId;
+      lines.push(`## ${row.chapterTitle}`, '');
+    }
+
+    if (row.original) {
+      lines.push(`> ${row.original}`, '');
+    }
+    if (row.modern) {
+      lines.push(`*Modern:* ${row.modern}`, '');
+    }
+    if (row.note) {
+      lines.push(`**Note:** ${row.note}`, '');
+    }
+    lines.push('---', '');
+  });
+
+  return lines.join('\n');
+}
+
+// Raw annotation records, re-importable with parseAnnotationsJson
+export function annotationsToJson(book, annotations) {
+  return JSON.stringify({
+    format: ANNOTATIONS_FORMAT,
+    version: ANNOTATIONS_FORMAT_VERSION,
+    bookId: book.id,
+    exportedAt: new Date().toISOString(),
+    annotations: annotations.map(({ id, ...annotation }) => annotation)
+  }, null, 2);
+}
+
+export function parseAnnotationsJson(text, bookId) {
+  const data = JSON.parse(text);
+
+  if (data.format !== ANNOTATIONS_FORMAT || !Array.isArray(data.annotations)) {
+    throw new Error('Not a Classics Retold annotations file');
+  }
+  if (data.version > ANNOTATIONS_FORMAT_VERSION) {
+    throw new Error(`Unsupported annotations file version: ${data.version}`);
+  }
+  if (data.bookId !== bookId) {
+    throw new Error(`These annotations belong to another book (${data.bookId})`);
+  }
+
+  return data.annotations.filter(annotation =>
+    annotation.chapterId && annotation.quote && (annotation.sids || annotation.version)
+  );
+}
+
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Flashcard deck: original sentence on the front, modern translation on the back
+export function annotationsToCsv(rows) {
+  return rows
+    .filter(row => row.original && row.modern)
+    .map(row => [row.original, row.modern].map(csvField).join(','))
+    .join('\n');
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
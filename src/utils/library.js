@@ -0,0 +1,134 @@
+import { calculateCompletion } from './storage';
+
+export const READING_STATUSES = [
+  { id: 'all', label: 'All' },
+  { id: 'in-progress', label: 'In progress' },
+  { id: 'finished', label: 'Finished' },
+  { id: 'not-started', label: 'Not started' }
+];
+
+export const LIBRARY_SORTS = [
+  { id: 'recent', label: 'Recently read' },
+  { id: 'title', label: 'Title' },
+  { id: 'author', label: 'Author' },
+  { id: 'year', label: 'Year' },
+  { id: 'completion', label: 'Completion' }
+];
+
+export const DEFAULT_LIBRARY_VIEW = {
+  sort: 'recent',
+  status: 'all',
+  tag: null
+};
+
+// Percentage of the book completed. The Reader stores a word-weighted
+// percentComplete; older records fall back to the share of chapters completed,
+// using the catalog chapter count when the record has not stored one yet.
+export function getBookCompletion(book, progress) {
+  if (progress?.finishedAt) return 100;
+  if (typeof progress?.percentComplete === 'number') return Math.min(100, progress.percentComplete);
+
+  const totalChapters = progress?.totalChapters || book.chapterCount;
+  if (!totalChapters) return 0;
+  return Math.min(100, calculateCompletion(progress, totalChapters));
+}
+
+export function getReadingStatus(book, progress) {
+  if (!progress) return 'not-started';
+  return getBookCompletion(book, progress) >= 100 ? 'finished' : 'in-progress';
+}
+
+// Era tag derived from the publication year, e.g. 1818 -> "19th century"
+export function getEraTag(year) {
+  if (!year) return null;
+
+  const century = Math.floor((year - 1) / 100) + 1;
+  const lastTwo = century % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13
+    ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' }[century % 10] || 'th');
+
+  return `${century}${suffix} century`;
+}
+
+export function getBookTags(book) {
+  const era = getEraTag(book.year);
+  return [...(era ? [era] : []), ...(book.genres || [])];
+}
+
+// All tags in the catalog, eras first (oldest to newest), then genres A-Z
+export function collectTags(books) {
+  const eras = new Map();
+  const genres = new Set();
+
+  books.forEach(book => {
+    const era = getEraTag(book.year);
+    if (era) eras.set(era, Math.floor((book.year - 1) / 100));
+    (book.genres || []).forEach(genre => genres.add(genre));
+  });
+
+  return [
+    ...[...eras.entries()].sort((a, b) => a[1] - b[1]).map(([era]) => era),
+    ...[...genres].sort((a, b) => a.localeCompare(b))
+  ];
+}
+
+export function filterBooks(books, { query = '', status = 'all', tag = null }, progressMap) {
+  const needle = query.trim().toLowerCase();
+
+  return books.filter(book => {
+    if (needle) {
+      const haystack = [book.title, book.subtitle, book.author, book.description]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+
+    if (status !== 'all' && getReadingStatus(book, progressMap[book.id]) !== status) {
+      return false;
+    }
+
+    if (tag && !getBookTags(book).includes(tag)) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// Sort a copy of the list. Books without the sort field go last; ties fall
+// back to title order.
+export function sortBooks(books, sort, progressMap) {
+  const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '');
+
+  const compare = {
+    recent: (a, b) => {
+      const aRead = progressMap[a.id]?.lastRead || '';
+      const bRead = progressMap[b.id]?.lastRead || '';
+      return bRead.localeCompare(aRead);
+    },
+    title: () => 0,
+    author: (a, b) => compareMissingLast(a.author, b.author, (x, y) => x.localeCompare(y)),
+    year: (a, b) => compareMissingLast(a.year, b.year, (x, y) => x - y),
+    completion: (a, b) =>
+      getBookCompletion(b, progressMap[b.id]) - getBookCompletion(a, progressMap[a.id])
+  }[sort] || (() => 0);
+
+  return [...books].sort((a, b) => compare(a, b) || byTitle(a, b));
+}
+
+function compareMissingLast(a, b, compare) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return compare(a, b);
+}
+
+// Most recently read books that are started but not finished
+export function getContinueReading(books, progressMap, limit = 3) {
+  const started = books.filter(book =>
+    getReadingStatus(book, progressMap[book.id]) === 'in-progress'
+  );
+  return sortBooks(started, 'recent', progressMap).slice(0, limit);
+}
@@ -0,0 +1,138 @@
+// Paginated reading. The page viewport is a fixed-height box laid out in CSS
+// columns exactly one viewport wide, so the chapter overflows sideways into
+// screen-sized pages and turning a page scrolls the viewport by one column.
+// Positions are reported in the same shape as getViewportPosition, so saved
+// locations stay page-independent and survive reflow.
+import { findTextTarget } from './text-utils';
+
+export const READING_MODES = [
+  { id: 'scroll', label: 'Scroll' },
+  { id: 'paged', label: 'Pages' }
+];
+
+// Share of the viewport width on each side that turns the page when tapped
+const TAP_ZONE = 0.25;
+
+const SWIPE_MIN_DISTANCE = 50;
+const SWIPE_MAX_DURATION = 600;
+
+function getPageStride(viewport) {
+  const gap = parseFloat(window.getComputedStyle(viewport).columnGap) || 0;
+  return viewport.clientWidth + gap;
+}
+
+// Page a client rect falls on
+function getRectPage(viewport, rect, stride) {
+  const left = rect.left - viewport.getBoundingClientRect().left + viewport.scrollLeft;
+  return Math.max(Math.floor((left + 1) / stride), 0);
+}
+
+function getFragments(element) {
+  return Array.from(element.getClientRects()).filter(rect => rect.height > 0);
+}
+
+// Size the columns to the viewport and return the number of pages
+export function layoutPages(viewport) {
+  if (!viewport) return 1;
+
+  viewport.style.columnWidth = `${viewport.clientWidth}px`;
+  const stride = getPageStride(viewport);
+  if (stride <= 0) return 1;
+
+  const gap = stride - viewport.clientWidth;
+  return Math.max(Math.round((viewport.scrollWidth + gap) / stride), 1);
+}
+
+export function getCurrentPage(viewport) {
+  const stride = viewport ? getPageStride(viewport) : 0;
+  return stride > 0 ? Math.round(viewport.scrollLeft / stride) : 0;
+}
+
+export function showPage(viewport, page) {
+  if (!viewport) return;
+  viewport.scrollLeft = page * getPageStride(viewport);
+}
+
+// Describe the first paragraph that appears on a page, like getViewportPosition:
+// a paragraph continued from the previous page reports how much of it came before
+export function getPagePosition(viewport, container, page) {
+  if (!viewport || !container) return null;
+
+  const stride = getPageStride(viewport);
+  if (stride <= 0) return null;
+
+  const paragraphs = container.querySelectorAll('p');
+
+  for (let i = 0; i < paragraphs.length; i++) {
+    const fragments = getFragments(paragraphs[i]);
+    if (!fragments.some(rect => getRectPage(viewport, rect, stride) >= page)) continue;
+
+    const total = fragments.reduce((sum, rect) => sum + rect.height, 0);
+    const before = fragments
+      .filter(rect => getRectPage(viewport, rect, stride) < page)
+      .reduce((sum, rect) => sum + rect.height, 0);
+    const sentence = Array.from(paragraphs[i].querySelectorAll('[data-sid]'))
+      .find(span => getFragments(span).some(rect => getRectPage(viewport, rect, stride) >= page));
+
+    return {
+      paragraphIndex: i,
+      sid: sentence ? sentence.dataset.sid : null,
+      offset: total > 0 ? Math.round((before / total) * paragraphs[i].textContent.length) : 0
+    };
+  }
+
+  return null;
+}
+
+// Page holding a target from resolveReadingLocation or resolveSentenceLink
+export function getTargetPage(viewport, container, target) {
+  const found = viewport && findTextTarget(container, target);
+  if (!found) return 0;
+
+  const stride = getPageStride(viewport);
+  const fragments = getFragments(found.element);
+  if (stride <= 0 || fragments.length === 0) return 0;
+
+  // Walk the column fragments until we reach the target's share of the height.
+  // The pixel of slack keeps a location saved at the top of a page (rounded to
+  // a whole character) from landing on the page before.
+  const total = fragments.reduce((sum, rect) => sum + rect.height, 0);
+  let remaining = found.fraction * total;
+  for (const rect of fragments) {
+    if (remaining < rect.height - 1) return getRectPage(viewport, rect, stride);
+    remaining -= rect.height;
+  }
+  return getRectPage(viewport, fragments[fragments.length - 1], stride);
+}
+
+// Page an element starts on
+export function getElementPage(viewport, element) {
+  const stride = viewport ? getPageStride(viewport) : 0;
+  const fragments = element ? getFragments(element) : [];
+  if (stride <= 0 || fragments.length === 0) return 0;
+
+  return getRectPage(viewport, fragments[0], stride);
+}
+
+// -1 for the previous-page zone, 1 for the next-page zone, 0 in between
+export function getTapZone(viewport, clientX) {
+  if (!viewport) return 0;
+
+  const rect = viewport.getBoundingClientRect();
+  const x = (clientX - rect.left) / rect.width;
+  if (x < TAP_ZONE) return -1;
+  if (x > 1 - TAP_ZONE) return 1;
+  return 0;
+}
+
+// -1 (swipe right, back), 1 (swipe left, forward) or 0 for anything that is
+// not a quick, mostly horizontal swipe
+export function getSwipeDirection(start, end) {
+  if (!start || !end) return 0;
+
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (end.time - start.time > SWIPE_MAX_DURATION) return 0;
+  if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return 0;
+  return dx < 0 ? 1 : -1;
+}
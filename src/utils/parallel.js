@@ -0,0 +1,85 @@
+// Rows for the parallel-text view. Processed chapters are grouped by their
+// alignment, so a paragraph that was split or merged in the retelling shares a
+// row with its counterparts; HTML chapters are paired paragraph by paragraph.
+
+// Split both versions into rows of { original: [paragraph], modern: [paragraph] }.
+// A row closes only where no sentence link crosses between its paragraphs and
+// later ones, so every paragraph appears exactly once and both columns stay in
+// reading order. Paragraphs without links get a row of their own.
+export function buildParallelRows(processed) {
+  const { paragraphs, modernParagraphs, alignment, sentenceIndex } = processed;
+
+  const modernIndexByPid = {};
+  modernParagraphs.forEach((paragraph, index) => {
+    modernIndexByPid[paragraph.pid] = index;
+  });
+
+  // Furthest paragraph on the other side each paragraph links to
+  const lastModernLink = paragraphs.map(() => -1);
+  const lastOriginalLink = modernParagraphs.map(() => -1);
+  paragraphs.forEach((paragraph, originalIndex) => {
+    paragraph.sentences.forEach(sentence => {
+      const modernSid = alignment.original_to_modern[sentence.sid];
+      const modernIndex = modernIndexByPid[sentenceIndex[modernSid]?.pid];
+      if (modernIndex === undefined) return;
+
+      lastModernLink[originalIndex] = Math.max(lastModernLink[originalIndex], modernIndex);
+      lastOriginalLink[modernIndex] = Math.max(lastOriginalLink[modernIndex], originalIndex);
+    });
+  });
+
+  const rows = [];
+  let originalStart = 0;
+  let modernStart = 0;
+
+  while (originalStart < paragraphs.length || modernStart < modernParagraphs.length) {
+    // Start from one paragraph: the next original, or the next modern once originals run out
+    let originalEnd = originalStart < paragraphs.length ? originalStart : originalStart - 1;
+    let modernEnd = originalStart < paragraphs.length ? modernStart - 1 : modernStart;
+
+    // Take in whatever the row's paragraphs link to until nothing more is pulled in
+    let grown = true;
+    while (grown) {
+      grown = false;
+      for (let i = originalStart; i <= originalEnd; i++) {
+        if (lastModernLink[i] > modernEnd) {
+          modernEnd = lastModernLink[i];
+          grown = true;
+        }
+      }
+      for (let i = modernStart; i <= modernEnd; i++) {
+        if (lastOriginalLink[i] > originalEnd) {
+          originalEnd = lastOriginalLink[i];
+          grown = true;
+        }
+      }
+    }
+
+    rows.push({
+      original: paragraphs.slice(originalStart, originalEnd + 1),
+      modern: modernParagraphs.slice(modernStart, modernEnd + 1)
+    });
+    originalStart = originalEnd + 1;
+    modernStart = modernEnd + 1;
+  }
+
+  return rows;
+}
+
+function getParagraphHtml(html) {
+  if (!html) return [];
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('p'), paragraph => paragraph.outerHTML);
+}
+
+// Pair the paragraphs of two HTML versions by index: [{ original, modern }] of
+// paragraph HTML, null where one version has run out
+export function pairHtmlParagraphs(originalHtml, modernHtml) {
+  const original = getParagraphHtml(originalHtml);
+  const modern = getParagraphHtml(modernHtml);
+
+  return Array.from({ length: Math.max(original.length, modern.length) }, (_, index) => ({
+    original: original[index] || null,
+    modern: modern[index] || null
+  }));
+}
@@ -0,0 +1,97 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { buildParallelRows, pairHtmlParagraphs } from './parallel';
+
+// Processed chapter data from paragraphs given as sentence counts and links
+// given as [originalSid, modernSid]
+function processedChapter(originalCounts, modernCounts, links) {
+  const sentenceIndex = {};
+  const build = (counts, prefix) => counts.map((count, p) => {
+    const pid = `${prefix}${p}`;
+    const sentences = Array.from({ length: count }, (_, s) => ({ sid: `${pid}s${s}`, text: `${pid}s${s}.` }));
+    sentences.forEach(sentence => {
+      sentenceIndex[sentence.sid] = { pid };
+    });
+    return { pid, sentences };
+  });
+
+  return {
+    paragraphs: build(originalCounts, 'o'),
+    modernParagraphs: build(modernCounts, 'm'),
+    alignment: { original_to_modern: Object.fromEntries(links) },
+    sentenceIndex
+  };
+}
+
+const pids = rows => rows.map(row => [row.original.map(p => p.pid), row.modern.map(p => p.pid)]);
+
+describe('buildParallelRows', () => {
+  it('pairs paragraphs aligned one to one', () => {
+    const processed = processedChapter([1, 1], [1, 1], [['o0s0', 'm0s0'], ['o1s0', 'm1s0']]);
+    expect(pids(buildParallelRows(processed))).toEqual([
+      [['o0'], ['m0']],
+      [['o1'], ['m1']]
+    ]);
+  });
+
+  it('keeps a paragraph split in the retelling on one row', () => {
+    const processed = processedChapter([2, 1], [1, 1, 1], [
+      ['o0s0', 'm0s0'],
+      ['o0s1', 'm1s0'],
+      ['o1s0', 'm2s0']
+    ]);
+    expect(pids(buildParallelRows(processed))).toEqual([
+      [['o0'], ['m0', 'm1']],
+      [['o1'], ['m2']]
+    ]);
+  });
+
+  it('shows a paragraph merged in the retelling once', () => {
+    const processed = processedChapter([1, 1], [2], [['o0s0', 'm0s0'], ['o1s0', 'm0s1']]);
+    expect(pids(buildParallelRows(processed))).toEqual([
+      [['o0', 'o1'], ['m0']]
+    ]);
+  });
+
+  it('merges rows whose links cross', () => {
+    const processed = processedChapter([1, 1, 1], [1, 1, 1], [
+      ['o0s0', 'm1s0'],
+      ['o1s0', 'm0s0'],
+      ['o2s0', 'm2s0']
+    ]);
+    expect(pids(buildParallelRows(processed))).toEqual([
+      [['o0', 'o1'], ['m0', 'm1']],
+      [['o2'], ['m2']]
+    ]);
+  });
+
+  it('gives unaligned paragraphs rows of their own, in order', () => {
+    const processed = processedChapter([1, 1], [1, 1, 1], [['o1s0', 'm1s0']]);
+    const rows = buildParallelRows(processed);
+    expect(pids(rows)).toEqual([
+      [['o0'], []],
+      [['o1'], ['m0', 'm1']],
+      [[], ['m2']]
+    ]);
+
+    const shown = rows.flatMap(row => [...row.original, ...row.modern].map(p => p.pid));
+    expect(shown.sort()).toEqual(['m0', 'm1', 'm2', 'o0', 'o1']);
+  });
+});
+
+describe('pairHtmlParagraphs', () => {
+  it('pairs paragraphs by index', () => {
+    expect(pairHtmlParagraphs(
+      '<h2>One</h2><p>First.</p><p>Second.</p><p>Third.</p>',
+      '<p>1st.</p><p>2nd.</p>'
+    )).toEqual([
+      { original: '<p>First.</p>', modern: '<p>1st.</p>' },
+      { original: '<p>Second.</p>', modern: '<p>2nd.</p>' },
+      { original: '<p>Third.</p>', modern: null }
+    ]);
+  });
+
+  it('shows the original alone without a modern version', () => {
+    expect(pairHtmlParagraphs('<p>Only.</p>', null)).toEqual([{ original: '<p>Only.</p>', modern: null }]);
+  });
+});
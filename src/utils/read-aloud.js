@@ -0,0 +1,264 @@
+// Read-aloud with the Web Speech API. Chapters are read one sentence per
+// utterance, using the same sentence boundaries as the preprocessing pipeline:
+// processed chapters carry their segmented sentences, and HTML chapters are
+// segmented on the fly with scripts/sentence-segmenter.js.
+import { segmentParagraph } from '../../scripts/sentence-segmenter.js';
+import { getParagraphId } from './books';
+
+export const SPEECH_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+export const SLEEP_TIMERS = [
+  { id: 'off', label: 'Off' },
+  { id: '5', label: '5 min', minutes: 5 },
+  { id: '15', label: '15 min', minutes: 15 },
+  { id: '30', label: '30 min', minutes: 30 },
+  { id: '60', label: '1 hour', minutes: 60 },
+  { id: 'chapter', label: 'End of chapter' }
+];
+
+export const DEFAULT_READ_ALOUD = {
+  rate: 1,
+  voiceURI: null
+};
+
+const CURRENT_CLASS = 'read-aloud-current';
+
+export function isSpeechSupported() {
+  return typeof window !== 'undefined'
+    && 'speechSynthesis' in window
+    && 'SpeechSynthesisUtterance' in window;
+}
+
+// Sentences of the version on screen, in reading order. Processed chapters
+// return { sid, text }; HTML chapters also return the paragraph index and the
+// sentence's offsets into the paragraph's normalized text.
+export function getReadAloudSentences(chapter, showModern) {
+  if (!chapter) return [];
+
+  if (chapter.processed) {
+    const paragraphs = showModern ? chapter.processed.modernParagraphs : chapter.processed.paragraphs;
+    return paragraphs.flatMap((paragraph, paragraphIndex) =>
+      paragraph.sentences.map(sentence => ({
+        sid: sentence.sid,
+        text: sentence.text,
+        paragraphIndex
+      }))
+    );
+  }
+
+  const html = showModern ? chapter.modern : chapter.original;
+  if (!html) return [];
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('p')).flatMap((paragraph, paragraphIndex) =>
+    segmentParagraph(paragraph.textContent, getParagraphId(chapter.id, paragraphIndex))
+      .map(sentence => ({
+        sid: sentence.sid,
+        text: sentence.text,
+        paragraphIndex,
+        start: sentence.start,
+        end: sentence.end
+      }))
+  );
+}
+
+// Index of the first sentence at or after a getViewportPosition/getPagePosition position
+export function findStartSentence(sentences, position) {
+  if (!position) return 0;
+
+  if (position.sid) {
+    const index = sentences.findIndex(sentence => sentence.sid === position.sid);
+    if (index >= 0) return index;
+  }
+
+  const index = sentences.findIndex(sentence => sentence.paragraphIndex >= position.paragraphIndex);
+  return index >= 0 ? index : 0;
+}
+
+// Map offsets in the segmenter's normalized text (whitespace collapsed and
+// trimmed) back to offsets in the paragraph's raw text content
+function toRawOffsets(content, start, end) {
+  let normalized = 0;
+  let pendingSpace = false;
+  let rawStart = null;
+
+  for (let raw = 0; raw < content.length; raw++) {
+    if (/\s/.test(content[raw])) {
+      if (normalized > 0) pendingSpace = true;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized++;
+      pendingSpace = false;
+    }
+    if (rawStart === null && normalized >= start) rawStart = raw;
+    normalized++;
+    if (normalized >= end) return { start: rawStart, end: raw + 1 };
+  }
+
+  return rawStart === null ? null : { start: rawStart, end: content.length };
+}
+
+// Wrap raw text offsets of element in marks, one per text node the range spans
+function markTextRange(element, start, end) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let content = '';
+
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: content.length });
+    content += walker.currentNode.textContent;
+  }
+
+  const offsets = toRawOffsets(content, start, end);
+  if (!offsets) return null;
+
+  const marks = [];
+  nodes.forEach(({ node, start: nodeStart }) => {
+    const nodeEnd = nodeStart + node.textContent.length;
+    if (nodeEnd <= offsets.start || nodeStart >= offsets.end) return;
+
+    const range = document.createRange();
+    range.setStart(node, Math.max(offsets.start - nodeStart, 0));
+    range.setEnd(node, Math.min(offsets.end - nodeStart, node.textContent.length));
+
+    const mark = document.createElement('mark');
+    mark.className = CURRENT_CLASS;
+    range.surroundContents(mark);
+    marks.push(mark);
+  });
+
+  return marks[0] || null;
+}
+
+export function clearSentenceMark(container) {
+  if (!container) return;
+
+  container.querySelectorAll(`.${CURRENT_CLASS}`).forEach(element => {
+    if (element.tagName === 'MARK') {
+      element.replaceWith(...element.childNodes);
+    } else {
+      element.classList.remove(CURRENT_CLASS);
+    }
+  });
+  container.normalize();
+}
+
+// Highlight the sentence being read. Returns the highlighted element (the
+// first one, when an HTML sentence spans several text nodes).
+export function markSentence(container, sentence) {
+  clearSentenceMark(container);
+  if (!container || !sentence) return null;
+
+  if (sentence.start === undefined) {
+    const element = container.querySelector(`[data-sid="${CSS.escape(sentence.sid)}"]`);
+    element?.classList.add(CURRENT_CLASS);
+    return element;
+  }
+
+  const paragraph = container.querySelectorAll('p')[sentence.paragraphIndex];
+  return paragraph ? markTextRange(paragraph, sentence.start, sentence.end) : null;
+}
+
+// What to do once the last sentence of a chapter has been read: go on to the
+// next chapter, or stop at the end of the book or of an end-of-chapter sleep timer
+export function getChapterEndAction({ hasNextChapter, sleepTimer }) {
+  return !hasNextChapter || sleepTimer?.id === 'chapter' ? 'stop' : 'next';
+}
+
+// Speaks a list of sentences one utterance at a time. synth and Utterance
+// default to the browser's and can be swapped for mocks.
+export function createReadAloud({
+  synth = window.speechSynthesis,
+  Utterance = window.SpeechSynthesisUtterance,
+  onSentence = () => {},
+  onEnd = () => {}
+} = {}) {
+  let sentences = [];
+  let index = 0;
+  let rate = DEFAULT_READ_ALOUD.rate;
+  let voice = null;
+  let active = false;
+  // Bumped whenever speech is cancelled, so events from a cancelled
+  // utterance (Chrome fires end or "interrupted" for them) are ignored
+  let generation = 0;
+
+  function speakCurrent() {
+    const sentence = sentences[index];
+    const token = ++generation;
+    const utterance = new Utterance(sentence.text);
+    utterance.rate = rate;
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+
+    const advance = () => {
+      if (token !== generation) return;
+      index++;
+      if (index < sentences.length) {
+        speakCurrent();
+      } else {
+        active = false;
+        onEnd();
+      }
+    };
+
+    utterance.onend = advance;
+    utterance.onerror = (event) => {
+      if (token !== generation || event.error === 'interrupted' || event.error === 'canceled') return;
+      console.error('Speech error:', event.error);
+      advance();
+    };
+
+    onSentence(sentence, index);
+    synth.speak(utterance);
+  }
+
+  // Cancel the current utterance and start the current sentence again
+  function restart() {
+    if (!active) return;
+    generation++;
+    synth.cancel();
+    speakCurrent();
+  }
+
+  return {
+    start(nextSentences, startIndex = 0) {
+      generation++;
+      synth.cancel();
+      // A paused synth would hold the new utterances too
+      synth.resume();
+      sentences = nextSentences;
+      index = startIndex;
+      active = sentences.length > 0 && index < sentences.length;
+      if (active) {
+        speakCurrent();
+      } else {
+        onEnd();
+      }
+    },
+    pause() {
+      synth.pause();
+    },
+    resume() {
+      synth.resume();
+    },
+    stop() {
+      active = false;
+      generation++;
+      synth.cancel();
+    },
+    setRate(nextRate) {
+      rate = nextRate;
+      restart();
+    },
+    setVoice(nextVoice) {
+      voice = nextVoice;
+      restart();
+    },
+    isActive() {
+      return active;
+    }
+  };
+}
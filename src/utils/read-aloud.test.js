@@ -0,0 +1,184 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createReadAloud,
+  getReadAloudSentences,
+  markSentence,
+  clearSentenceMark,
+  getChapterEndAction
+} from './read-aloud';
+
+const SENTENCES = [
+  { sid: 's1', text: 'First.' },
+  { sid: 's2', text: 'Second.' },
+  { sid: 's3', text: 'Third.' }
+];
+
+const HTML_CHAPTER = {
+  id: 'chapter-1',
+  original: '<p>It was a dark night.  The rain fell in torrents!</p><p>Then, <em>at last</em>, it stopped.</p>'
+};
+
+// speechSynthesis stand-in: records calls and lets a test end the utterance being spoken
+function createFakeSynth() {
+  return {
+    spoken: [],
+    calls: [],
+    speak(utterance) {
+      this.spoken.push(utterance);
+    },
+    pause() {
+      this.calls.push('pause');
+    },
+    resume() {
+      this.calls.push('resume');
+    },
+    cancel() {
+      this.calls.push('cancel');
+    },
+    get current() {
+      return this.spoken[this.spoken.length - 1];
+    },
+    finish(utterance = this.current) {
+      utterance.onend?.();
+    },
+    fail(error, utterance = this.current) {
+      utterance.onerror?.({ error });
+    }
+  };
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+describe('createReadAloud', () => {
+  let synth;
+  let events;
+  let speaker;
+
+  const createSpeaker = (onSentence = () => {}) => createReadAloud({
+    synth,
+    Utterance: FakeUtterance,
+    onSentence: (sentence, index) => {
+      events.sentences.push(index);
+      onSentence(sentence, index);
+    },
+    onEnd: () => {
+      events.ends++;
+    }
+  });
+
+  beforeEach(() => {
+    synth = createFakeSynth();
+    events = { sentences: [], ends: 0 };
+    speaker = createSpeaker();
+  });
+
+  it('speaks one sentence at a time, advancing as each ends', () => {
+    speaker.start(SENTENCES);
+    expect(synth.spoken.map(u => u.text)).toEqual(['First.']);
+    expect(events.sentences).toEqual([0]);
+
+    synth.finish();
+    synth.finish();
+    expect(synth.spoken.map(u => u.text)).toEqual(['First.', 'Second.', 'Third.']);
+    expect(events.sentences).toEqual([0, 1, 2]);
+    expect(events.ends).toBe(0);
+    expect(speaker.isActive()).toBe(true);
+
+    synth.finish();
+    expect(events.ends).toBe(1);
+    expect(speaker.isActive()).toBe(false);
+  });
+
+  it('starts from the given sentence and ends at once past the last', () => {
+    speaker.start(SENTENCES, 2);
+    expect(synth.spoken.map(u => u.text)).toEqual(['Third.']);
+
+    speaker.start(SENTENCES, SENTENCES.length);
+    expect(events.ends).toBe(1);
+    expect(speaker.isActive()).toBe(false);
+  });
+
+  it('passes pause, resume and stop to the synth', () => {
+    speaker.start(SENTENCES);
+    synth.calls = [];
+    speaker.pause();
+    speaker.resume();
+    speaker.stop();
+    expect(synth.calls).toEqual(['pause', 'resume', 'cancel']);
+    expect(speaker.isActive()).toBe(false);
+  });
+
+  it('ignores end events from a cancelled utterance', () => {
+    speaker.start(SENTENCES);
+    speaker.stop();
+    synth.finish();
+    expect(synth.spoken).toHaveLength(1);
+    expect(events.ends).toBe(0);
+  });
+
+  it('restarts the current sentence when the rate changes', () => {
+    speaker.start(SENTENCES);
+    synth.finish();
+    const interrupted = synth.current;
+    speaker.setRate(1.5);
+    expect(synth.spoken.map(u => [u.text, u.rate])).toEqual([['First.', 1], ['Second.', 1], ['Second.', 1.5]]);
+
+    synth.fail('interrupted', interrupted);
+    synth.finish(interrupted);
+    expect(events.sentences).toEqual([0, 1, 1]);
+  });
+
+  it('moves on past a sentence the engine fails to speak', () => {
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      speaker.start(SENTENCES);
+      synth.fail('synthesis-failed');
+    } finally {
+      console.error = consoleError;
+    }
+    expect(events.sentences).toEqual([0, 1]);
+  });
+
+  it('highlights each HTML sentence as it is read', () => {
+    const sentences = getReadAloudSentences(HTML_CHAPTER, false);
+    expect(sentences.map(s => [s.paragraphIndex, s.text])).toEqual([
+      [0, 'It was a dark night.'],
+      [0, 'The rain fell in torrents!'],
+      [1, 'Then, at last, it stopped.']
+    ]);
+
+    const container = document.createElement('div');
+    container.innerHTML = HTML_CHAPTER.original;
+    const highlighted = [];
+    speaker = createSpeaker((sentence) => {
+      markSentence(container, sentence);
+      highlighted.push(Array.from(container.querySelectorAll('mark'), mark => mark.textContent).join(''));
+    });
+
+    speaker.start(sentences);
+    synth.finish();
+    synth.finish();
+    expect(highlighted).toEqual(sentences.map(s => s.text));
+
+    clearSentenceMark(container);
+    expect(container.innerHTML).toBe(HTML_CHAPTER.original);
+  });
+});
+
+describe('getChapterEndAction', () => {
+  it('reads on into the next chapter', () => {
+    expect(getChapterEndAction({ hasNextChapter: true, sleepTimer: null })).toBe('next');
+    expect(getChapterEndAction({ hasNextChapter: true, sleepTimer: { id: '15' } })).toBe('next');
+  });
+
+  it('stops at the end of the book or an end-of-chapter sleep timer', () => {
+    expect(getChapterEndAction({ hasNextChapter: false, sleepTimer: null })).toBe('stop');
+    expect(getChapterEndAction({ hasNextChapter: true, sleepTimer: { id: 'chapter' } })).toBe('stop');
+  });
+});
@@ -0,0 +1,68 @@
+// History-based routes:
+//   /                                        library
+//   /settings                                settings
+//   /stats                                   reading statistics
+//   /book/:bookId                            reader at the saved location
+//   /book/:bookId/chapter/:chapterId         reader at the start of a chapter
+//   /book/:bookId/chapter/:chapterId#:sid    reader at a sentence
+
+const LIBRARY_ROUTE = { view: 'library' };
+
+export function parseRoute(pathname, hash = '') {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (segments.length === 1 && (segments[0] === 'settings' || segments[0] === 'stats')) {
+    return { view: segments[0] };
+  }
+
+  if (segments[0] === 'book' && segments[1]) {
+    const hasChapter = segments[2] === 'chapter' && segments[3];
+    const sid = hasChapter && hash.length > 1 ? decodeURIComponent(hash.slice(1)) : null;
+
+    return {
+      view: 'reader',
+      bookId: segments[1],
+      chapterId: hasChapter ? segments[3] : null,
+      sid
+    };
+  }
+
+  return LIBRARY_ROUTE;
+}
+
+export function buildPath(route) {
+  if (route.view === 'settings') return '/settings';
+  if (route.view === 'stats') return '/stats';
+  if (route.view !== 'reader') return '/';
+
+  let path = `/book/${encodeURIComponent(route.bookId)}`;
+  if (route.chapterId) {
+    path += `/chapter/${encodeURIComponent(route.chapterId)}`;
+    if (route.sid) {
+      path += `#${encodeURIComponent(route.sid)}`;
+    }
+  }
+  return path;
+}
+
+// Absolute URL for sharing a sentence
+export function buildSentenceUrl(bookId, chapterId, sid) {
+  const path = buildPath({ view: 'reader', bookId, chapterId, sid });
+  return new URL(path, window.location.origin).href;
+}
+
+export function getCurrentRoute() {
+  return parseRoute(window.location.pathname, window.location.hash);
+}
+
+export function pushRoute(route, { replace = false } = {}) {
+  const path = buildPath(route);
+  const current = window.location.pathname + window.location.hash;
+  if (path === current) return;
+
+  if (replace) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+  }
+}
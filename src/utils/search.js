@@ -0,0 +1,98 @@
+const SNIPPET_CONTEXT = 60;
+
+// Split chapter HTML into paragraph texts the same way the Reader renders them
+function extractHtmlParagraphs(html) {
+  if (!html) return [];
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('p')).map(p => p.textContent.replace(/\s+/g, ' ').trim());
+}
+
+// Build a flat list of searchable paragraphs covering both versions of every chapter.
+// paragraphIndex is the position of the paragraph as rendered in that version.
+export function buildSearchIndex(book) {
+  const entries = [];
+
+  book.chapters.forEach(chapter => {
+    const versions = chapter.processed
+      ? {
+        original: chapter.processed.paragraphs.map(p => p.text),
+        modern: chapter.processed.modernParagraphs.map(p => p.text)
+      }
+      : {
+        original: extractHtmlParagraphs(chapter.original),
+        modern: extractHtmlParagraphs(chapter.modern)
+      };
+
+    // Entries run by paragraph, original before modern, so hits come out in that order
+    const paragraphCount = Math.max(versions.original.length, versions.modern.length);
+    for (let paragraphIndex = 0; paragraphIndex < paragraphCount; paragraphIndex++) {
+      Object.entries(versions).forEach(([version, paragraphs]) => {
+        const text = paragraphs[paragraphIndex];
+        if (!text) return;
+        entries.push({
+          chapterId: chapter.id,
+          chapterTitle: chapter.title,
+          version,
+          paragraphIndex,
+          text,
+          lowerText: text.toLowerCase()
+        });
+      });
+    }
+  });
+
+  return entries;
+}
+
+function buildSnippet(text, start, length) {
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, start + length + SNIPPET_CONTEXT);
+
+  return {
+    before: (from > 0 ? '…' : '') + text.slice(from, start),
+    match: text.slice(start, start + length),
+    after: text.slice(start + length, to) + (to < text.length ? '…' : '')
+  };
+}
+
+// Case-insensitive substring search. Returns hits grouped by chapter in reading order,
+// sorted within each chapter by paragraph index, then version:
+// [{ chapterId, chapterTitle, hits: [{ version, paragraphIndex, offset, snippet }] }]
+export function searchBook(index, query, { limit = 200 } = {}) {
+  const needle = query.trim().toLowerCase();
+  if (needle.length < 2) return { groups: [], total: 0, truncated: false };
+
+  const groups = [];
+  const groupsById = {};
+  let total = 0;
+
+  for (const entry of index) {
+    let position = entry.lowerText.indexOf(needle);
+
+    while (position !== -1) {
+      total++;
+
+      if (total <= limit) {
+        if (!groupsById[entry.chapterId]) {
+          groupsById[entry.chapterId] = {
+            chapterId: entry.chapterId,
+            chapterTitle: entry.chapterTitle,
+            hits: []
+          };
+          groups.push(groupsById[entry.chapterId]);
+        }
+
+        groupsById[entry.chapterId].hits.push({
+          version: entry.version,
+          paragraphIndex: entry.paragraphIndex,
+          offset: position,
+          snippet: buildSnippet(entry.text, position, needle.length)
+        });
+      }
+
+      position = entry.lowerText.indexOf(needle, position + needle.length);
+    }
+  }
+
+  return { groups, total, truncated: total > limit };
+}
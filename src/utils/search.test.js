@@ -0,0 +1,53 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { buildSearchIndex, searchBook } from './search';
+
+function processedChapter(id, original, modern) {
+  return {
+    id,
+    title: id,
+    processed: {
+      paragraphs: original.map(text => ({ text })),
+      modernParagraphs: modern.map(text => ({ text }))
+    }
+  };
+}
+
+const book = {
+  chapters: [
+    processedChapter('one', ['The ship sailed.', 'A storm rose.'], ['The ship set off.', 'A storm blew up.', 'The ship held.']),
+    {
+      id: 'two',
+      title: 'two',
+      original: '<p>No ship here.</p><p>Still a ship.</p>',
+      modern: '<p>A ship again.</p>'
+    }
+  ]
+};
+
+const hitOrder = group => group.hits.map(hit => `${hit.paragraphIndex}:${hit.version}`);
+
+describe('searchBook', () => {
+  it('sorts the hits in each chapter by paragraph, then version', () => {
+    const { groups, total } = searchBook(buildSearchIndex(book), 'ship');
+
+    expect(total).toBe(6);
+    expect(groups.map(group => group.chapterId)).toEqual(['one', 'two']);
+    expect(hitOrder(groups[0])).toEqual(['0:original', '0:modern', '2:modern']);
+    expect(hitOrder(groups[1])).toEqual(['0:original', '0:modern', '1:original']);
+  });
+
+  it('keeps the first hits in that order when the limit cuts the list', () => {
+    const { groups, total, truncated } = searchBook(buildSearchIndex(book), 'ship', { limit: 2 });
+
+    expect(total).toBe(6);
+    expect(truncated).toBe(true);
+    expect(groups).toHaveLength(1);
+    expect(hitOrder(groups[0])).toEqual(['0:original', '0:modern']);
+  });
+
+  it('ignores case and queries shorter than two characters', () => {
+    expect(searchBook(buildSearchIndex(book), 'STORM').total).toBe(2);
+    expect(searchBook(buildSearchIndex(book), ' s ').groups).toEqual([]);
+  });
+});
@@ -0,0 +1,246 @@
+// Reading sessions and the statistics built from them. A session covers one
+// stretch of reading in one chapter: it ends when the chapter changes, the
+// tab is hidden or the Reader closes. Saved sessions look like
+// { bookId, chapterId, startedAt, endedAt, words, originalSeconds, modernSeconds }.
+
+// Used for estimates until there is enough reading to measure the reader's own pace
+export const DEFAULT_WORDS_PER_MINUTE = 230;
+
+// Time without any activity (scrolling, page turns, keys, read-aloud) longer
+// than this is not counted as reading
+const IDLE_LIMIT_MS = 2 * 60 * 1000;
+
+// Shorter sessions are chapter flicks rather than reading
+const MIN_SESSION_SECONDS = 15;
+
+// Measured pace needs at least this much reading
+const MIN_PACE_MINUTES = 5;
+
+export function countWords(text) {
+  const words = text.trim().match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+// Word count of each paragraph of the chapter's original text
+export function getParagraphWordCounts(chapter) {
+  if (!chapter) return [];
+
+  if (chapter.processed) {
+    return chapter.processed.paragraphs.map(paragraph =>
+      paragraph.sentences.reduce((sum, sentence) => sum + countWords(sentence.text), 0)
+    );
+  }
+
+  if (!chapter.original) return [];
+  const doc = new DOMParser().parseFromString(chapter.original, 'text/html');
+  return Array.from(doc.querySelectorAll('p')).map(paragraph => countWords(paragraph.textContent));
+}
+
+// { chapterId: paragraph word counts } for every chapter of a book
+export function getBookWordCounts(book) {
+  return Object.fromEntries(
+    book.chapters.map(chapter => [chapter.id, getParagraphWordCounts(chapter)])
+  );
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Tracks the session in progress. save receives each finished session; now
+// can be swapped for a fake clock.
+export function createSessionTracker({ save, now = () => Date.now() }) {
+  let session = null;
+
+  // Add the time since the last activity to the version being read
+  function tick() {
+    const time = now();
+    const elapsed = Math.min(time - session.lastActivity, IDLE_LIMIT_MS);
+    if (session.version === 'modern') {
+      session.modernMs += elapsed;
+    } else {
+      session.originalMs += elapsed;
+    }
+    session.lastActivity = time;
+  }
+
+  function end() {
+    if (!session) return;
+    tick();
+
+    const { bookId, chapterId, startedAt, wordCounts, startParagraph, furthestParagraph } = session;
+    const originalSeconds = Math.round(session.originalMs / 1000);
+    const modernSeconds = Math.round(session.modernMs / 1000);
+    // Words from the first paragraph seen up to (not including) the furthest one reached
+    const words = startParagraph === null
+      ? 0
+      : sum(wordCounts.slice(startParagraph, furthestParagraph));
+    session = null;
+
+    if (originalSeconds + modernSeconds >= MIN_SESSION_SECONDS) {
+      save({ bookId, chapterId, startedAt, endedAt: now(), words, originalSeconds, modernSeconds });
+    }
+  }
+
+  return {
+    start({ bookId, chapterId, version, wordCounts }) {
+      end();
+      const time = now();
+      session = {
+        bookId,
+        chapterId,
+        version,
+        wordCounts,
+        startedAt: time,
+        lastActivity: time,
+        originalMs: 0,
+        modernMs: 0,
+        startParagraph: null,
+        furthestParagraph: null
+      };
+    },
+    // Any sign that the reader is still there
+    activity() {
+      if (session) tick();
+    },
+    setVersion(version) {
+      if (!session || session.version === version) return;
+      tick();
+      session.version = version;
+    },
+    // The reader's place moved to a paragraph; the first place seen starts the session
+    reach(paragraphIndex) {
+      if (!session || paragraphIndex < 0) return;
+      if (session.startParagraph === null) {
+        session.startParagraph = paragraphIndex;
+        session.furthestParagraph = paragraphIndex;
+      }
+      session.furthestParagraph = Math.max(session.furthestParagraph, paragraphIndex);
+    },
+    // Count the rest of the chapter as read
+    finishChapter() {
+      if (!session) return;
+      if (session.startParagraph === null) session.startParagraph = 0;
+      session.furthestParagraph = session.wordCounts.length;
+    },
+    end,
+    isActive() {
+      return session !== null;
+    }
+  };
+}
+
+export function getSessionSeconds(session) {
+  return (session.originalSeconds || 0) + (session.modernSeconds || 0);
+}
+
+// Local calendar day, e.g. 2024-03-09
+export function toDateKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function getSecondsByDay(sessions) {
+  const byDay = new Map();
+  sessions.forEach(session => {
+    const key = toDateKey(session.startedAt);
+    byDay.set(key, (byDay.get(key) || 0) + getSessionSeconds(session));
+  });
+  return byDay;
+}
+
+// Minutes read on each of the last `days` days, oldest first
+export function getDailyMinutes(sessions, days = 14, today = new Date()) {
+  const byDay = getSecondsByDay(sessions);
+  return Array.from({ length: days }, (_, index) => {
+    const date = addDays(today, index - days + 1);
+    const key = toDateKey(date);
+    return { date: key, minutes: Math.round((byDay.get(key) || 0) / 60) };
+  });
+}
+
+// Days in a row with at least a minute of reading. The current streak stays
+// alive through today until the day is over.
+export function getStreaks(sessions, today = new Date()) {
+  const byDay = getSecondsByDay(sessions);
+  const readOn = (date) => (byDay.get(toDateKey(date)) || 0) >= 60;
+
+  let current = 0;
+  let day = readOn(today) ? today : addDays(today, -1);
+  while (readOn(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  const days = Array.from(byDay.keys())
+    .filter(key => byDay.get(key) >= 60)
+    .sort();
+  let longest = 0;
+  let run = 0;
+  days.forEach((key, index) => {
+    const previous = index > 0 && toDateKey(addDays(new Date(`${key}T12:00`), -1));
+    run = previous === days[index - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  return { current, longest };
+}
+
+// The reader's pace over their original-text reading, or null until there is enough.
+// Word counts are of the original, so sessions that switched to modern are left out.
+export function getWordsPerMinute(sessions) {
+  const measured = sessions.filter(session => session.words > 0 && !session.modernSeconds);
+  const minutes = sum(measured.map(session => session.originalSeconds || 0)) / 60;
+  if (minutes < MIN_PACE_MINUTES) return null;
+  return Math.round(sum(measured.map(session => session.words)) / minutes);
+}
+
+// [{ bookId, seconds }], most read first
+export function getTimeByBook(sessions) {
+  const byBook = new Map();
+  sessions.forEach(session => {
+    byBook.set(session.bookId, (byBook.get(session.bookId) || 0) + getSessionSeconds(session));
+  });
+  return Array.from(byBook, ([bookId, seconds]) => ({ bookId, seconds }))
+    .sort((a, b) => b.seconds - a.seconds);
+}
+
+export function getVersionTotals(sessions) {
+  return {
+    originalSeconds: sum(sessions.map(session => session.originalSeconds || 0)),
+    modernSeconds: sum(sessions.map(session => session.modernSeconds || 0))
+  };
+}
+
+// Minutes left in the chapter and the book from a paragraph of the current chapter
+export function estimateTimeLeft(book, wordCounts, chapterId, paragraphIndex, wordsPerMinute) {
+  const chapterIndex = book.chapters.findIndex(chapter => chapter.id === chapterId);
+  if (chapterIndex < 0) return null;
+
+  const chapterWords = sum((wordCounts[chapterId] || []).slice(Math.max(paragraphIndex, 0)));
+  const laterWords = sum(
+    book.chapters.slice(chapterIndex + 1).map(chapter => sum(wordCounts[chapter.id] || []))
+  );
+  const pace = wordsPerMinute || DEFAULT_WORDS_PER_MINUTE;
+
+  return {
+    chapterMinutes: Math.ceil(chapterWords / pace),
+    bookMinutes: Math.ceil((chapterWords + laterWords) / pace)
+  };
+}
+
+// 45 min, 2 h 5 min
+export function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
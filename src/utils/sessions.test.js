@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countWords,
+  createSessionTracker,
+  getDailyMinutes,
+  getStreaks,
+  getWordsPerMinute,
+  getTimeByBook,
+  estimateTimeLeft,
+  formatMinutes
+} from './sessions';
+
+// A tracker on a clock the test moves by hand
+function trackerWithClock() {
+  const saved = [];
+  let time = 0;
+  const tracker = createSessionTracker({ save: session => saved.push(session), now: () => time });
+  return {
+    tracker,
+    saved,
+    advance(seconds) {
+      time += seconds * 1000;
+    }
+  };
+}
+
+const start = { bookId: 'book', chapterId: 'one', version: 'original', wordCounts: [100, 200, 300] };
+
+// Sessions on local days, a minute or more of reading each
+function sessionOn(date, seconds = 60, bookId = 'book') {
+  return { bookId, startedAt: new Date(`${date}T12:00`).getTime(), originalSeconds: seconds, modernSeconds: 0 };
+}
+
+describe('countWords', () => {
+  it('counts runs of non-space characters', () => {
+    expect(countWords('  It was a  dark night. ')).toBe(5);
+    expect(countWords('   ')).toBe(0);
+  });
+});
+
+describe('createSessionTracker', () => {
+  it('saves the time in each version and the words from the start to the furthest paragraph', () => {
+    const { tracker, saved, advance } = trackerWithClock();
+    tracker.start(start);
+    tracker.reach(1);
+    advance(30);
+    tracker.setVersion('modern');
+    advance(10);
+    tracker.reach(2);
+    tracker.end();
+
+    expect(saved).toEqual([{
+      bookId: 'book',
+      chapterId: 'one',
+      startedAt: 0,
+      endedAt: 40000,
+      words: 200,
+      originalSeconds: 30,
+      modernSeconds: 10
+    }]);
+    expect(tracker.isActive()).toBe(false);
+  });
+
+  it('counts the rest of the chapter once it is finished', () => {
+    const { tracker, saved, advance } = trackerWithClock();
+    tracker.start(start);
+    tracker.reach(1);
+    advance(60);
+    tracker.finishChapter();
+    tracker.end();
+
+    expect(saved[0].words).toBe(500);
+  });
+
+  it('caps idle stretches at two minutes', () => {
+    const { tracker, saved, advance } = trackerWithClock();
+    tracker.start(start);
+    advance(600);
+    tracker.activity();
+    advance(20);
+    tracker.end();
+
+    expect(saved[0].originalSeconds).toBe(140);
+  });
+
+  it('drops sessions shorter than 15 seconds', () => {
+    const { tracker, saved, advance } = trackerWithClock();
+    tracker.start(start);
+    advance(10);
+    tracker.start({ ...start, chapterId: 'two' });
+    advance(20);
+    tracker.end();
+
+    expect(saved.map(session => session.chapterId)).toEqual(['two']);
+  });
+});
+
+describe('getWordsPerMinute', () => {
+  it('is null until there are five minutes of reading', () => {
+    expect(getWordsPerMinute([{ words: 1000, originalSeconds: 240, modernSeconds: 0 }])).toBeNull();
+  });
+
+  it('measures original-only sessions that read some words', () => {
+    const sessions = [
+      { words: 1500, originalSeconds: 300, modernSeconds: 0 },
+      { words: 900, originalSeconds: 60, modernSeconds: 0 },
+      { words: 5000, originalSeconds: 60, modernSeconds: 120 },
+      { words: 0, originalSeconds: 600, modernSeconds: 0 }
+    ];
+    expect(getWordsPerMinute(sessions)).toBe(400);
+  });
+});
+
+describe('daily reading', () => {
+  const today = new Date('2024-03-10T18:00');
+
+  it('sums minutes per day, oldest first', () => {
+    const sessions = [sessionOn('2024-03-10', 90), sessionOn('2024-03-10', 30), sessionOn('2024-03-08', 600)];
+    expect(getDailyMinutes(sessions, 3, today)).toEqual([
+      { date: '2024-03-08', minutes: 10 },
+      { date: '2024-03-09', minutes: 0 },
+      { date: '2024-03-10', minutes: 2 }
+    ]);
+  });
+
+  it('keeps the current streak alive until today is over', () => {
+    const sessions = ['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-08', '2024-03-09'].map(date => sessionOn(date));
+    expect(getStreaks(sessions, today)).toEqual({ current: 2, longest: 3 });
+    expect(getStreaks([...sessions, sessionOn('2024-03-10')], today)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it('needs a minute of reading for a day to count', () => {
+    expect(getStreaks([sessionOn('2024-03-10', 59)], today)).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('getTimeByBook', () => {
+  it('totals both versions per book, most read first', () => {
+    const sessions = [
+      sessionOn('2024-03-01', 60, 'a'),
+      { ...sessionOn('2024-03-02', 60, 'b'), modernSeconds: 120 },
+      sessionOn('2024-03-03', 30, 'a')
+    ];
+    expect(getTimeByBook(sessions)).toEqual([{ bookId: 'b', seconds: 180 }, { bookId: 'a', seconds: 90 }]);
+  });
+});
+
+describe('estimateTimeLeft', () => {
+  const book = { chapters: [{ id: 'one' }, { id: 'two' }] };
+  const wordCounts = { one: [100, 200, 300], two: [400] };
+
+  it('counts from the paragraph on screen to the end of the chapter and the book', () => {
+    expect(estimateTimeLeft(book, wordCounts, 'one', 1, 100)).toEqual({ chapterMinutes: 5, bookMinutes: 9 });
+  });
+
+  it('uses the default pace until one is measured', () => {
+    expect(estimateTimeLeft(book, wordCounts, 'two', 0, null)).toEqual({ chapterMinutes: 2, bookMinutes: 2 });
+  });
+
+  it('is null for a chapter not in the book', () => {
+    expect(estimateTimeLeft(book, wordCounts, 'gone', 0, 100)).toBeNull();
+  });
+});
+
+describe('formatMinutes', () => {
+  it('switches to hours from an hour up', () => {
+    expect(formatMinutes(45)).toBe('45 min');
+    expect(formatMinutes(120)).toBe('2 h');
+    expect(formatMinutes(125)).toBe('2 h 5 min');
+  });
+});
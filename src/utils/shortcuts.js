@@ -0,0 +1,87 @@
+// Reader keyboard shortcuts. Each entry names an action the Reader implements;
+// the ? overlay and the command palette list them from here.
+export const READER_SHORTCUTS = [
+  { action: 'nextChapter', keys: ['n', ']'], label: 'Next chapter' },
+  { action: 'prevChapter', keys: ['p', '['], label: 'Previous chapter' },
+  { action: 'nextPage', keys: ['ArrowRight', 'PageDown'], label: 'Next page (paginated mode)' },
+  { action: 'prevPage', keys: ['ArrowLeft', 'PageUp'], label: 'Previous page (paginated mode)' },
+  { action: 'swapText', keys: ['s'], label: 'Swap original and modern' },
+  { action: 'openContents', keys: ['c'], label: 'Table of contents' },
+  { action: 'openSearch', keys: ['/'], label: 'Search this book' },
+  { action: 'addBookmark', keys: ['b'], label: 'Bookmark this page' },
+  { action: 'readAloud', keys: ['r'], label: 'Start or stop reading aloud' },
+  { action: 'cycleTheme', keys: ['t'], label: 'Next theme' },
+  { action: 'openPalette', keys: ['Mod+k'], label: 'Command palette' },
+  { action: 'showShortcuts', keys: ['?'], label: 'Keyboard shortcuts' },
+  { action: 'close', keys: ['Escape'], label: 'Close panel' }
+];
+
+const KEY_NAMES = {
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  PageDown: 'Page Down',
+  PageUp: 'Page Up',
+  Escape: 'Esc'
+};
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+function matchesKey(e, key) {
+  if (key.startsWith('Mod+')) {
+    return (isMac ? e.metaKey : e.ctrlKey) && !e.altKey && e.key.toLowerCase() === key.slice(4);
+  }
+  return !e.ctrlKey && !e.metaKey && !e.altKey && e.key === key;
+}
+
+// Action for a keydown event, or null
+export function matchShortcut(e) {
+  const shortcut = READER_SHORTCUTS.find(s => s.keys.some(key => matchesKey(e, key)));
+  return shortcut ? shortcut.action : null;
+}
+
+export function formatKey(key) {
+  if (key.startsWith('Mod+')) {
+    return `${isMac ? '⌘' : 'Ctrl+'}${key.slice(4).toUpperCase()}`;
+  }
+  return KEY_NAMES[key] || key.toUpperCase();
+}
+
+// Keys typed into a form field belong to the field
+export function isTypingTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+// Score how well query fuzzily matches text: every query character must appear
+// in order. Consecutive characters and characters at the start of a word score
+// higher. Returns -1 when there is no match.
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let position = -1;
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) return -1;
+
+    score += 1;
+    if (next === position + 1) score += 5;
+    if (next === 0 || /[\s\-_:.]/.test(haystack[next - 1])) score += 3;
+    position = next;
+  }
+
+  // Prefer matches that end sooner, then shorter texts
+  return score - position * 0.01 - haystack.length * 0.001;
+}
+
+// Commands matching query, best first (original order when the query is empty)
+export function filterCommands(commands, query) {
+  if (!query.trim()) return commands;
+
+  return commands
+    .map((command, index) => ({ command, index, score: fuzzyScore(query, command.label) }))
+    .filter(entry => entry.score >= 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.command);
+}
@@ -1,12 +1,17 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'retold-classics-db';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
+
+// Every object store, in the order backups list them
+export const STORE_NAMES = ['progress', 'preferences', 'pinned', 'annotations', 'bookmarks', 'sessions'];
+
+const BACKUP_FORMAT = 'classics-retold-backup';
 
 // Initialize the database
 export async function initDB() {
   return openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
+    upgrade(db, oldVersion, newVersion, transaction) {
       // Store for reading progress
       if (!db.objectStoreNames.contains('progress')) {
         db.createObjectStore('progress', { keyPath: 'bookId' });
@@ -21,10 +26,58 @@ export async function initDB() {
       if (!db.objectStoreNames.contains('pinned')) {
         db.createObjectStore('pinned', { keyPath: 'bookId' });
       }
+
+      // Store for highlights and notes
+      if (!db.objectStoreNames.contains('annotations')) {
+        const annotations = db.createObjectStore('annotations', { keyPath: 'id', autoIncrement: true });
+        annotations.createIndex('bookId', 'bookId');
+      }
+
+      // Store for bookmarks
+      if (!db.objectStoreNames.contains('bookmarks')) {
+        const bookmarks = db.createObjectStore('bookmarks', { keyPath: 'id', autoIncrement: true });
+        bookmarks.createIndex('bookId', 'bookId');
+      }
+
+      // Store for reading sessions
+      if (!db.objectStoreNames.contains('sessions')) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        sessions.createIndex('bookId', 'bookId');
+      }
+
+      // v2: pixel scroll positions are replaced by { chapterId, pid, offset } locations
+      if (oldVersion >= 1 && oldVersion < 2) {
+        migrateProgressLocations(transaction.objectStore('progress'));
+      }
     },
   });
 }
 
+async function migrateProgressLocations(store) {
+  let cursor = await store.openCursor();
+
+  while (cursor) {
+    await cursor.update(migrateProgressRecord(cursor.value));
+    cursor = await cursor.continue();
+  }
+}
+
+// A pixel offset can't be mapped to a paragraph, so old records keep their chapter
+// and start again at its first paragraph
+function migrateProgressRecord(progressRecord) {
+  const { scrollPosition, anchor, ...record } = progressRecord;
+
+  if (!record.location && record.currentChapter) {
+    record.location = {
+      chapterId: record.currentChapter,
+      pid: `${record.currentChapter}_p1`,
+      offset: 0
+    };
+  }
+
+  return record;
+}
+
 // Progress functions
 export async function getProgress(bookId) {
   const db = await initDB();
@@ -84,6 +137,206 @@ export async function isBookPinned(bookId) {
   return !!result;
 }
 
+// Annotation functions
+export async function getAnnotations(bookId) {
+  const db = await initDB();
+  return db.getAllFromIndex('annotations', 'bookId', bookId);
+}
+
+export async function saveAnnotation(annotation) {
+  const db = await initDB();
+  const data = {
+    ...annotation,
+    createdAt: annotation.createdAt || new Date().toISOString()
+  };
+  const id = await db.put('annotations', data);
+  return { ...data, id };
+}
+
+export async function deleteAnnotation(id) {
+  const db = await initDB();
+  return db.delete('annotations', id);
+}
+
+// Bookmark functions
+export async function getBookmarks(bookId) {
+  const db = await initDB();
+  return db.getAllFromIndex('bookmarks', 'bookId', bookId);
+}
+
+export async function saveBookmark(bookmark) {
+  const db = await initDB();
+  const data = {
+    ...bookmark,
+    createdAt: bookmark.createdAt || new Date().toISOString()
+  };
+  const id = await db.put('bookmarks', data);
+  return { ...data, id };
+}
+
+export async function deleteBookmark(id) {
+  const db = await initDB();
+  return db.delete('bookmarks', id);
+}
+
+// Reading session functions
+export async function saveSession(session) {
+  const db = await initDB();
+  const id = await db.add('sessions', session);
+  return { ...session, id };
+}
+
+export async function getSessions(bookId) {
+  const db = await initDB();
+  return db.getAllFromIndex('sessions', 'bookId', bookId);
+}
+
+export async function getAllSessions() {
+  const db = await initDB();
+  return db.getAll('sessions');
+}
+
+// Backup functions
+export async function exportAllData() {
+  const db = await initDB();
+  const stores = {};
+
+  for (const storeName of STORE_NAMES) {
+    stores[storeName] = await db.getAll(storeName);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    stores
+  };
+}
+
+// Check a parsed backup file and bring records from older schema versions up to date.
+// Throws if the file isn't a backup or comes from a newer version of the app.
+export function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.stores !== 'object') {
+    throw new Error('Not a Classics Retold backup file');
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > DB_VERSION) {
+    throw new Error(
+      `This backup was made by a newer version of the app (schema ${backup.schemaVersion}). ` +
+      'Update the app and try again.'
+    );
+  }
+
+  const stores = {};
+  STORE_NAMES.forEach(storeName => {
+    const records = backup.stores[storeName];
+    stores[storeName] = Array.isArray(records) ? records : [];
+  });
+
+  if (backup.schemaVersion < 2) {
+    stores.progress = stores.progress.map(migrateProgressRecord);
+  }
+
+  return { ...backup, stores };
+}
+
+// Records without a natural key are matched by book and creation (or start) time
+function recordIdentity(storeName, record) {
+  switch (storeName) {
+    case 'preferences':
+      return record.key;
+    case 'progress':
+    case 'pinned':
+      return record.bookId;
+    case 'sessions':
+      return `${record.bookId}|${record.startedAt}`;
+    default:
+      return `${record.bookId}|${record.createdAt}`;
+  }
+}
+
+function hasAutoIncrementKey(storeName) {
+  return storeName === 'annotations' || storeName === 'bookmarks' || storeName === 'sessions';
+}
+
+// Count how an import would change each store: { storeName: { added, updated, unchanged, removed } }
+// removed is only non-zero in replace mode
+export async function previewImport(backup, mode = 'merge') {
+  const db = await initDB();
+  const preview = {};
+
+  for (const storeName of STORE_NAMES) {
+    const existing = await db.getAll(storeName);
+    const existingByIdentity = new Map(existing.map(record => [recordIdentity(storeName, record), record]));
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+    const incomingIdentities = new Set();
+
+    backup.stores[storeName].forEach(record => {
+      const identity = recordIdentity(storeName, record);
+      const current = existingByIdentity.get(identity);
+      incomingIdentities.add(identity);
+
+      if (!current) {
+        counts.added++;
+      } else if (JSON.stringify(stripId(storeName, current)) === JSON.stringify(stripId(storeName, record))) {
+        counts.unchanged++;
+      } else {
+        counts.updated++;
+      }
+    });
+
+    if (mode === 'replace') {
+      counts.removed = existing.filter(record => !incomingIdentities.has(recordIdentity(storeName, record))).length;
+    }
+
+    preview[storeName] = counts;
+  }
+
+  return preview;
+}
+
+function stripId(storeName, record) {
+  if (!hasAutoIncrementKey(storeName)) return record;
+  const { id, ...rest } = record;
+  return rest;
+}
+
+// Write a validated backup. 'merge' keeps existing records and overwrites matching
+// ones; 'replace' clears every store first.
+export async function importAllData(backup, mode = 'merge') {
+  const db = await initDB();
+  const tx = db.transaction(STORE_NAMES, 'readwrite');
+
+  for (const storeName of STORE_NAMES) {
+    const store = tx.objectStore(storeName);
+    const records = backup.stores[storeName];
+
+    if (mode === 'replace') {
+      await store.clear();
+      for (const record of records) {
+        await store.put(hasAutoIncrementKey(storeName) ? stripId(storeName, record) : record);
+      }
+      continue;
+    }
+
+    const existing = await store.getAll();
+    const existingByIdentity = new Map(existing.map(record => [recordIdentity(storeName, record), record]));
+
+    for (const record of records) {
+      if (!hasAutoIncrementKey(storeName)) {
+        await store.put(record);
+        continue;
+      }
+
+      // Reuse the local id for a matching record so it is updated instead of duplicated
+      const current = existingByIdentity.get(recordIdentity(storeName, record));
+      const data = stripId(storeName, record);
+      await store.put(current ? { ...data, id: current.id } : data);
+    }
+  }
+
+  await tx.done;
+}
+
 // Calculate book completion percentage
 export function calculateCompletion(progress, totalChapters) {
   if (!progress || !progress.completed) return 0;
@@ -0,0 +1,120 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { openDB } from 'idb';
+import {
+  getProgress,
+  saveProgress,
+  savePreference,
+  getPreference,
+  saveBookmark,
+  getBookmarks,
+  exportAllData,
+  validateBackup,
+  previewImport,
+  importAllData
+} from './storage';
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+});
+
+function backup(stores, schemaVersion = 5) {
+  return validateBackup({ format: 'classics-retold-backup', schemaVersion, exportedAt: '2024-03-03T12:00:00.000Z', stores });
+}
+
+describe('progress migration', () => {
+  it('replaces v1 pixel positions with a location at the start of the chapter', async () => {
+    const v1 = await openDB('retold-classics-db', 1, {
+      upgrade(db) {
+        db.createObjectStore('progress', { keyPath: 'bookId' });
+      }
+    });
+    await v1.put('progress', { bookId: 'book', currentChapter: 'chapter-3', scrollPosition: 1200, completed: [] });
+    v1.close();
+
+    expect(await getProgress('book')).toEqual({
+      bookId: 'book',
+      currentChapter: 'chapter-3',
+      completed: [],
+      location: { chapterId: 'chapter-3', pid: 'chapter-3_p1', offset: 0 }
+    });
+  });
+});
+
+describe('validateBackup', () => {
+  it('rejects files that are not backups', () => {
+    expect(() => validateBackup({ stores: {} })).toThrow('Not a Classics Retold backup file');
+    expect(() => validateBackup(null)).toThrow('Not a Classics Retold backup file');
+  });
+
+  it('rejects backups from a newer schema', () => {
+    expect(() => backup({}, 99)).toThrow(/newer version of the app \(schema 99\)/);
+  });
+
+  it('fills in missing stores and migrates v1 progress', () => {
+    const { stores } = backup({
+      progress: [{ bookId: 'book', currentChapter: 'chapter-2', scrollPosition: 10 }]
+    }, 1);
+
+    expect(stores.bookmarks).toEqual([]);
+    expect(stores.progress).toEqual([
+      { bookId: 'book', currentChapter: 'chapter-2', location: { chapterId: 'chapter-2', pid: 'chapter-2_p1', offset: 0 } }
+    ]);
+  });
+});
+
+describe('import', () => {
+  const bookmark = { bookId: 'book', createdAt: '2024-01-01T00:00:00.000Z', label: 'Start' };
+
+  it('round-trips an export', async () => {
+    await savePreference('theme', 'dark');
+    await saveBookmark(bookmark);
+    const exported = await exportAllData();
+
+    globalThis.indexedDB = new IDBFactory();
+    await importAllData(validateBackup(JSON.parse(JSON.stringify(exported))));
+
+    expect(await getPreference('theme')).toBe('dark');
+    expect(await getBookmarks('book')).toEqual([{ ...bookmark, id: 1 }]);
+  });
+
+  it('merges matching records into the existing ones instead of duplicating them', async () => {
+    await saveBookmark(bookmark);
+    await saveBookmark({ ...bookmark, createdAt: '2024-02-01T00:00:00.000Z', label: 'Local only' });
+    const incoming = backup({
+      bookmarks: [
+        { ...bookmark, id: 40, label: 'Renamed' },
+        { ...bookmark, id: 41, createdAt: '2024-03-01T00:00:00.000Z', label: 'New' }
+      ]
+    });
+
+    expect((await previewImport(incoming)).bookmarks).toEqual({ added: 1, updated: 1, unchanged: 0, removed: 0 });
+
+    await importAllData(incoming);
+    const labels = (await getBookmarks('book')).map(({ id, label }) => [id, label]);
+    expect(labels).toEqual([[1, 'Renamed'], [2, 'Local only'], [3, 'New']]);
+  });
+
+  it('counts records that would not change', async () => {
+    await saveBookmark(bookmark);
+    const incoming = backup({ bookmarks: [{ ...bookmark, id: 7 }] });
+
+    expect((await previewImport(incoming)).bookmarks).toEqual({ added: 0, updated: 0, unchanged: 1, removed: 0 });
+  });
+
+  it('clears every store first when replacing', async () => {
+    await saveProgress('old', { currentChapter: 'chapter-1' });
+    await saveBookmark(bookmark);
+    const incoming = backup({ progress: [{ bookId: 'new', currentChapter: 'chapter-5' }] });
+
+    const preview = await previewImport(incoming, 'replace');
+    expect(preview.progress).toEqual({ added: 1, updated: 0, unchanged: 0, removed: 1 });
+    expect(preview.bookmarks.removed).toBe(1);
+
+    await importAllData(incoming, 'replace');
+    expect(await getProgress('old')).toBeUndefined();
+    expect(await getProgress('new')).toEqual({ bookId: 'new', currentChapter: 'chapter-5' });
+    expect(await getBookmarks('book')).toEqual([]);
+  });
+});
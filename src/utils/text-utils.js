@@ -94,6 +94,121 @@ export function getCurrentScrollPosition() {
   return window.pageYOffset || document.documentElement.scrollTop;
 }
 
+// Describe the first paragraph visible below topInset: its index, the first visible
+// sentence sid (processed chapters) and roughly how many characters are scrolled past
+export function getViewportPosition(container, topInset = 0) {
+  if (!container) return null;
+
+  const paragraphs = container.querySelectorAll('p');
+
+  for (let i = 0; i < paragraphs.length; i++) {
+    const rect = paragraphs[i].getBoundingClientRect();
+    if (rect.bottom <= topInset) continue;
+
+    const sentence = Array.from(paragraphs[i].querySelectorAll('[data-sid]'))
+      .find(span => span.getBoundingClientRect().bottom > topInset);
+    const hidden = rect.height > 0
+      ? Math.min(Math.max((topInset - rect.top) / rect.height, 0), 1)
+      : 0;
+
+    return {
+      paragraphIndex: i,
+      sid: sentence ? sentence.dataset.sid : null,
+      offset: Math.round(hidden * paragraphs[i].textContent.length)
+    };
+  }
+
+  return null;
+}
+
+// Paragraph and sentence index of a sentence span inside container
+export function getSentencePosition(container, sentenceElement) {
+  const paragraph = sentenceElement?.closest('p');
+  if (!container || !paragraph) return null;
+
+  const paragraphIndex = Array.from(container.querySelectorAll('p')).indexOf(paragraph);
+  const sentenceIndex = Array.from(paragraph.querySelectorAll('.sentence-span')).indexOf(sentenceElement);
+  if (paragraphIndex < 0) return null;
+
+  return { paragraphIndex, sentenceIndex: Math.max(sentenceIndex, 0) };
+}
+
+// Text of the paragraph at a viewport position, starting from its first visible character
+export function getPositionSnippet(container, position, maxLength = 140) {
+  const paragraph = container?.querySelectorAll('p')[position?.paragraphIndex];
+  if (!paragraph) return '';
+
+  const text = paragraph.textContent;
+  const snippet = (text.slice(position.offset) || text).replace(/\s+/g, ' ').trim();
+  return snippet.length > maxLength ? `${snippet.slice(0, maxLength).trim()}…` : snippet;
+}
+
+// Element for a target from resolveReadingLocation or resolveSentenceLink, plus how
+// far into it (0-1) the target offset falls
+export function findTextTarget(container, target) {
+  if (!container || !target) return null;
+
+  let element = null;
+  let fraction = 0;
+
+  if (target.sid) {
+    element = container.querySelector(`[data-sid="${CSS.escape(target.sid)}"]`);
+  } else {
+    const paragraphs = container.querySelectorAll('p');
+    element = paragraphs[Math.min(target.paragraphIndex, paragraphs.length - 1)] || null;
+    const sentence = element && target.sentenceIndex !== undefined
+      ? element.querySelectorAll('.sentence-span')[target.sentenceIndex]
+      : null;
+
+    if (sentence) {
+      element = sentence;
+    } else {
+      const length = element ? element.textContent.length : 0;
+      fraction = length > 0 ? Math.min(target.offset / length, 1) : 0;
+    }
+  }
+
+  return element ? { element, fraction } : null;
+}
+
+// Distance from the top of the viewport to a target from resolveReadingLocation
+// or resolveSentenceLink, or null when it is not rendered
+export function getTextPositionTop(container, target) {
+  const found = findTextTarget(container, target);
+  if (!found) return null;
+
+  const rect = found.element.getBoundingClientRect();
+  return rect.top + found.fraction * rect.height;
+}
+
+// Scroll a target from resolveReadingLocation or resolveSentenceLink to just below topInset
+export function scrollToTextPosition(container, target, topInset = 0, behavior = 'auto') {
+  const found = findTextTarget(container, target);
+  if (!found) return false;
+
+  const { element, fraction } = found;
+  const rect = element.getBoundingClientRect();
+  window.scrollTo({
+    top: getCurrentScrollPosition() + rect.top + fraction * rect.height - topInset,
+    behavior
+  });
+  return true;
+}
+
+// Scroll only when element is outside the visible area below topInset, leaving
+// it a third of the way down the screen
+export function scrollIntoReadingView(element, topInset = 0, behavior = 'smooth') {
+  if (!element) return;
+
+  const rect = element.getBoundingClientRect();
+  if (rect.top >= topInset && rect.bottom <= window.innerHeight) return;
+
+  window.scrollTo({
+    top: getCurrentScrollPosition() + rect.top - topInset - (window.innerHeight - topInset) / 3,
+    behavior
+  });
+}
+
 // Find the modern translation for a sentence by matching it to the original text
 // and extracting the corresponding portion from the modern text
 export function findModernTranslation(originalSentence, originalChapter, modernChapter) {
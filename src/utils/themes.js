@@ -0,0 +1,178 @@
+// Theme resolution for the "auto" and "custom" themes. The built-in light,
+// dark and sepia themes are pure CSS (themes.css); "auto" picks light or dark
+// at runtime and "custom" fills the --custom-* properties on the body.
+
+export const THEMES = [
+  { id: 'light', label: 'Light', icon: '☀️' },
+  { id: 'dark', label: 'Dark', icon: '🌙' },
+  { id: 'sepia', label: 'Sepia', icon: '📖' },
+  { id: 'auto', label: 'Auto', icon: '🌓' },
+  { id: 'custom', label: 'Custom', icon: '🎨' }
+];
+
+export const DEFAULT_AUTO_THEME = {
+  schedule: 'system',
+  latitude: null,
+  longitude: null
+};
+
+export const DEFAULT_CUSTOM_THEME = {
+  bg: '#FFFDF8',
+  text: '#222222',
+  accent: '#2E5266',
+  highlight: '#FFE8A3'
+};
+
+export const CUSTOM_THEME_FIELDS = [
+  { id: 'bg', label: 'Background' },
+  { id: 'text', label: 'Text' },
+  { id: 'accent', label: 'Accent' },
+  { id: 'highlight', label: 'Highlight' }
+];
+
+// WCAG 2.1 minimums: 4.5:1 for body text, 3:1 for UI elements
+const CONTRAST_CHECKS = [
+  { id: 'text', label: 'Text on background', foreground: 'text', background: 'bg', minimum: 4.5 },
+  { id: 'highlight', label: 'Text on highlight', foreground: 'text', background: 'highlight', minimum: 4.5 },
+  { id: 'accent', label: 'Accent on background', foreground: 'accent', background: 'bg', minimum: 3 }
+];
+
+function parseHexColor(hex) {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function toHexColor(rgb) {
+  return '#' + rgb
+    .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+export function isHexColor(value) {
+  return parseHexColor(value) !== null;
+}
+
+function getRelativeLuminance(hex) {
+  const [r, g, b] = parseHexColor(hex).map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function getContrastRatio(foreground, background) {
+  const a = getRelativeLuminance(foreground);
+  const b = getRelativeLuminance(background);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// Blend two colors; weight is the share of the first color
+function mixColors(first, second, weight) {
+  const a = parseHexColor(first);
+  const b = parseHexColor(second);
+  return toHexColor(a.map((channel, i) => channel * weight + b[i] * (1 - weight)));
+}
+
+export function checkThemeContrast(theme) {
+  return CONTRAST_CHECKS.map(check => {
+    const ratio = getContrastRatio(theme[check.foreground], theme[check.background]);
+    return {
+      id: check.id,
+      label: check.label,
+      ratio,
+      minimum: check.minimum,
+      passes: ratio >= check.minimum
+    };
+  });
+}
+
+export function normalizeCustomTheme(theme) {
+  const normalized = { ...DEFAULT_CUSTOM_THEME };
+  if (!theme) return normalized;
+
+  CUSTOM_THEME_FIELDS.forEach(({ id }) => {
+    if (isHexColor(theme[id])) normalized[id] = theme[id].toUpperCase();
+  });
+  return normalized;
+}
+
+// The four picked colors plus the shades the other theme properties need
+export function buildCustomThemeProperties(theme) {
+  const { bg, text, accent, highlight } = normalizeCustomTheme(theme);
+  const isDark = getRelativeLuminance(bg) < 0.2;
+
+  return {
+    '--custom-bg': bg,
+    '--custom-text': text,
+    '--custom-text-secondary': mixColors(text, bg, 0.75),
+    '--custom-accent': accent,
+    '--custom-accent-hover': mixColors(accent, text, 0.8),
+    '--custom-secondary': mixColors(accent, bg, 0.6),
+    '--custom-border': mixColors(text, bg, 0.15),
+    '--custom-shadow': isDark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(0, 0, 0, 0.1)',
+    '--custom-overlay': isDark ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.5)',
+    '--custom-highlight': highlight
+  };
+}
+
+// Sunrise and sunset for a day and place, following the sunrise equation used
+// by NOAA's solar calculator. Returns { polar: 'day' | 'night' } when the sun
+// does not rise or set that day.
+export function getSunTimes(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const J1970 = 2440588;
+  const J2000 = 2451545;
+
+  const days = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+  const lw = -longitude * rad;
+  const phi = latitude * rad;
+
+  const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI));
+  const approxNoon = 0.0009 + lw / (2 * Math.PI) + cycle;
+  const meanAnomaly = rad * (357.5291 + 0.98560028 * approxNoon);
+  const center = rad * (1.9148 * Math.sin(meanAnomaly)
+    + 0.02 * Math.sin(2 * meanAnomaly)
+    + 0.0003 * Math.sin(3 * meanAnomaly));
+  const eclipticLongitude = meanAnomaly + center + rad * 102.9372 + Math.PI;
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(rad * 23.4397));
+  const transitOffset = 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const noon = J2000 + approxNoon + transitOffset;
+
+  const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(phi) * Math.sin(declination))
+    / (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle < -1) return { polar: 'day' };
+  if (cosHourAngle > 1) return { polar: 'night' };
+
+  const hourAngle = Math.acos(cosHourAngle);
+  const set = J2000 + 0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle + transitOffset;
+  const rise = noon - (set - noon);
+  const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * dayMs);
+
+  return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+}
+
+// Theme after the given one in THEMES, wrapping around
+export function getNextTheme(theme) {
+  const index = THEMES.findIndex(t => t.id === theme);
+  return THEMES[(index + 1) % THEMES.length].id;
+}
+
+// Map the saved theme preference to the theme class to apply:
+// 'auto' becomes 'light' or 'dark'; every other value is used as-is
+export function resolveTheme(theme, { prefersDark = false, autoTheme = DEFAULT_AUTO_THEME, now = new Date() } = {}) {
+  if (theme !== 'auto') return theme;
+
+  const { schedule, latitude, longitude } = autoTheme;
+  if (schedule === 'sun' && latitude !== null && longitude !== null) {
+    const times = getSunTimes(now, latitude, longitude);
+    if (times.polar) return times.polar === 'day' ? 'light' : 'dark';
+    return now >= times.sunrise && now < times.sunset ? 'light' : 'dark';
+  }
+
+  return prefersDark ? 'dark' : 'light';
+}
@@ -0,0 +1,90 @@
+// Reading typography. Each setting maps to a CSS custom property declared in
+// themes.css; applyTypography overrides them on the document root so every
+// view that uses them (single column, parallel text) updates live.
+
+export const FONT_SIZE_STEPS = [0.85, 0.925, 1, 1.1, 1.2, 1.35, 1.5];
+
+export const FONT_FAMILIES = [
+  { id: 'serif', label: 'Serif', value: 'var(--font-reading)' },
+  { id: 'sans', label: 'Sans', value: 'var(--font-body)' },
+  { id: 'dyslexic', label: 'Dyslexia-friendly', value: 'var(--font-dyslexic)' }
+];
+
+export const LINE_HEIGHTS = [
+  { id: 'compact', label: 'Compact', value: '1.5' },
+  { id: 'normal', label: 'Normal', value: '1.8' },
+  { id: 'relaxed', label: 'Relaxed', value: '2.1' }
+];
+
+export const PARAGRAPH_SPACINGS = [
+  { id: 'tight', label: 'Tight', value: 'var(--spacing-sm)' },
+  { id: 'normal', label: 'Normal', value: 'var(--spacing-lg)' },
+  { id: 'loose', label: 'Loose', value: 'var(--spacing-2xl)' }
+];
+
+export const TEXT_WIDTHS = [
+  { id: 'narrow', label: 'Narrow', value: '600px' },
+  { id: 'medium', label: 'Medium', value: '720px' },
+  { id: 'wide', label: 'Wide', value: '880px' }
+];
+
+export const TEXT_ALIGNS = [
+  { id: 'left', label: 'Left', value: 'left' },
+  { id: 'justify', label: 'Justified', value: 'justify' }
+];
+
+export const DEFAULT_TYPOGRAPHY = {
+  fontScale: 1,
+  fontFamily: 'serif',
+  lineHeight: 'normal',
+  paragraphSpacing: 'normal',
+  textWidth: 'medium',
+  textAlign: 'left'
+};
+
+const OPTION_PROPERTIES = [
+  { key: 'fontFamily', options: FONT_FAMILIES, property: '--reading-font-family' },
+  { key: 'lineHeight', options: LINE_HEIGHTS, property: '--reading-line-height' },
+  { key: 'paragraphSpacing', options: PARAGRAPH_SPACINGS, property: '--reading-paragraph-spacing' },
+  { key: 'textWidth', options: TEXT_WIDTHS, property: '--reading-max-width' },
+  { key: 'textAlign', options: TEXT_ALIGNS, property: '--reading-text-align' }
+];
+
+// Fill in defaults and drop values that are no longer offered
+export function normalizeTypography(settings) {
+  const normalized = { ...DEFAULT_TYPOGRAPHY };
+  if (!settings) return normalized;
+
+  if (FONT_SIZE_STEPS.includes(settings.fontScale)) {
+    normalized.fontScale = settings.fontScale;
+  }
+
+  OPTION_PROPERTIES.forEach(({ key, options }) => {
+    if (options.some(option => option.id === settings[key])) {
+      normalized[key] = settings[key];
+    }
+  });
+
+  return normalized;
+}
+
+export function applyTypography(settings, root = document.documentElement) {
+  const typography = normalizeTypography(settings);
+
+  root.style.setProperty('--reading-font-scale', String(typography.fontScale));
+  OPTION_PROPERTIES.forEach(({ key, options, property }) => {
+    const option = options.find(o => o.id === typography[key]);
+    root.style.setProperty(property, option.value);
+  });
+
+  // Justified text needs hyphenation to avoid wide gaps between words
+  root.style.setProperty('--reading-hyphens', typography.textAlign === 'justify' ? 'auto' : 'manual');
+}
+
+// Next font size step up (direction 1) or down (-1), clamped to the range
+export function stepFontScale(fontScale, direction) {
+  const index = FONT_SIZE_STEPS.indexOf(fontScale);
+  const current = index >= 0 ? index : FONT_SIZE_STEPS.indexOf(1);
+  const next = Math.min(Math.max(current + direction, 0), FONT_SIZE_STEPS.length - 1);
+  return FONT_SIZE_STEPS[next];
+}
@@ -39,6 +39,9 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,jpg,svg,json}'],
+        // Deep links (/book/:id/chapter/:chapterId) open the app shell offline
+        navigateFallback: '/index.html',
+        navigateFallbackDenylist: [/^\/data\//, /^\/images\//, /^\/icons\//],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,